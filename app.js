@@ -2,7 +2,6 @@ import logger from './modules/Logger.js';
 import TourController from './modules/TourController.js';
 import StatisticsCalculator from './modules/StatisticsCalculator.js';
 import PoiService from './modules/PoiService.js';
-import ReverseGeocodingService from './modules/ReverseGeocodingService.js';
 import Person from './modules/Person.js';
 import UIManager from './modules/UIManager.js';
 import PerformanceTuner from './modules/PerformanceTuner.js';
@@ -14,6 +13,26 @@ import StatsOverlay from './modules/StatsOverlay.js';
 import SettingsManager from './modules/SettingsManager.js';
 import CameraController from './modules/CameraController.js';
 import DebugOverlay from './modules/DebugOverlay.js';
+import TrackSegmenter from './modules/TrackSegmenter.js';
+import RouteDensifier from './modules/RouteDensifier.js';
+import RouteImporter from './modules/RouteImporter.js';
+import LibraryPanel from './modules/LibraryPanel.js';
+import LibraryBackup from './modules/LibraryBackup.js';
+import RouteFingerprint from './modules/RouteFingerprint.js';
+import FilenameGenerator from './modules/FilenameGenerator.js';
+import GpxMetadataReader from './modules/GpxMetadataReader.js';
+import ElevationProfile from './modules/ElevationProfile.js';
+import SplitsPanel from './modules/SplitsPanel.js';
+import ClimbDetector from './modules/ClimbDetector.js';
+import ClimbsPanel from './modules/ClimbsPanel.js';
+import GpsCleaner from './modules/GpsCleaner.js';
+import PaceModel from './modules/PaceModel.js';
+import PaceModelLearner from './modules/PaceModelLearner.js';
+import PersonalPacePanel from './modules/PersonalPacePanel.js';
+import StagesPanel from './modules/StagesPanel.js';
+import CheckpointsPanel from './modules/CheckpointsPanel.js';
+import FuelPlanPanel from './modules/FuelPlanPanel.js';
+import HydrationPlanner from './modules/HydrationPlanner.js';
 
 class App {
   constructor() {
@@ -23,15 +42,33 @@ class App {
     this.performanceTuner = null; // New PerformanceTuner instance
     this.cameraController = null; // NEW: Manages all camera strategies and transitions
     this.currentPoints = [];
-    this.routeEntity = null;
+    this.routeEntities = []; // One polyline per track segment, plus the gap connectors
+    this.segments = []; // All tracks/segments of the loaded GPX file
+    this.rawSegments = []; // The same segments before GPS cleaning, to switch cleaning on and off
+    this.gpsCleaningReport = null; // The corrections made by GpsCleaner, or null if cleaning is off
+    this.activeSegmentIndex = 'all'; // 'all' for the continuous tour, or the index of a single segment
+    this.waypoints = []; // The <wpt> elements of the loaded GPX file
+    this.gpxDocument = null; // Metadata, track descriptions and extensions of the loaded GPX file, for regenerating it
+    this.refuelPoints = []; // The planned refuel stops of the active route
+    this.climbs = null; // The climbs and descents of the active route, from ClimbDetector
     this.person = null;
     this.ui = null; // New UIManager instance
     this.statsOverlay = null; // NEW
     this.debugOverlay = null; // NEW
+    this.elevationProfile = null; // The elevation chart in the bottom panel, synced with the tour
+    this.splitsPanel = null; // The table of per-km splits of the active route
+    this.climbsPanel = null; // The list of climbs and descents of the active route
+    this.stagesPanel = null; // The stages of a multi-day plan of the active route
+    this.checkpointsPanel = null; // The race checkpoints of the active route, with their cut-offs
+    this.fuelPlanPanel = null; // The printable fuel and water plan of the active route
+    this.personalPacePanel = null; // Learns the personal pace model from the library and charts it
+    this.libraryPanel = null; // Lists the stored routes for renaming, tagging and deleting
     this.state = 'NO_ROUTE'; // Initial state
     this.poisAreVisible = true; // Initial state for POI visibility
     this.routes = []; // To cache routes from storage
     this.activeRouteId = null; // To track the currently loaded route
+    this.sharedRouteSettings = {}; // The route settings from the URL, for the route loaded with it
+    this.isApplyingRouteSettings = false; // True while a selected route's settings are loaded, which needs no replan
     this.poiService = null; // To hold the PoiService instance
     this.planProfile = null; // This will hold the rich object for the tour
     this.hasNativeTimestamps = false;
@@ -102,6 +139,15 @@ class App {
     this.ui = new UIManager(this.viewer); // Initialize UIManager
     this.statsOverlay = new StatsOverlay(); // NEW: Initialize StatsOverlay
     this.ui.setStatsOverlay(this.statsOverlay); // Inject dependency
+    this.elevationProfile = new ElevationProfile();
+    this.libraryPanel = new LibraryPanel(this.ui.libraryPanelContent);
+    this.splitsPanel = new SplitsPanel(this.ui.splitsPanelContent);
+    this.climbsPanel = new ClimbsPanel(this.ui.climbsPanelContent);
+    this.stagesPanel = new StagesPanel(this.ui.stagesPanelContent);
+    this.checkpointsPanel = new CheckpointsPanel(this.ui.checkpointsPanelContent);
+    this.fuelPlanPanel = new FuelPlanPanel(this.ui.fuelPlanPanelContent);
+    this.personalPacePanel = new PersonalPacePanel(this.ui.personalPacePanelContent);
+    this._showPlanPaceCurve();
 
     // NEW: Initialize Debug Overlay
     this.debugOverlay = new DebugOverlay(this.viewer.container);
@@ -113,21 +159,20 @@ class App {
         this.debugOverlay.show();
     }
 
-    let lastStorageUsage = 0;
+    let lastStorageEstimate = null;
 
     // Set up a slower timer for expensive metrics like storage
-    setInterval(() => {
+    setInterval(async () => {
         if (SettingsManager.get('debugOverlay')) {
-            // This is a "private" method on the overlay, but we call it here to orchestrate the timing.
-            lastStorageUsage = this.debugOverlay._getLocalStorageUsage();
-            this.debugOverlay.update({ storageUsed: lastStorageUsage });
+            lastStorageEstimate = await RouteStorage.getStorageEstimate();
+            this.debugOverlay.update({ storageEstimate: lastStorageEstimate });
         }
     }, 2000);
 
     // Set up the main render loop for fast metrics
     this.viewer.scene.postRender.addEventListener(() => {
         if (SettingsManager.get('debugOverlay')) {
-            const metrics = { storageUsed: lastStorageUsage };
+            const metrics = { storageEstimate: lastStorageEstimate };
             if (performance.memory) {
                 metrics.usedHeap = performance.memory.usedJSHeapSize;
                 metrics.heapLimit = performance.memory.jsHeapSizeLimit;
@@ -158,8 +203,18 @@ class App {
     this.ui.onSetProfile = (profile) => this.performanceTuner.setProfile(profile);
     this.ui.onUrlLoad = (url) => this.handleUrlLoad(url);
     this.ui.onRouteSelected = (routeId) => this.handleRouteSelect(routeId);
+    this.ui.onSegmentSelected = (segmentValue) => this.handleSegmentSelect(segmentValue);
     this.ui.onClearStorage = () => this.handleClearStorage();
+    this.ui.onBackupLibrary = () => this.handleBackupLibrary();
+    this.ui.onDownloadGpx = () => this.handleDownloadGpx();
+    this.ui.onRestoreLibrary = (file) => this.handleRestoreLibrary(file);
     this.ui.onAthleteProfileChange = () => this.handleAnalysisUpdate();
+    this.libraryPanel.onLoadRoute = (routeId) => {
+      this.ui.routeLibrarySelect.value = routeId;
+      this.ui.routeLibrarySelect.dispatchEvent(new Event('change'));
+    };
+    this.libraryPanel.onUpdateRoute = (routeId, changes) => this.handleLibraryUpdate(routeId, changes);
+    this.libraryPanel.onDeleteRoute = (routeId) => this.handleLibraryDelete(routeId);
 
     // Subscribe to tourSpeed changes
     SettingsManager.subscribe('tourSpeed', (speed) => this.tourController.setSpeed(speed));
@@ -183,6 +238,42 @@ class App {
 
     // Subscribe to smoothing factor changes
     SettingsManager.subscribe('smoothingFactor', () => this.recalculateAnalytics());
+    // The elevation filter changes the gain, descent and Km-effort, so the base statistics are recalculated
+    SettingsManager.subscribe('elevationSmoothingMeters', () => this.recalculateRouteStatistics());
+    SettingsManager.subscribe('elevationThresholdMeters', () => this.recalculateRouteStatistics());
+    SettingsManager.subscribe('stopSpeedKmh', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('stopRadiusMeters', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('stopMinDurationSeconds', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('paceModel', (model) => {
+      // The personal model is learned on first use.
+      if (model === 'personal' && !SettingsManager.get('paceModelPersonalTable')) this.learnPersonalPaceModel();
+      this._showPlanPaceCurve();
+      this.recalculateAnalytics();
+    });
+    SettingsManager.subscribe('paceModelCustomTable', () => {
+      this._showPlanPaceCurve();
+      this.recalculateAnalytics();
+    });
+    SettingsManager.subscribe('paceModelPersonalTable', () => {
+      this._showPlanPaceCurve();
+      this.recalculateAnalytics();
+    });
+    SettingsManager.subscribe('fatigueBasis', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('plannedStart', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('dailyWalkingHours', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('overnightHours', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('overnightStops', (value) => this._handleRouteSettingChange('overnightStops', value));
+    SettingsManager.subscribe('overnightAtLodging', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('checkpoints', (value) => this._handleRouteSettingChange('checkpoints', value));
+    SettingsManager.subscribe('finishTimeRuns', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('paceVariation', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('energyModel', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('packWeightKg', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('sweatRateMlPerHour', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('waterCapacityLiters', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('airTemperatureC', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('useRecordedTemperature', () => this.recalculateAnalytics());
+    SettingsManager.subscribe('gpsCleaning', () => this.handleGpsCleaningToggle());
 
     // Custom tour controls callbacks
     this.ui.onCustomPlayPause = () => {
@@ -204,25 +295,30 @@ class App {
       }
     };
     this.ui.onCustomReset = () => this.setState('ROUTE_LOADED');
-    this.ui.onCustomScrub = (percentage) => {
-      if (this.state === 'NO_ROUTE') return;
-      const newTime = this.tourController.seek(percentage);
-      if (newTime) {
-        const jsDate = Cesium.JulianDate.toDate(newTime);
-        const year = jsDate.getFullYear();
-        const month = (jsDate.getMonth() + 1).toString().padStart(2, '0');
-        const day = jsDate.getDate().toString().padStart(2, '0');
-        const hours = jsDate.getHours().toString().padStart(2, '0');
-        const minutes = jsDate.getMinutes().toString().padStart(2, '0');
-        const seconds = jsDate.getSeconds().toString().padStart(2, '0');
-        const timeString = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-        this.ui.updateTimeDisplay(timeString);
-        if (this.person.entity && this.person.entity.label) {
-          this.person.entity.label.text = timeString;
-        }
-        this.performanceTuner.requestRender();
-      }
+    this.ui.onCustomScrub = (percentage) => this.seekTour(percentage);
+    this.elevationProfile.onSeek = (distance) => this.seekToDistance(distance);
+    this.splitsPanel.onSeek = (distance) => {
+      this.seekToDistance(distance);
+      this.elevationProfile.setPosition(distance);
+    };
+    this.climbsPanel.onSeek = (distance) => {
+      this.seekToDistance(distance);
+      this.elevationProfile.setPosition(distance);
+    };
+    this.stagesPanel.onSeek = (distance) => {
+      this.seekToDistance(distance);
+      this.elevationProfile.setPosition(distance);
     };
+    this.checkpointsPanel.onSeek = (distance) => {
+      this.seekToDistance(distance);
+      this.elevationProfile.setPosition(distance);
+    };
+    this.checkpointsPanel.onLoadFromWaypoints = () => this.loadCheckpointsFromWaypoints();
+    this.fuelPlanPanel.onSeek = (distance) => {
+      this.seekToDistance(distance);
+      this.elevationProfile.setPosition(distance);
+    };
+    this.personalPacePanel.onLearn = () => this.learnPersonalPaceModel();
     this.ui.onCustomZoom = () => this.zoomToRoute();
     this.ui.onCustomResetStyle = () => this.handleResetStyle();
     this.ui.onTogglePoiVisibility = () => this.togglePoiVisibility(); // New listener
@@ -248,15 +344,21 @@ class App {
     this.setState('NO_ROUTE'); // Set initial state
     this.ui.setPoiButtonState(this.poisAreVisible); // Set initial POI button state
 
-    // Merge static routes from the manifest and then populate the library
+    // Open the route database (migrating any legacy localStorage library), merge static routes
+    // from the manifest and then populate the library
+    await RouteStorage.init();
     await this.mergeStaticRoutes();
-    this.routes = RouteStorage.getRoutes();
-    this.ui.populateRouteLibrary(this.routes);
+    await this.refreshLibrary();
 
     // Check for a route_id or url in the URL and auto-load it
     const urlParams = new URLSearchParams(window.location.search);
     const routeIdToLoad = urlParams.get('route_id');
     const urlToLoad = urlParams.get('url');
+    if (routeIdToLoad || urlToLoad) {
+      SettingsManager.getRouteKeys().filter(key => urlParams.has(key)).forEach(key => {
+        this.sharedRouteSettings[key] = SettingsManager.get(key);
+      });
+    }
 
     if (routeIdToLoad) {
       const routeExists = this.routes.some(route => route.id === routeIdToLoad);
@@ -298,9 +400,10 @@ class App {
       logger.info('Checking for static routes from manifests...');
       const manifestsToProcess = ['gpx/manifest.json'];
       const processedManifests = new Set();
-      const existingRoutes = RouteStorage.getRoutes();
+      const existingRoutes = await RouteStorage.getRoutes({ includeDeleted: true });
       const existingSources = new Set(existingRoutes.map(r => r.source));
       const urlsToCache = [];
+      const newEntries = [];
 
       while (manifestsToProcess.length > 0) {
         const manifestUrl = manifestsToProcess.pop();
@@ -322,13 +425,8 @@ class App {
               manifestsToProcess.push(entry.url);
             } else if (entry.type === 'file') {
               if (!existingSources.has(entry.url)) {
-                logger.info(`Adding new static route metadata: "${entry.name}"`);
-                // Add metadata to localStorage, but not the gpxString
-                RouteStorage.addRoute({
-                  name: entry.name,
-                  sourceType: 'static',
-                  source: entry.url,
-                });
+                existingSources.add(entry.url);
+                newEntries.push(entry);
               }
               // Always ensure the file is in the cache
               urlsToCache.push(entry.url);
@@ -344,17 +442,92 @@ class App {
         await RouteStorage.cacheStaticRoutes(urlsToCache);
       }
 
+      for (const entry of newEntries) {
+        const format = RouteImporter.detectFormat(entry.url);
+        let fingerprint = null;
+        try {
+          fingerprint = await RouteFingerprint.compute(await this._fetchRouteContent(entry.url, format, entry.name));
+        } catch (error) {
+          logger.warn(`Could not fingerprint static route "${entry.name}":`, error);
+        }
+
+        // A track the user already imported (e.g. from a file) isn't added a second time.
+        const existingRoute = await RouteStorage.findByFingerprint(fingerprint);
+        if (existingRoute) {
+          logger.info(`Static route "${entry.name}" is already in the library as "${existingRoute.name}". Not adding it again.`);
+          // Keep it as a tombstone, like a deleted static route, so it isn't fetched and fingerprinted on every start.
+          const duplicate = await RouteStorage.addRoute({ name: entry.name, sourceType: 'static', source: entry.url, format, fingerprint });
+          if (duplicate) await RouteStorage.deleteRoute(duplicate.id);
+          continue;
+        }
+
+        logger.info(`Adding new static route metadata: "${entry.name}"`);
+        // Add metadata to the database, but not the gpxString
+        await RouteStorage.addRoute({
+          name: entry.name,
+          sourceType: 'static',
+          source: entry.url,
+          format,
+          fingerprint,
+        });
+      }
+
     } catch (error) {
       logger.error('Could not merge static routes:', error);
     }
   }
 
+  /**
+   * Moves the tour to a point in time.
+   * @param {number} percentage - The position as a fraction (0-1) of the tour duration.
+   */
+  seekTour(percentage) {
+    if (this.state === 'NO_ROUTE') return;
+    const newTime = this.tourController.seek(percentage);
+    if (newTime) {
+      const jsDate = Cesium.JulianDate.toDate(newTime);
+      const year = jsDate.getFullYear();
+      const month = (jsDate.getMonth() + 1).toString().padStart(2, '0');
+      const day = jsDate.getDate().toString().padStart(2, '0');
+      const hours = jsDate.getHours().toString().padStart(2, '0');
+      const minutes = jsDate.getMinutes().toString().padStart(2, '0');
+      const seconds = jsDate.getSeconds().toString().padStart(2, '0');
+      const timeString = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+      this.ui.updateTimeDisplay(timeString);
+      if (this.person.entity && this.person.entity.label) {
+        this.person.entity.label.text = timeString;
+      }
+      this.performanceTuner.requestRender();
+    }
+  }
+
+  /**
+   * Moves the tour to the time the route passes a distance, after a click or drag on the elevation profile
+   * or a click on a split.
+   * @param {number} distance - The distance along the route in meters.
+   */
+  seekToDistance(distance) {
+    if (!this.planProfile || !this.planProfile.startTime) return;
+    const { perPointData, startTime, stopTime } = this.planProfile;
+    const point = perPointData.find(p => p.cumulativeDistance >= distance) || perPointData[perPointData.length - 1];
+    const elapsedSeconds = this.hasNativeTimestamps
+      ? Cesium.JulianDate.secondsDifference(Cesium.JulianDate.fromDate(point.time), startTime)
+      : point.projectedTime;
+    const totalDuration = Cesium.JulianDate.secondsDifference(stopTime, startTime);
+    const percentage = totalDuration > 0 ? Math.min(Math.max(elapsedSeconds / totalDuration, 0), 1) : 0;
+
+    this.tourPercentage = percentage;
+    this.ui.updateScrubber(percentage);
+    this.seekTour(percentage);
+  }
+
   /**
    * Toggles the visibility of all POI entities.
    */
   togglePoiVisibility() {
     this.poisAreVisible = !this.poisAreVisible;
     this.poiService.toggleVisibility(this.poisAreVisible);
+    this.elevationProfile.setAnnotationVisibility('poi', this.poisAreVisible);
     this.ui.setPoiButtonState(this.poisAreVisible);
   }
 
@@ -434,7 +607,7 @@ class App {
    * Handles the selection of a GPX file.
    * @param {File} file - The selected GPX file.
    */
-  handleFileSelect(file) {
+  async handleFileSelect(file) {
     if (!file) {
       logger.warn('No file selected.');
       return;
@@ -443,33 +616,41 @@ class App {
     this.setState('LOADING');
     logger.info(`Selected file: ${file.name}`);
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const gpxData = e.target.result;
-      const newRecord = RouteStorage.addRoute({
-        gpxString: gpxData,
-        name: file.name,
-        sourceType: 'file',
-        source: file.name
-      });
+    let imported;
+    try {
+      // Non-GPX formats (TCX, FIT, KML, GeoJSON, ...) are converted to GPX on import.
+      imported = await RouteImporter.importFile(file);
+    } catch (error) {
+      logger.error('Error reading file:', error);
+      alert(`Error reading file.\n\nError: ${error.message}`);
+      this.setState('NO_ROUTE');
+      return;
+    }
 
-      if (newRecord) {
-        // Refresh library and auto-select the new route
-        this.routes = RouteStorage.getRoutes();
-        this.ui.populateRouteLibrary(this.routes);
-        this.ui.routeLibrarySelect.value = newRecord.id;
-        // Manually trigger the change event to load the new route
-        this.ui.routeLibrarySelect.dispatchEvent(new Event('change'));
-      } else {
-        this.setState('NO_ROUTE');
-      }
-    };
-    reader.onerror = (e) => {
-        logger.error('Error reading file:', e);
-        alert('Error reading file.');
-        this.setState('NO_ROUTE');
+    const fingerprint = await RouteFingerprint.compute(imported.gpxString);
+    if (await this._offerExistingRoute(fingerprint, file.name)) {
+      return;
+    }
+
+    const newRecord = await RouteStorage.addRoute({
+      gpxString: imported.gpxString,
+      name: file.name,
+      sourceType: 'file',
+      source: file.name,
+      format: imported.format,
+      fingerprint,
+    });
+
+    if (newRecord) {
+      // Refresh library and auto-select the new route
+      await this.refreshLibrary();
+      this.ui.routeLibrarySelect.value = newRecord.id;
+      // Manually trigger the change event to load the new route
+      this.ui.routeLibrarySelect.dispatchEvent(new Event('change'));
+    } else {
+      alert('Could not save the route to the library. The browser storage may be full; see the console for details.');
+      this.setState('NO_ROUTE');
     }
-    reader.readAsText(file);
   }
 
   /**
@@ -498,21 +679,31 @@ class App {
       // Extract a name from the URL path
       const urlPath = new URL(url).pathname;
       const fileName = decodeURIComponent(urlPath.substring(urlPath.lastIndexOf('/') + 1)) || 'URL Route';
+      const format = RouteImporter.detectFormat(url);
 
-      const newRecord = RouteStorage.addRoute({
+      // Fetch (and cache) the content up front, so a re-import of a known track from another URL is recognized.
+      const gpxString = await this._fetchRouteContent(url, format, fileName);
+      const fingerprint = await RouteFingerprint.compute(gpxString);
+      if (await this._offerExistingRoute(fingerprint, fileName)) {
+        return;
+      }
+
+      const newRecord = await RouteStorage.addRoute({
         name: fileName,
         sourceType: 'url',
-        source: url
+        source: url,
+        format,
+        fingerprint,
       });
 
       if (newRecord) {
         // Refresh library and auto-select the new route
-        this.routes = RouteStorage.getRoutes();
-        this.ui.populateRouteLibrary(this.routes);
+        await this.refreshLibrary();
         this.ui.routeLibrarySelect.value = newRecord.id;
         // Manually trigger the change event to load the new route
         this.ui.routeLibrarySelect.dispatchEvent(new Event('change'));
       } else {
+        alert('Could not save the route to the library. The browser storage may be full; see the console for details.');
         this.setState('NO_ROUTE');
       }
 
@@ -523,6 +714,146 @@ class App {
     }
   }
 
+  /**
+   * Checks whether a route with the same content is already in the library and, if so, offers to
+   * open it instead of adding a copy.
+   * @param {string|null} fingerprint - The fingerprint of the route being imported.
+   * @param {string} name - The name of the route being imported.
+   * @returns {Promise<boolean>} True if the existing route is being opened and the import should stop.
+   * @private
+   */
+  async _offerExistingRoute(fingerprint, name) {
+    const existingRoute = await RouteStorage.findByFingerprint(fingerprint);
+    if (!existingRoute) {
+      return false;
+    }
+
+    logger.info(`"${name}" has the same content as the library route "${existingRoute.name}".`);
+    const openExisting = confirm(`"${name}" contains the same track as "${existingRoute.name}", which is already in your library.\n\nPress OK to open the existing route, or Cancel to add it as a new route anyway.`);
+    if (!openExisting) {
+      return false;
+    }
+
+    this.ui.routeLibrarySelect.value = existingRoute.id;
+    this.ui.routeLibrarySelect.dispatchEvent(new Event('change'));
+    return true;
+  }
+
+  /**
+   * Retrieves the content of a url or static route source as GPX, using the cache-first strategy.
+   * Non-GPX formats are converted.
+   * @param {string} source - The URL of the route file.
+   * @param {string} format - The format of the file (see RouteImporter).
+   * @param {string} name - The route name, used if the file doesn't name itself.
+   * @returns {Promise<string>} The GPX content.
+   * @private
+   */
+  async _fetchRouteContent(source, format, name) {
+    let gpxString = null;
+    if (!format || format === 'gpx') {
+      gpxString = await RouteStorage.getGpx(source);
+    } else {
+      const fileData = await RouteStorage.getRouteFile(source);
+      if (fileData) {
+        gpxString = await RouteImporter.convertToGpx(fileData, format, name);
+      }
+    }
+
+    if (!gpxString) {
+      throw new Error(`Could not retrieve GPX content for ${source}`);
+    }
+    return gpxString;
+  }
+
+  /**
+   * Reloads the route records from storage and updates the library dropdown and panel.
+   */
+  async refreshLibrary() {
+    this.routes = await RouteStorage.getRoutes();
+    this.ui.populateRouteLibrary(this.routes);
+    this.libraryPanel.setRoutes(this.routes);
+  }
+
+  /**
+   * Handles a metadata change (name, tags or folder) made in the library panel.
+   * @param {string} routeId - The ID of the route.
+   * @param {object} changes - The metadata to merge into the route record.
+   */
+  async handleLibraryUpdate(routeId, changes) {
+    const updatedRoute = await RouteStorage.updateRoute(routeId, changes);
+    if (!updatedRoute) {
+      alert('Could not update the route. See the console for details.');
+      return;
+    }
+    await this.refreshLibrary();
+  }
+
+  /**
+   * Handles deleting a single route from the library panel. If the route is currently loaded, it is cleared first.
+   * @param {string} routeId - The ID of the route to delete.
+   */
+  async handleLibraryDelete(routeId) {
+    const route = this.routes.find(r => r.id === routeId);
+    if (!route) return;
+
+    const confirmed = confirm(`Delete "${route.name}" from the library? This action cannot be undone.`);
+    if (!confirmed) return;
+
+    if (this.activeRouteId === routeId) {
+      this.clearRoute();
+      this.activeRouteId = null;
+      this.libraryPanel.setActiveRoute(null);
+      this.ui.routeLibrarySelect.value = 'none';
+    }
+
+    const deleted = await RouteStorage.deleteRoute(routeId);
+    if (!deleted) {
+      alert('Could not delete the route. See the console for details.');
+    }
+    await this.refreshLibrary();
+  }
+
+  /**
+   * Handles backing up the whole library (routes, GPX bodies, stats, POIs and settings) into a single file.
+   */
+  async handleBackupLibrary() {
+    try {
+      const bundle = await LibraryBackup.createBundle();
+      this.ui.downloadFile(JSON.stringify(bundle), LibraryBackup.getFilename(bundle), 'application/json');
+    } catch (error) {
+      logger.error('Failed to back up the library:', error);
+      alert(`Could not back up the library.\n\nError: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handles restoring a library backup. The backup is merged into the current library; if it contains
+   * routes that already exist, the user chooses whether to overwrite them or skip them.
+   * @param {File} file - The backup file selected by the user.
+   */
+  async handleRestoreLibrary(file) {
+    try {
+      const bundle = await LibraryBackup.readBundle(file);
+      const conflicts = await LibraryBackup.findConflicts(bundle);
+
+      let overwrite = false;
+      if (conflicts.length > 0) {
+        const maxListed = 10;
+        const names = conflicts.slice(0, maxListed).map(route => `- ${route.name}`).join('\n');
+        const more = conflicts.length > maxListed ? `\n...and ${conflicts.length - maxListed} more` : '';
+        overwrite = confirm(`${conflicts.length} route(s) in the backup already exist in your library:\n\n${names}${more}\n\nPress OK to overwrite them with the backup, or Cancel to keep your versions and skip them.`);
+      }
+
+      const result = await LibraryBackup.restoreBundle(bundle, { overwrite });
+      await this.refreshLibrary();
+      const settingsNote = bundle.settings ? '\n\nThe backup\'s settings apply until the page is reloaded; settings are not saved in the browser.' : '';
+      alert(`Library restored: ${result.added} route(s) added, ${result.overwritten} overwritten, ${result.skipped} skipped.${settingsNote}`);
+    } catch (error) {
+      logger.error('Failed to restore the library:', error);
+      alert(`Could not restore the library.\n\nError: ${error.message}`);
+    }
+  }
+
   /**
    * Handles clearing all stored routes and cached data.
    */
@@ -535,10 +866,64 @@ class App {
     }
   }
 
+  /**
+   * Learns the personal pace model from all timestamped routes in the library and stores it
+   * in the 'paceModelPersonalTable' setting. Routes that can't be loaded are skipped.
+   */
+  async learnPersonalPaceModel() {
+    this.personalPacePanel.setBusy(true);
+    const samples = [];
+    let routeCount = 0;
+    try {
+      const routes = await RouteStorage.getRoutes();
+      for (const route of routes) {
+        try {
+          let gpxString = await RouteStorage.getGpxString(route.id);
+          if (!gpxString && route.source) {
+            gpxString = await this._fetchRouteContent(route.source, route.format, route.name);
+          }
+          if (!gpxString) continue;
+          const routeSamples = PaceModelLearner.analyzeGpx(gpxString);
+          if (routeSamples.length > 0) {
+            samples.push(...routeSamples);
+            routeCount++;
+          }
+        } catch (error) {
+          logger.warn(`Skipping route "${route.name}" for the personal pace model:`, error);
+        }
+      }
+
+      const curve = PaceModelLearner.fit(samples);
+      this.personalPacePanel.setData(samples, curve, routeCount);
+      if (curve.length >= 2) {
+        SettingsManager.set('paceModelPersonalTable', PaceModelLearner.toTableString(curve));
+      }
+    } catch (error) {
+      logger.error('Failed to learn the personal pace model:', error);
+      alert(`Could not learn the personal pace model.\n\nError: ${error.message}`);
+    } finally {
+      this.personalPacePanel.setBusy(false);
+    }
+  }
+
+  /**
+   * Shows the speed curve of the pace model used for planning in the personal pace chart.
+   * @private
+   */
+  _showPlanPaceCurve() {
+    const getSpeedFactor = PaceModel.fromSettings();
+    const targetSpeedKmh = this.ui.getTargetSpeed();
+    this.personalPacePanel.setPlanCurve(
+      (gradient) => getSpeedFactor(gradient) * targetSpeedKmh,
+      PaceModel.getLabel(SettingsManager.get('paceModel')),
+    );
+  }
+
   /**
    * Handles the calculation and display of energy-related metrics and refuel markers.
    */
   handleAnalysisUpdate() {
+    this._showPlanPaceCurve(); // The target speed may have changed
     if (!this.currentRouteAnalysisData || this.currentRouteAnalysisData.length === 0) {
       logger.warn('handleAnalysisUpdate called without base analysis data.');
       return;
@@ -565,10 +950,14 @@ class App {
       this.actualPerformanceStats = null; // Clear any previous stats
     }
 
+    const sensorSummary = StatisticsCalculator.analyzeSensors(processedData, this.ui.getMaxHeartRate());
+
     // --- 2. Energy Calculation ---
     const energyProfile = EnergyCalculator.calculateEnergyProfile(
       processedData,
-      userWeightKg
+      userWeightKg,
+      targetSpeedKmh,
+      this.ui.getMaxHeartRate()
     );
     processedData = energyProfile.perPointData;
     
@@ -583,20 +972,83 @@ class App {
       targetSpeedKmh,
       degradation,
       refuelPoints,
-      restPerRefuelMin
+      restPerRefuelMin,
+      this.poiService.poiData
     );
+
+    // --- 4. Water Plan ---
+    const hydration = HydrationPlanner.plan(this.planProfile.perPointData, this.poiService.poiData, this.planProfile.stages);
     
     // --- 5. Final UI Update ---
     this.statsOverlay.updateRouteStats({
       ...this.baseRouteStats,
       ...this.actualPerformanceStats,
       totalCalories: energyProfile.totalKcal.toFixed(0),
+      energyModelLabel: EnergyCalculator.getLabel(energyProfile.model),
       totalPlannedTime: this.planProfile.totalPlannedTime,
+      plannedStageCount: this.planProfile.stages.length,
+      tightestCheckpoint: this._getTightestCheckpoint(this.planProfile.checkpoints),
+      finishTimes: this.planProfile.finishTimes,
+      hydration,
+      sensorSummary,
     });
 
+    this.refuelPoints = refuelPoints;
     this.clearRefuelMarkers();
     this.renderRefuelMarkers(refuelPoints);
 
+    this.elevationProfile.setProfile(this.planProfile.perPointData);
+    this.elevationProfile.setTimeBand(this.planProfile.finishTimes ? this.planProfile.finishTimes.band : []);
+    this.elevationProfile.setAnnotations('refuel', refuelPoints.map((point, index) => ({
+      name: `Refuel ${index + 1} (${point.cumulativeKcal.toFixed(0)} kcal)`,
+      cumulativeDistance: point.cumulativeDistance,
+    })));
+    this.elevationProfile.setAnnotations('waypoint', this.waypoints);
+    this.splitsPanel.setData(this.planProfile.perPointData);
+
+    const overnightStages = this.planProfile.stages.slice(0, -1);
+    this.clearOvernightMarkers();
+    this.renderOvernightMarkers(overnightStages);
+    this.elevationProfile.setAnnotations('overnight', overnightStages.map(stage => ({
+      name: `Night ${stage.index + 1}${stage.endName ? ` (${stage.endName})` : ''}`,
+      cumulativeDistance: stage.endDistance,
+    })));
+    this.stagesPanel.setData(this.planProfile.stages);
+    this.clearCheckpointMarkers();
+    this.renderCheckpointMarkers(this.planProfile.checkpoints);
+    this.elevationProfile.setAnnotations('checkpoint', this.planProfile.checkpoints.map(checkpoint => ({
+      name: checkpoint.name,
+      cumulativeDistance: checkpoint.distance,
+    })));
+    this.checkpointsPanel.setData(this.planProfile.checkpoints, this.planProfile.startTime ? Cesium.JulianDate.toDate(this.planProfile.startTime) : null);
+
+    const plannedData = this.planProfile.perPointData;
+    const finishPoint = plannedData[plannedData.length - 1];
+    this.fuelPlanPanel.setData(
+      hydration,
+      refuelPoints.map(point => ({
+        distance: point.cumulativeDistance,
+        timeSec: plannedData[processedData.indexOf(point)].projectedTime,
+        kcal: refuelThresholdKcal,
+      })),
+      finishPoint ? { distance: finishPoint.cumulativeDistance, timeSec: finishPoint.projectedTime } : null,
+      this.planProfile.startTime ? Cesium.JulianDate.toDate(this.planProfile.startTime) : null
+    );
+
+    const daylight = this.planProfile.daylight;
+    this.elevationProfile.setDarkSections(daylight ? daylight.darkSections : []);
+    this.ui.updateDaylightReport(daylight);
+
+    this.climbs = ClimbDetector.detect(this.currentRouteAnalysisData);
+    this.climbsPanel.setData(this.climbs);
+    this.clearClimbBands();
+    this.renderClimbBands(this.climbs.climbs);
+
+    const stops = this.actualPerformanceStats ? this.actualPerformanceStats.stops : [];
+    this.clearStopMarkers();
+    this.renderStopMarkers(stops);
+    this._showStopsOnScrubber(stops);
+
     // --- 6. Prepare Tour ---
     this.tourController.prepareTour(this.planProfile);
     // NEW: Set the initial strategy on the camera controller so it's ready for playback
@@ -614,6 +1066,26 @@ class App {
     }
   }
 
+  /**
+   * Recalculates the base route statistics (and everything derived from them) if a route is currently loaded.
+   * This is called when a setting used by StatisticsCalculator.calculate changes, e.g. the elevation filter.
+   */
+  recalculateRouteStatistics() {
+    if (this.state !== 'ROUTE_LOADED' && this.state !== 'TOUR_PLAYING' && this.state !== 'TOUR_PAUSED') return;
+    logger.info('Recalculating route statistics due to settings change.');
+
+    if (this.segments.length > 1) {
+      this.segments.forEach(segment => {
+        segment.stats = StatisticsCalculator.calculate(segment.points);
+      });
+      this.ui.populateSegmentSelect(this.segments);
+      this.ui.segmentSelect.value = String(this.activeSegmentIndex);
+    }
+    this.baseRouteStats = StatisticsCalculator.calculate(this.currentPoints);
+    this.currentRouteAnalysisData = this.baseRouteStats.perPointData;
+    this.handleAnalysisUpdate();
+  }
+
   /**
    * Renders refuel markers on the Cesium viewer.
    * @param {Array<object>} refuelPoints - An array of point objects where refueling should happen.
@@ -652,6 +1124,207 @@ class App {
     markersToRemove.forEach(entity => this.viewer.entities.remove(entity));
   }
 
+  /**
+   * Renders a marker at the end of each stage of a multi-day plan, where the night is spent.
+   * @param {Array<object>} stages - The stages ending at an overnight stop, from PerformancePlanner.
+   */
+  renderOvernightMarkers(stages) {
+    const points = this.planProfile.perPointData;
+    stages.forEach(stage => {
+      const point = points[stage.endIndex];
+      this.viewer.entities.add({
+        position: Cesium.Cartesian3.fromDegrees(point.lon, point.lat),
+        point: {
+          pixelSize: 12,
+          color: Cesium.Color.fromCssColorString('#ab47bc'),
+          outlineColor: Cesium.Color.WHITE,
+          outlineWidth: 2,
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        label: {
+          text: `Night ${stage.index + 1}${stage.endName ? ` (${stage.endName})` : ''}`,
+          showBackground: true,
+          backgroundColor: new Cesium.Color(0.3, 0.1, 0.4, 0.7),
+          font: '12pt sans-serif',
+          verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+          pixelOffset: new Cesium.Cartesian2(0, -15),
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        gpxEntity: true, // Tag for easy removal
+        overnightMarker: true, // Custom tag for specific overnight marker removal
+      });
+    });
+  }
+
+  /**
+   * Clears all overnight markers from the Cesium viewer.
+   */
+  clearOvernightMarkers() {
+    const markersToRemove = this.viewer.entities.values.filter(entity => entity.overnightMarker);
+    markersToRemove.forEach(entity => this.viewer.entities.remove(entity));
+  }
+
+  /**
+   * Renders a marker at each race checkpoint, red if the plan misses its cut-off.
+   * @param {Array<object>} checkpoints - The planned checkpoints, from PerformancePlanner.
+   */
+  renderCheckpointMarkers(checkpoints) {
+    const points = this.planProfile.perPointData;
+    checkpoints.forEach(checkpoint => {
+      const point = points[checkpoint.index];
+      const isMissed = checkpoint.marginSec !== null && checkpoint.marginSec < 0;
+      this.viewer.entities.add({
+        position: Cesium.Cartesian3.fromDegrees(point.lon, point.lat),
+        point: {
+          pixelSize: 12,
+          color: Cesium.Color.fromCssColorString(isMissed ? '#ef5350' : '#26c6da'),
+          outlineColor: Cesium.Color.WHITE,
+          outlineWidth: 2,
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        label: {
+          text: checkpoint.cutoffSec !== null ? `${checkpoint.name} (cut-off ${StatisticsCalculator.getDurationString(checkpoint.cutoffSec).slice(0, 5)})` : checkpoint.name,
+          showBackground: true,
+          backgroundColor: new Cesium.Color(0.05, 0.3, 0.35, 0.7),
+          font: '12pt sans-serif',
+          verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+          pixelOffset: new Cesium.Cartesian2(0, -15),
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        gpxEntity: true, // Tag for easy removal
+        checkpointMarker: true, // Custom tag for specific checkpoint marker removal
+      });
+    });
+  }
+
+  /**
+   * Clears all checkpoint markers from the Cesium viewer.
+   */
+  clearCheckpointMarkers() {
+    const markersToRemove = this.viewer.entities.values.filter(entity => entity.checkpointMarker);
+    markersToRemove.forEach(entity => this.viewer.entities.remove(entity));
+  }
+
+  /**
+   * Finds the checkpoint with the smallest planned margin against its cut-off.
+   * @param {Array<object>} checkpoints - The planned checkpoints, from PerformancePlanner.
+   * @returns {object|null} The checkpoint, or null if none has a cut-off.
+   * @private
+   */
+  _getTightestCheckpoint(checkpoints) {
+    return checkpoints
+      .filter(checkpoint => checkpoint.marginSec !== null)
+      .reduce((tightest, checkpoint) => (!tightest || checkpoint.marginSec < tightest.marginSec ? checkpoint : tightest), null);
+  }
+
+  /**
+   * Replaces the race checkpoints with the named waypoints of the GPX file that lie along the route.
+   */
+  loadCheckpointsFromWaypoints() {
+    if (!this.planProfile) return;
+    const checkpoints = PerformancePlanner.checkpointsFromWaypoints(this.planProfile.perPointData, this.waypoints);
+    if (checkpoints.length === 0) {
+      logger.warn('No named waypoints along the route to use as checkpoints.');
+      alert('The GPX file has no named waypoints along the route to use as checkpoints.');
+      return;
+    }
+    logger.info(`Loaded ${checkpoints.length} checkpoint(s) from the waypoints.`);
+    SettingsManager.set('checkpoints', PerformancePlanner.formatCheckpoints(checkpoints));
+  }
+
+  /**
+   * Renders a marker for each stop detected in a recorded route.
+   * @param {Array<object>} stops - The stops from StatisticsCalculator.detectStops.
+   */
+  renderStopMarkers(stops) {
+    stops.forEach((stop, index) => {
+      this.viewer.entities.add({
+        position: Cesium.Cartesian3.fromDegrees(stop.lon, stop.lat),
+        point: {
+          pixelSize: 10,
+          color: Cesium.Color.RED,
+          outlineColor: Cesium.Color.WHITE,
+          outlineWidth: 2,
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        label: {
+          text: `Stop ${index + 1} (${Math.round(stop.durationSeconds / 60)} min)`,
+          showBackground: true,
+          backgroundColor: new Cesium.Color(0.4, 0.1, 0.1, 0.7),
+          font: '12pt sans-serif',
+          verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+          pixelOffset: new Cesium.Cartesian2(0, -15),
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        gpxEntity: true, // Tag for easy removal
+        stopMarker: true, // Custom tag for specific stop marker removal
+      });
+    });
+  }
+
+  /**
+   * Clears all stop markers from the Cesium viewer.
+   */
+  clearStopMarkers() {
+    const markersToRemove = this.viewer.entities.values.filter(entity => entity.stopMarker);
+    markersToRemove.forEach(entity => this.viewer.entities.remove(entity));
+  }
+
+  /**
+   * Draws each climb as a band in its category color over the route.
+   * @param {Array<object>} climbs - The climbs from ClimbDetector.detect.
+   */
+  renderClimbBands(climbs) {
+    const points = this.currentRouteAnalysisData;
+    const width = this.ui.getRouteWidth();
+    climbs.forEach(climb => {
+      this.viewer.entities.add({
+        polyline: {
+          positions: Cesium.Cartesian3.fromDegreesArray(
+            points.slice(climb.startIndex, climb.endIndex + 1).flatMap(p => [p.lon, p.lat])
+          ),
+          width: width + 4,
+          material: Cesium.Color.fromCssColorString(ClimbsPanel.getColor(climb)).withAlpha(0.6),
+          clampToGround: true,
+          zIndex: 1, // Above the route polylines
+        },
+        gpxEntity: true, // Tag for easy removal
+        climbBand: true, // Custom tag for specific climb band removal
+      });
+    });
+    this.performanceTuner.requestRender();
+  }
+
+  /**
+   * Clears all climb bands from the Cesium viewer.
+   */
+  clearClimbBands() {
+    const bandsToRemove = this.viewer.entities.values.filter(entity => entity.climbBand);
+    bandsToRemove.forEach(entity => this.viewer.entities.remove(entity));
+  }
+
+  /**
+   * Marks the stops on the time scrubber as fractions of the tour duration.
+   * @param {Array<object>} stops - The stops from StatisticsCalculator.detectStops.
+   * @private
+   */
+  _showStopsOnScrubber(stops) {
+    const { startTime, stopTime } = this.planProfile;
+    const totalDuration = startTime && stopTime ? Cesium.JulianDate.secondsDifference(stopTime, startTime) : 0;
+    if (totalDuration <= 0) {
+      this.ui.setScrubberStops([]);
+      return;
+    }
+    const toFraction = (date) => Cesium.JulianDate.secondsDifference(Cesium.JulianDate.fromDate(date), startTime) / totalDuration;
+    this.ui.setScrubberStops(stops.map(stop => ({ start: toFraction(stop.startTime), end: toFraction(stop.endTime) })));
+  }
+
   /**
    * Handles the selection of a route from the library dropdown.
    * @param {string} routeId - The ID of the selected route.
@@ -659,6 +1332,7 @@ class App {
   async handleRouteSelect(routeId) {
     this.clearRoute();
     this.activeRouteId = null;
+    this.libraryPanel.setActiveRoute(null);
 
     if (routeId === 'none') {
       this.setState('NO_ROUTE');
@@ -676,20 +1350,30 @@ class App {
 
     logger.info(`Loading route from library: "${route.name}"`);
     this.activeRouteId = routeId;
+    this.libraryPanel.setActiveRoute(routeId);
+    this._applyRouteSettings(route);
 
     try {
-      let gpxString = route.gpxString;
+      let gpxString = await RouteStorage.getGpxString(route.id);
 
       // If gpxString is not stored, fetch it using the cache-first strategy.
       if (!gpxString) {
         if (!route.source) throw new Error('Route has no gpxString and no source URL.');
-        gpxString = await RouteStorage.getGpx(route.source);
+        gpxString = await this._fetchRouteContent(route.source, route.format, route.name);
+        const updates = {};
+        if (route.format && route.format !== 'gpx') {
+          // Convert non-GPX sources once and keep the GPX, like the elevation enrichment does.
+          updates.gpxString = gpxString;
+        }
+        if (!route.fingerprint) {
+          // Routes added before fingerprinting, or whose content wasn't available when they were added.
+          updates.fingerprint = await RouteFingerprint.compute(gpxString);
+        }
+        if (Object.keys(updates).length > 0) {
+          await RouteStorage.updateRoute(route.id, updates);
+        }
       } else {
-        logger.info('Using gpxString from localStorage.');
-      }
-
-      if (!gpxString) {
-        throw new Error(`Could not retrieve GPX content for ${route.source}`);
+        logger.info('Using gpxString from the route database.');
       }
 
       this._processGpxData(gpxString, route);
@@ -701,6 +1385,56 @@ class App {
     }
   }
 
+  /**
+   * Loads the route settings stored on a route (see SettingsManager.getRouteKeys), or those shared in the URL it was opened with,
+   * which are then stored on it.
+   * @param {object} route - The route record from storage.
+   * @private
+   */
+  _applyRouteSettings(route) {
+    this.isApplyingRouteSettings = true;
+    try {
+      SettingsManager.getRouteKeys().forEach(key => {
+        const sharedValue = this.sharedRouteSettings[key];
+        SettingsManager.set(key, sharedValue !== undefined ? sharedValue : (route[key] || ''));
+        if (sharedValue !== undefined) this._saveRouteSetting(key, sharedValue);
+      });
+    } finally {
+      this.isApplyingRouteSettings = false;
+    }
+    this.sharedRouteSettings = {};
+  }
+
+  /**
+   * Handles a change of a route setting: stores it on the active route and plans the route again, unless the
+   * setting is only being loaded with a newly selected route (see _applyRouteSettings).
+   * @param {string} key - The setting.
+   * @param {string} value - Its new value.
+   * @private
+   */
+  _handleRouteSettingChange(key, value) {
+    if (this.isApplyingRouteSettings) return;
+    this._saveRouteSetting(key, value);
+    this.recalculateAnalytics();
+  }
+
+  /**
+   * Stores a changed route setting (see SettingsManager.getRouteKeys) on the record of the active route.
+   * @param {string} key - The setting.
+   * @param {string} value - Its new value.
+   * @private
+   */
+  _saveRouteSetting(key, value) {
+    const route = this.routes.find(r => r.id === this.activeRouteId);
+    if (!route || (route[key] || '') === value) return;
+    route[key] = value;
+    RouteStorage.updateRoute(route.id, { [key]: value })
+      .then(updatedRoute => {
+        if (!updatedRoute) logger.warn(`Could not store the ${key} of route "${route.name}".`);
+      })
+      .catch(error => logger.error(`Could not store the ${key} of route "${route.name}":`, error));
+  }
+
   /**
    * Clears the currently loaded route and all associated data.
    */
@@ -711,10 +1445,8 @@ class App {
     this.tourController.stopTour();
     this.person.reset();
 
-    if (this.routeEntity) {
-      this.viewer.entities.remove(this.routeEntity);
-      this.routeEntity = null;
-    }
+    this.routeEntities.forEach(entity => this.viewer.entities.remove(entity));
+    this.routeEntities = [];
 
     // Remove all entities that have our custom gpxEntity flag
     const entitiesToRemove = this.viewer.entities.values.filter(entity => entity.gpxEntity);
@@ -722,8 +1454,26 @@ class App {
     this.poiService.clearPoisFromViewer(); // Delegate to service
     this.clearRefuelMarkers(); // New: Clear refuel markers
     this.statsOverlay.hide(); // NEW: Hide stats overlay
+    this.elevationProfile.clear();
+    this.splitsPanel.clear();
+    this.climbsPanel.clear();
+    this.stagesPanel.clear();
+    this.checkpointsPanel.clear();
+    this.fuelPlanPanel.clear();
+    this.ui.setScrubberStops([]);
 
     this.currentPoints = [];
+    this.segments = [];
+    this.rawSegments = [];
+    this.gpsCleaningReport = null;
+    this.ui.updateGpsCleaningReport(null);
+    this.ui.updateDaylightReport(null);
+    this.activeSegmentIndex = 'all';
+    this.waypoints = [];
+    this.gpxDocument = null;
+    this.refuelPoints = [];
+    this.climbs = null;
+    this.ui.populateSegmentSelect([]);
     this.setState('NO_ROUTE');
   }
 
@@ -751,55 +1501,92 @@ class App {
   _processGpxData(gpxString, route) {
     const gpx = new gpxParser();
     gpx.parse(gpxString);
+    this.renderGpx(gpx, route);
+  }
 
-    if (!gpx.tracks.length) {
-      logger.error('No tracks found in the GPX data.');
-      alert('Error: No tracks found in the GPX data.');
-      this.setState('NO_ROUTE');
-      return;
-    }
+  /**
+   * Renders a GPX file that only contains waypoints as a set of markers and zooms to them.
+   * There is no route to play, so the app stays in the NO_ROUTE state.
+   * @param {object} gpx - The parsed GPX data from gpxParser.
+   */
+  renderWaypointsOnly(gpx) {
+    logger.info('GPX data contains only waypoints. Rendering them as markers.');
+    const waypointEntities = this._renderWaypoints(gpx.waypoints);
+    this.setState('NO_ROUTE');
+    this.viewer.zoomTo(waypointEntities);
+    this.performanceTuner.requestRender();
+  }
 
-    this.renderGpx(gpx, route);
+  /**
+   * Adds a labelled marker for each GPX waypoint.
+   * @param {Array<object>} waypoints - The waypoints from gpxParser.
+   * @returns {Array<Cesium.Entity>} The created marker entities.
+   * @private
+   */
+  _renderWaypoints(waypoints) {
+    logger.info(`Found ${waypoints.length} waypoints.`);
+    return waypoints.map(wpt => this.viewer.entities.add({
+      //position: Cesium.Cartesian3.fromDegrees(wpt.lon, wpt.lat, wpt.ele + 50 || 0),
+      position: Cesium.Cartesian3.fromDegrees(wpt.lon, wpt.lat, 300),
+      description: wpt.name,
+      gpxEntity: true, // Flag for cleanup
+      billboard: {
+        image: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png',
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        //heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+        clampToGround: true,
+      },
+      label: {
+        text: wpt.name,
+        font: '14pt sans-serif',
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        pixelOffset: new Cesium.Cartesian2(0, -50),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      },
+    }));
   }
 
   /**
-   * Renders the parsed GPX data on the Cesium map.
+   * Renders the parsed GPX data on the Cesium map. Files without any track or route points are shown as
+   * waypoints only, if they have any.
    * @param {object} gpx - The parsed GPX data from gpx-parser-builder.
    * @param {object} route - The route record from storage.
    */
   renderGpx(gpx, route) {
-    const track = gpx.tracks[0];
-    const points = track.points.map(p => ({ lon: p.lon, lat: p.lat, ele: p.ele, time: p.time }));
+    this.segments = TrackSegmenter.fromGpx(gpx);
+    if (this.segments.length === 0) {
+      // Route-only file (<rte>/<rtept>): convert the routes into playable segments and densify
+      // them, so that the missing points get draped on the terrain by the elevation enrichment.
+      logger.info('GPX data has no track points. Converting its routes into tracks.');
+      this.segments = TrackSegmenter.fromRoutes(gpx).map(segment => ({
+        ...segment,
+        points: RouteDensifier.densify(segment.points),
+      }));
+    }
+    const points = TrackSegmenter.concatenate(this.segments);
+
+    if (points.length === 0) {
+      if (gpx.waypoints.length) {
+        this.renderWaypointsOnly(gpx);
+        return;
+      }
+      logger.error('No track, route or waypoint points found in the GPX data.');
+      alert('Error: No track, route or waypoint points found in the GPX data.');
+      this.setState('NO_ROUTE');
+      return;
+    }
+
+    // Keep everything gpxParser doesn't, so that regenerated files (enrichment, download) lose nothing.
+    this.gpxDocument = GpxMetadataReader.read(gpx);
+    this.waypoints = this.gpxDocument.waypoints;
 
     // Render waypoints
     if (gpx.waypoints && gpx.waypoints.length > 0) {
-      logger.info(`Found ${gpx.waypoints.length} waypoints.`);
-      gpx.waypoints.forEach(wpt => {
-        this.viewer.entities.add({
-          //position: Cesium.Cartesian3.fromDegrees(wpt.lon, wpt.lat, wpt.ele + 50 || 0),
-          position: Cesium.Cartesian3.fromDegrees(wpt.lon, wpt.lat, 300),
-          description: wpt.name,
-          gpxEntity: true, // Flag for cleanup
-          billboard: {
-            image: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png',
-            verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
-            //heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
-            clampToGround: true,
-          },
-          label: {
-            text: wpt.name,
-            font: '14pt sans-serif',
-            verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
-            pixelOffset: new Cesium.Cartesian2(0, -50),
-            disableDepthTestDistance: Number.POSITIVE_INFINITY
-          },
-        });
-      });
+      this._renderWaypoints(gpx.waypoints);
     }
 
-    // Check if the GPX file has elevation and time data.
+    // Check if the GPX file has elevation data.
     const hasElevation = points.every(p => p.ele !== undefined && p.ele !== null);
-    this.hasNativeTimestamps = points.every(p => p.time !== undefined && p.time !== null);
 
     if (hasElevation) {
       logger.info('GPX file has elevation data.');
@@ -817,20 +1604,106 @@ class App {
    * @param {object} route - The route record from storage.
    */
   renderRoute(points, route) {
-    this.currentPoints = points;
-    this.updateRouteStyle(); // Draw the route polyline or corridor
+    // Sync the segments with the final (possibly enriched) points, then clean them and calculate their own stats.
+    this.rawSegments = TrackSegmenter.withPoints(this.segments, points);
+    this._applyGpsCleaning();
+    this.activeSegmentIndex = 'all';
+    this.ui.populateSegmentSelect(this.segments);
+
+    this._activatePoints(TrackSegmenter.concatenate(this.segments));
 
     // --- One-time operations after initial rendering ---
+    this.zoomToRoute();
+    logger.info('Route rendered successfully.');
+
+    // Use a one-time postRender listener to show the person.
+    // This ensures the engine has had a frame to process the new position
+    // and clamp it to the ground before making it visible, preventing a visual glitch.
+    const showPersonListener = () => {
+      this.person.show();
+      this.viewer.scene.postRender.removeEventListener(showPersonListener);
+    };
+    this.viewer.scene.postRender.addEventListener(showPersonListener);
+
+    this.setState('ROUTE_LOADED');
+
+    // Cache the whole route's stats for the library, then render stored POIs or fetch them.
+    if (route) {
+      RouteStorage.updateRoute(route.id, {
+        stats: {
+          totalDistance: parseFloat(this.baseRouteStats.totalDistance),
+          totalElevationGain: parseFloat(this.baseRouteStats.totalElevationGain),
+          totalKmEffort: parseFloat(this.baseRouteStats.totalKmEffort),
+          segmentCount: this.segments.length,
+          startTime: points[0].time ? points[0].time.toISOString() : null,
+        },
+      }).then(() => this.refreshLibrary()); // Show the stats in the library panel
+    }
+    this.loadAndRenderPois(route, points);
+
+    this.generateAndDisplayFilename(points, this._getPlannedStartDate());
+    this._updateShareableUrl(route);
+    this.statsOverlay.show(); // NEW: Show stats overlay
+  }
 
-    // Get positions regardless of entity type (polyline or corridor)
-    let positions;
-    if (this.routeEntity.polyline) {
-      positions = this.routeEntity.polyline.positions.getValue();
-    } else if (this.routeEntity.corridor) {
-      positions = this.routeEntity.corridor.positions.getValue();
+  /**
+   * Derives the segments from the raw segments, cleaned by GpsCleaner if 'gpsCleaning' is on,
+   * and calculates the stats of each segment.
+   * @private
+   */
+  _applyGpsCleaning() {
+    const rawPoints = TrackSegmenter.concatenate(this.rawSegments);
+    let points = rawPoints;
+    this.gpsCleaningReport = null;
+    if (SettingsManager.get('gpsCleaning')) {
+      const result = GpsCleaner.clean(rawPoints);
+      points = result.points;
+      this.gpsCleaningReport = result.report;
     }
+    this.ui.updateGpsCleaningReport(this.gpsCleaningReport);
 
-    const boundingSphere = Cesium.BoundingSphere.fromPoints(positions);
+    this.segments = TrackSegmenter.withPoints(this.rawSegments, points);
+    if (this.segments.length > 1) {
+      this.segments.forEach(segment => {
+        segment.stats = StatisticsCalculator.calculate(segment.points);
+      });
+    }
+  }
+
+  /**
+   * Switches between the raw and the cleaned GPS data of the loaded route, keeping the selected segment.
+   */
+  handleGpsCleaningToggle() {
+    if (this.state !== 'ROUTE_LOADED' && this.state !== 'TOUR_PLAYING' && this.state !== 'TOUR_PAUSED') return;
+    if (this.state !== 'ROUTE_LOADED') {
+      this.setState('ROUTE_LOADED');
+    }
+
+    this._applyGpsCleaning();
+    this.ui.populateSegmentSelect(this.segments);
+    this.ui.segmentSelect.value = String(this.activeSegmentIndex);
+    const points = this.activeSegmentIndex === 'all'
+      ? TrackSegmenter.concatenate(this.segments)
+      : this.segments[this.activeSegmentIndex].points;
+
+    logger.info(`GPS cleaning ${SettingsManager.get('gpsCleaning') ? 'enabled' : 'disabled'}. Reactivating ${points.length} points.`);
+    this._activatePoints(points);
+    this.performanceTuner.requestRender();
+  }
+
+  /**
+   * Makes the given points the active route: draws them and runs the full analysis pipeline.
+   * @param {Array<object>} points - The points of the whole tour or of a single segment.
+   * @private
+   */
+  _activatePoints(points) {
+    this.currentPoints = points;
+    this.hasNativeTimestamps = points.every(p => p.time !== undefined && p.time !== null);
+    this.updateRouteStyle(); // Draw the route polylines
+
+    const boundingSphere = Cesium.BoundingSphere.fromPoints(
+      points.map(p => Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.ele || 0))
+    );
     this.routeCenter = boundingSphere.center;
 
     let maxElevation = 0; // Keeping this for now as it's used by TourController
@@ -839,62 +1712,113 @@ class App {
     });
     this.maxRouteElevation = maxElevation;
 
-    this.viewer.zoomTo(this.routeEntity);
-    logger.info('Route rendered successfully.');
-
     // Calculate and display comprehensive statistics
     this.baseRouteStats = StatisticsCalculator.calculate(points);
     this.currentRouteAnalysisData = this.baseRouteStats.perPointData; // Store rich per-point data
-    
-    this.handleAnalysisUpdate(); // New: Auto-calculate energy and time on load
 
-    // Use a one-time postRender listener to show the person.
-    // This ensures the engine has had a frame to process the new position
-    // and clamp it to the ground before making it visible, preventing a visual glitch.
-    const showPersonListener = () => {
-      this.person.show();
-      this.viewer.scene.postRender.removeEventListener(showPersonListener);
-    };
-    this.viewer.scene.postRender.addEventListener(showPersonListener);
+    this.handleAnalysisUpdate(); // New: Auto-calculate energy and time on load
+  }
 
-    this.setState('ROUTE_LOADED');
+  /**
+   * Handles the selection of a track segment, or of the continuous tour of all segments.
+   * @param {string} segmentValue - 'all' or the index of the selected segment.
+   */
+  handleSegmentSelect(segmentValue) {
+    if (this.segments.length === 0) return;
 
-    // Check if POIs are already stored, otherwise fetch them.
-    if (route && route.pois && route.pois.length > 0) {
-      logger.info(`Rendering ${route.pois.length} POIs from local storage.`);
-      this.poiService.renderPois(route.pois, this.poisAreVisible);
-    } else {
-      this.fetchAndRenderPois(points);
+    if (this.state === 'TOUR_PLAYING' || this.state === 'TOUR_PAUSED') {
+      this.setState('ROUTE_LOADED');
     }
 
-    this.generateAndDisplayFilename(points);
-    this._updateShareableUrl(route);
-    this.statsOverlay.show(); // NEW: Show stats overlay
+    this.activeSegmentIndex = segmentValue === 'all' ? 'all' : parseInt(segmentValue, 10);
+    const points = this.activeSegmentIndex === 'all'
+      ? TrackSegmenter.concatenate(this.segments)
+      : this.segments[this.activeSegmentIndex].points;
+
+    logger.info(`Activating segment selection: ${segmentValue} (${points.length} points).`);
+    this._activatePoints(points);
+    this.generateAndDisplayFilename(points, this._getPlannedStartDate());
+    this.zoomToRoute();
+    this.performanceTuner.requestRender();
+  }
+
+  /**
+   * Returns the start of the active plan: the first timestamp of a recorded route, the planned start otherwise.
+   * @returns {Date|undefined} The start, or undefined without a plan.
+   * @private
+   */
+  _getPlannedStartDate() {
+    return this.planProfile && this.planProfile.startTime ? Cesium.JulianDate.toDate(this.planProfile.startTime) : undefined;
   }
 
   /**
    * Generates and displays a suggested filename for the route.
    * @param {Array<object>} points - An array of points with lon and lat properties.
+   * @param {Date} [startTime] - The start of the route (see FilenameGenerator.generate).
    */
-  async generateAndDisplayFilename(points) {
+  async generateAndDisplayFilename(points, startTime) {
     if (points.length < 2) return;
 
-    const startPoint = points[0];
-    const endPoint = points[points.length - 1];
+    const filename = await FilenameGenerator.generate(points, startTime);
+    if (this.currentPoints.length === 0) return; // The route was cleared while geocoding
 
-    const startLocation = await ReverseGeocodingService.getLocationName(startPoint.lat, startPoint.lon);
-    const endLocation = await ReverseGeocodingService.getLocationName(endPoint.lat, endPoint.lon);
+    this.ui.updateFilenameContent(filename);
+  }
 
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const day = now.getDate().toString().padStart(2, '0');
-    const hours = now.getHours().toString().padStart(2, '0');
-    const minutes = now.getMinutes().toString().padStart(2, '0');
+  /**
+   * Downloads the active route as a GPX file. The file contains the (possibly terrain-enriched) elevation,
+   * the native timestamps or, for routes without them, the times planned by the PerformancePlanner,
+   * the original metadata and waypoints and the planned refuel stops as waypoints.
+   */
+  async handleDownloadGpx() {
+    if (!this.planProfile || this.currentPoints.length === 0) {
+      logger.warn('Download requested without a loaded route.');
+      return;
+    }
 
-    const filename = `${year}-${month}-${day}.${hours}${minutes}_${startLocation}_${endLocation}.gpx`;
+    const plannedData = this.planProfile.perPointData;
+    const plannedStartMs = Cesium.JulianDate.toDate(this.planProfile.startTime).getTime();
+    const points = plannedData.map(p => ({
+      ...p,
+      time: this.hasNativeTimestamps ? p.time : new Date(plannedStartMs + p.projectedTime * 1000),
+    }));
+
+    const waypoints = [...this.waypoints];
+    this.refuelPoints.forEach((refuelPoint, index) => {
+      const plannedIndex = plannedData.findIndex(d => d.cumulativeDistance === refuelPoint.cumulativeDistance);
+      waypoints.push({
+        lat: refuelPoint.lat,
+        lon: refuelPoint.lon,
+        ele: refuelPoint.ele,
+        time: plannedIndex !== -1 ? points[plannedIndex].time : null,
+        name: `Refuel ${index + 1} (${refuelPoint.cumulativeKcal.toFixed(0)} kcal)`,
+      });
+    });
 
+    const route = this.routes.find(r => r.id === this.activeRouteId);
+    const gpxString = GpxGenerator.generate(points, route ? route.name : 'Route', waypoints, this.gpxDocument || {});
+    // Named after the exported points and their start, which the plan may have changed since the route was loaded
+    const filename = await FilenameGenerator.generate(points, new Date(plannedStartMs));
     this.ui.updateFilenameContent(filename);
+    this.ui.downloadFile(gpxString, filename, 'application/gpx+xml');
+    logger.info(`Downloaded route as "${filename}" (${points.length} points, ${waypoints.length} waypoints).`);
+  }
+
+  /**
+   * Renders the POIs stored for a route, or fetches them if none are stored yet.
+   * @param {object} route - The route record from storage.
+   * @param {Array<object>} points - An array of points with lon and lat properties.
+   */
+  async loadAndRenderPois(route, points) {
+    const storedPois = route ? await RouteStorage.getPois(route.id, this.poiService.queryVersion) : [];
+    if (storedPois.length > 0) {
+      logger.info(`Rendering ${storedPois.length} POIs from the route database.`);
+      this.poiService.renderPois(storedPois, this.poisAreVisible);
+      this.elevationProfile.setAnnotations('poi', storedPois);
+      this._replanWithPois();
+    } else {
+      this.fetchAndRenderPois(points);
+    }
   }
 
   /**
@@ -908,14 +1832,25 @@ class App {
 
     // Save the fetched POIs to storage for next time
     if (this.activeRouteId && pois.length > 0) {
-      RouteStorage.updateRoute(this.activeRouteId, { pois: pois });
-      // Also update our cached version
-      const route = this.routes.find(r => r.id === this.activeRouteId);
-      if (route) route.pois = pois;
+      RouteStorage.updateRoute(this.activeRouteId, { pois: pois, poisVersion: this.poiService.queryVersion });
     }
 
     this.poiService.renderPois(pois, this.poisAreVisible);
+    this.elevationProfile.setAnnotations('poi', pois);
     this.ui.setPoiButtonState(this.poisAreVisible); // Update button state
+    this._replanWithPois();
+  }
+
+  /**
+   * Plans the route again once the POIs are known, if its stages may end at lodging along the route
+   * or its water plan refills at the water sources.
+   * @private
+   */
+  _replanWithPois() {
+    const mayEndAtLodging = SettingsManager.get('dailyWalkingHours') > 0 && SettingsManager.get('overnightAtLodging');
+    if (mayEndAtLodging || SettingsManager.get('sweatRateMlPerHour') > 0) {
+      this.recalculateAnalytics();
+    }
   }
 
   /**
@@ -942,7 +1877,7 @@ class App {
       logger.info('Elevation data enriched successfully.');
 
       // Generate the new GPX string and save it back to storage
-      const newGpxString = GpxGenerator.generate(enrichedPoints, route.name);
+      const newGpxString = GpxGenerator.generate(enrichedPoints, route.name, this.waypoints, this.gpxDocument);
       RouteStorage.updateRoute(route.id, { gpxString: newGpxString });
 
       this.ui.setClampToGroundLocked(false);
@@ -960,31 +1895,62 @@ class App {
   }
 
   /**
-   * Updates only the style of the route polyline (color, width, clamp).
+   * Updates only the style of the route polylines (color, width, clamp).
+   * Every track segment gets its own polyline. The active segment(s) are drawn in the route
+   * color, other segments are dimmed, and in the continuous tour the gaps between segments
+   * are shown as dashed connectors.
    */
   updateRouteStyle() {
-    // Remove existing route entity if it exists
-    if (this.routeEntity) {
-      this.viewer.entities.remove(this.routeEntity);
-    }
+    // Remove existing route entities if they exist
+    this.routeEntities.forEach(entity => this.viewer.entities.remove(entity));
+    this.routeEntities = [];
 
     const clampToGround = this.ui.getClampToGroundChecked();
     const color = Cesium.Color.fromCssColorString(this.ui.getRouteColor());
     const width = this.ui.getRouteWidth();
-
-    this.routeEntity = this.viewer.entities.add({
-      polyline: {
-        positions: Cesium.Cartesian3.fromDegreesArrayHeights(
-          this.currentPoints.flatMap(p => [p.lon, p.lat, p.ele])
-        ),
-        width: width,
-        material: new Cesium.PolylineGlowMaterialProperty({
-          glowPower: 0.2,
-          color: color,
-        }),
-        clampToGround: true,
-      },
+    const showAll = this.activeSegmentIndex === 'all';
+    const segments = this.segments.length > 0 ? this.segments : [{ points: this.currentPoints }];
+
+    segments.forEach((segment, index) => {
+      if (segment.points.length < 2) return;
+      const isActive = showAll || index === this.activeSegmentIndex;
+      const entity = this.viewer.entities.add({
+        polyline: {
+          positions: Cesium.Cartesian3.fromDegreesArrayHeights(
+            segment.points.flatMap(p => [p.lon, p.lat, p.ele])
+          ),
+          width: isActive ? width : Math.max(1, Math.round(width / 2)),
+          material: new Cesium.PolylineGlowMaterialProperty({
+            glowPower: 0.2,
+            color: isActive ? color : color.withAlpha(0.35),
+          }),
+          clampToGround: true,
+        },
+      });
+      entity.isActiveRoute = isActive; // Custom tag used by zoomToRoute
+      this.routeEntities.push(entity);
     });
+
+    if (showAll) {
+      TrackSegmenter.getGaps(this.segments).forEach(gap => {
+        this.routeEntities.push(this.viewer.entities.add({
+          polyline: {
+            positions: Cesium.Cartesian3.fromDegreesArray([gap.from.lon, gap.from.lat, gap.to.lon, gap.to.lat]),
+            width: Math.max(1, Math.round(width / 2)),
+            material: new Cesium.PolylineDashMaterialProperty({
+              color: color.withAlpha(0.8),
+              dashLength: 16,
+            }),
+            clampToGround: true,
+          },
+        }));
+      });
+    }
+
+    if (this.climbs) { // Redraw the climb bands in the new route width
+      this.clearClimbBands();
+      this.renderClimbBands(this.climbs.climbs);
+    }
     this.performanceTuner.requestRender();
   }
 
@@ -992,8 +1958,9 @@ class App {
    * Zooms the camera to the full extent of the route.
    */
   zoomToRoute() {
-    if (this.routeEntity) {
-      this.viewer.zoomTo(this.routeEntity);
+    const activeEntities = this.routeEntities.filter(entity => entity.isActiveRoute);
+    if (activeEntities.length > 0) {
+      this.viewer.zoomTo(activeEntities);
       this.performanceTuner.requestRender();
     }
   }
@@ -1051,6 +2018,10 @@ class App {
             this.person.entity.label.text = state.timeString;
         }
         this.statsOverlay.updateReplayStats(state.liveStats, this.hasNativeTimestamps);
+        this.elevationProfile.setPosition(state.distance);
+        this.climbsPanel.setPosition(state.distance);
+        this.stagesPanel.setPosition(state.distance);
+        this.checkpointsPanel.setPosition(state.distance);
       });
     });
 
@@ -1096,6 +2067,10 @@ class App {
     this.performanceTuner.deactivate();
     this.tourController.stopTour();
     this.ui.updateScrubber(0);
+    this.elevationProfile.setPosition(null);
+    this.climbsPanel.setPosition(null);
+    this.stagesPanel.setPosition(null);
+    this.checkpointsPanel.setPosition(null);
     this.ui.setPlayPauseButtonState(false);
 
     // Manually update time displays to the start time
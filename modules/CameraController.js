@@ -1,5 +1,7 @@
 import logger from './Logger.js';
 import SettingsManager from './SettingsManager.js';
+import PaceModel from './PaceModel.js';
+import PerformancePlanner from './PerformancePlanner.js';
 import CinematicCameraStrategy from './CinematicCameraStrategy.js';
 import OverheadCameraStrategy from './OverheadCameraStrategy.js';
 import ThirdPersonCameraStrategy from './ThirdPersonCameraStrategy.js';
@@ -279,15 +281,11 @@ class CameraController {
         const elapsedSeconds = Math.floor(elapsedTimeSeconds % 60).toString().padStart(2, '0');
         const elapsedTimeString = `${elapsedHours}:${elapsedMinutes}:${elapsedSeconds}`;
         
-        let timeString;
         const hasNativeTimestamps = this._currentTourData.perPointData[0].time !== null;
 
-        if (hasNativeTimestamps) {
-            const jsDate = Cesium.JulianDate.toDate(currentTime);
-            timeString = `${jsDate.getFullYear()}-${(jsDate.getMonth() + 1).toString().padStart(2, '0')}-${jsDate.getDate().toString().padStart(2, '0')} ${jsDate.getHours().toString().padStart(2, '0')}:${jsDate.getMinutes().toString().padStart(2, '0')}:${jsDate.getSeconds().toString().padStart(2, '0')}`;
-        } else {
-            timeString = elapsedTimeString;
-        }
+        // Recorded routes show their own times, synthetic ones the times planned from the 'plannedStart'.
+        const jsDate = Cesium.JulianDate.toDate(currentTime);
+        const timeString = `${jsDate.getFullYear()}-${(jsDate.getMonth() + 1).toString().padStart(2, '0')}-${jsDate.getDate().toString().padStart(2, '0')} ${jsDate.getHours().toString().padStart(2, '0')}:${jsDate.getMinutes().toString().padStart(2, '0')}:${jsDate.getSeconds().toString().padStart(2, '0')}`;
 
         const liveStats = {};
         let currentPoint;
@@ -307,6 +305,10 @@ class CameraController {
             liveStats.distance = (currentPoint.cumulativeDistance / 1000).toFixed(2);
             liveStats.ascent = (currentPoint.cumulativeElevationGain).toFixed(0);
             liveStats.kcal = currentPoint.cumulativeKcal.toFixed(0);
+            liveStats.paceModel = PaceModel.getLabel(SettingsManager.get('paceModel'));
+            // The next checkpoint, with the arrival projected from the time replayed so far
+            const checkpointStatus = PerformancePlanner.getCheckpointStatus(this._currentTourData.checkpoints, currentPoint, elapsedTimeSeconds);
+            if (checkpointStatus) liveStats.checkpoint = checkpointStatus;
 
             if (hasNativeTimestamps) {
                 liveStats.actualSpeed = currentPoint.actualSmoothedSpeedKmh.toFixed(1);
@@ -315,6 +317,11 @@ class CameraController {
                 liveStats.plannedVSpeed = (Math.round(currentPoint.plannedSmoothedElevationRate / 10) * 10);
                 liveStats.actualKmEffortRate = currentPoint.actualSmoothedKmEffortRate.toFixed(1);
                 liveStats.plannedKmEffortRate = currentPoint.plannedSmoothedKmEffortRate.toFixed(1);
+                // Sensor channels, only present if the track recorded them.
+                if (currentPoint.actualSmoothedHr !== undefined) liveStats.heartRate = currentPoint.actualSmoothedHr.toFixed(0);
+                if (currentPoint.actualSmoothedCad !== undefined) liveStats.cadence = currentPoint.actualSmoothedCad.toFixed(0);
+                if (currentPoint.actualSmoothedPower !== undefined) liveStats.power = currentPoint.actualSmoothedPower.toFixed(0);
+                if (currentPoint.actualSmoothedAtemp !== undefined) liveStats.temperature = currentPoint.actualSmoothedAtemp.toFixed(1);
             } else {
                 liveStats.plannedSpeed = currentPoint.plannedSmoothedSpeed.toFixed(1);
                 liveStats.plannedVSpeed = (Math.round(currentPoint.plannedSmoothedElevationRate / 10) * 10);
@@ -326,6 +333,7 @@ class CameraController {
             percentage,
             timeString,
             liveStats,
+            distance: currentPoint ? currentPoint.cumulativeDistance : null, // In meters, for the elevation profile
         });
     }
   }
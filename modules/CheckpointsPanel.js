@@ -0,0 +1,196 @@
+import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+import StatisticsCalculator from './StatisticsCalculator.js';
+import PerformancePlanner from './PerformancePlanner.js';
+
+/**
+ * The "Checkpoints" panel: edits the race checkpoints of the 'checkpoints' setting and lists them with their
+ * cut-off, planned arrival and the margin against the cut-off (and the actual arrival for recorded routes).
+ * Checkpoints can be typed in, added at the tour position or loaded from the named waypoints of the GPX file
+ * (through `onLoadFromWaypoints`). Clicking a row reports the checkpoint's distance through `onSeek`.
+ */
+class CheckpointsPanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.checkpoints = [];
+    this.startDate = null;
+    this.position = null;
+
+    // Callbacks to be set by the App class
+    this.onSeek = () => {};
+    this.onLoadFromWaypoints = () => {};
+
+    this._createDom();
+    SettingsManager.subscribe('checkpoints', (value) => { this.input.value = value; });
+    logger.info('CheckpointsPanel initialized.');
+  }
+
+  /**
+   * Builds the checkpoint input, the buttons and the (empty) table.
+   * @private
+   */
+  _createDom() {
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'checkpoints-input';
+    this.input.placeholder = 'e.g. 10.2 Tai Tam @ 2:30; 24 Parkview @ 6:00';
+    this.input.title = 'Checkpoints as "km name @ cut-off", the cut-off being the race time h:mm, separated by semicolons';
+    this.input.spellcheck = false;
+    this.input.value = SettingsManager.get('checkpoints');
+    this.input.addEventListener('change', (event) => SettingsManager.set('checkpoints', event.target.value));
+
+    const nav = document.createElement('div');
+    nav.className = 'checkpoints-nav';
+    this.addButton = document.createElement('button');
+    this.addButton.textContent = 'Add Here';
+    this.addButton.title = 'Add a checkpoint at the current tour position';
+    this.addButton.addEventListener('click', () => this._addCheckpoint());
+    this.waypointsButton = document.createElement('button');
+    this.waypointsButton.textContent = 'From Waypoints';
+    this.waypointsButton.title = 'Use the named waypoints of the GPX file along the route';
+    this.waypointsButton.addEventListener('click', () => this.onLoadFromWaypoints());
+    this.clearButton = document.createElement('button');
+    this.clearButton.textContent = 'Clear';
+    this.clearButton.addEventListener('click', () => SettingsManager.set('checkpoints', ''));
+    nav.append(this.addButton, this.waypointsButton, this.clearButton);
+
+    this.table = document.createElement('table');
+    this.table.className = 'checkpoints-table';
+
+    this.container.append(this.input, nav, this.table);
+    this._updateButtons();
+  }
+
+  /**
+   * Sets the planned checkpoints of the active route.
+   * @param {Array<object>} checkpoints - The checkpoints from PerformancePlanner.planPerformanceProfile.
+   * @param {Date|null} startDate - The start of the route, to show the times of day.
+   */
+  setData(checkpoints, startDate) {
+    this.checkpoints = checkpoints || [];
+    this.startDate = startDate;
+    this._render();
+  }
+
+  /**
+   * Removes the checkpoints, e.g. when the route is cleared.
+   */
+  clear() {
+    this.position = null;
+    this.setData([], null);
+    this._updateButtons();
+  }
+
+  /**
+   * Highlights the next checkpoint ahead of the tour position.
+   * @param {number|null} distance - The distance along the route in meters, or null when the tour is stopped.
+   */
+  setPosition(distance) {
+    this.position = distance;
+    this._highlightNext();
+    this._updateButtons();
+  }
+
+  /**
+   * Renders the table of checkpoints.
+   * @private
+   */
+  _render() {
+    this.table.innerHTML = '';
+    if (this.checkpoints.length === 0) return;
+
+    const hasActualTimes = this.checkpoints.some(checkpoint => checkpoint.actualArrivalSec !== null);
+    const headers = ['Checkpoint', 'Km', 'Cut-off', 'Plan', 'Margin'];
+    if (hasActualTimes) headers.push('Actual', 'Margin');
+    const headerRow = this.table.createTHead().insertRow();
+    headers.forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const body = this.table.createTBody();
+    this.checkpoints.forEach(checkpoint => {
+      const row = body.insertRow();
+      row.title = 'Jump to this checkpoint';
+      row.addEventListener('click', () => this.onSeek(checkpoint.distance));
+
+      row.insertCell().textContent = checkpoint.name;
+      row.insertCell().textContent = (checkpoint.distance / 1000).toFixed(1);
+      this._insertTimeCell(row, checkpoint.cutoffSec);
+      this._insertTimeCell(row, checkpoint.plannedArrivalSec);
+      this._insertMarginCell(row, checkpoint.marginSec);
+      if (hasActualTimes) {
+        this._insertTimeCell(row, checkpoint.actualArrivalSec);
+        this._insertMarginCell(row, checkpoint.actualMarginSec);
+      }
+    });
+    this._highlightNext();
+  }
+
+  /**
+   * Adds a cell with a race time, and the time of day as its tooltip.
+   * @param {HTMLTableRowElement} row - The row.
+   * @param {number|null} seconds - The time since the start, or null for none.
+   * @private
+   */
+  _insertTimeCell(row, seconds) {
+    const cell = row.insertCell();
+    if (seconds === null) return;
+    cell.textContent = StatisticsCalculator.getDurationString(seconds);
+    if (this.startDate) {
+      const date = new Date(this.startDate.getTime() + seconds * 1000);
+      cell.title = `${date.toLocaleDateString()} ${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    }
+  }
+
+  /**
+   * Adds a cell with the margin against a cut-off, in red when the cut-off is missed.
+   * @param {HTMLTableRowElement} row - The row.
+   * @param {number|null} seconds - The margin, or null without a cut-off.
+   * @private
+   */
+  _insertMarginCell(row, seconds) {
+    const cell = row.insertCell();
+    if (seconds === null) return;
+    cell.textContent = `${seconds < 0 ? '−' : '+'}${StatisticsCalculator.getDurationString(Math.abs(seconds))}`;
+    cell.className = seconds < 0 ? 'behind-plan' : 'ahead-of-plan';
+  }
+
+  /**
+   * Marks the row of the next checkpoint ahead of the tour.
+   * @private
+   */
+  _highlightNext() {
+    const body = this.table.tBodies[0];
+    if (!body) return;
+    const nextIndex = this.position === null ? -1 : this.checkpoints.findIndex(checkpoint => checkpoint.distance >= this.position);
+    this.checkpoints.forEach((checkpoint, index) => {
+      body.rows[index].classList.toggle('current', index === nextIndex);
+    });
+  }
+
+  /**
+   * Enables "Add Here" while the tour has a position.
+   * @private
+   */
+  _updateButtons() {
+    this.addButton.disabled = this.position === null;
+  }
+
+  /**
+   * Adds a checkpoint without a cut-off at the current tour position.
+   * @private
+   */
+  _addCheckpoint() {
+    if (this.position === null) return;
+    const checkpoints = PerformancePlanner.parseCheckpoints(SettingsManager.get('checkpoints'));
+    checkpoints.push({ distance: Math.round(this.position / 100) * 100, name: `CP${checkpoints.length + 1}`, cutoffSec: null });
+    SettingsManager.set('checkpoints', PerformancePlanner.formatCheckpoints(checkpoints.sort((a, b) => a.distance - b.distance)));
+  }
+}
+
+export default CheckpointsPanel;
@@ -0,0 +1,182 @@
+// A climb (or descent) ends once the elevation has turned back by this much from its top (or bottom).
+const REVERSAL_METERS = 20;
+
+// Flat stretches at either end of a section, within this much of its bottom or top elevation, are trimmed off.
+const FLAT_TOLERANCE_METERS = 2;
+
+// Sections flatter than this on average are rolling terrain, not climbs.
+const MIN_AVERAGE_GRADE = 3; // %
+
+// Difficulty categories by score (length in meters × average grade in %), hardest first,
+// following the scale common in cycling apps. Sections scoring below the last one aren't reported.
+const CATEGORIES = [
+  { name: 'HC', minScore: 80000 },
+  { name: '1', minScore: 64000 },
+  { name: '2', minScore: 32000 },
+  { name: '3', minScore: 16000 },
+  { name: '4', minScore: 8000 },
+];
+
+/**
+ * Finds the significant climbs and descents of a route in the output of StatisticsCalculator.calculate,
+ * using the filtered elevation (`smoothedEle`) and the point grades.
+ */
+class ClimbDetector {
+  /**
+   * Detects the climbs and descents of a route.
+   * The elevation profile is split at its turning points (ignoring reversals smaller than 20 m); every
+   * ascending or descending section steep and long enough for a category is reported.
+   * @param {Array<object>} perPointData - The points from StatisticsCalculator.calculate, with cumulativeDistance,
+   *   smoothedEle and grade.
+   * @returns {object} { climbs, descents }, each a list in route order of sections { type ('climb' or 'descent'),
+   *   startIndex, endIndex, startDistance, endDistance, length, startElevation, endElevation, elevationChange (m, positive),
+   *   averageGrade and maxGrade (%, positive), score, category ('HC', '1' ... '4') }.
+   */
+  static detect(perPointData) {
+    const climbs = [];
+    const descents = [];
+    if (!perPointData || perPointData.length < 2) {
+      return { climbs, descents };
+    }
+
+    this._findTurningPoints(perPointData).forEach(([startIndex, endIndex]) => {
+      const section = this._describeSection(perPointData, ...this._trimFlatEnds(perPointData, startIndex, endIndex));
+      if (!section) return;
+      (section.type === 'climb' ? climbs : descents).push(section);
+    });
+    return { climbs, descents };
+  }
+
+  /**
+   * Splits the elevation profile into alternating ascending and descending sections, with hysteresis.
+   * @param {Array<object>} perPointData - The points of the route.
+   * @returns {Array<Array<number>>} The [startIndex, endIndex] of each section.
+   * @private
+   */
+  static _findTurningPoints(perPointData) {
+    const sections = [];
+    let direction = 0; // 1 while ascending, -1 while descending, 0 until the first significant change
+    let startIndex = 0;
+    let extremeIndex = 0; // The highest point of the current ascent, or the lowest of the current descent
+    let minIndex = 0;
+    let maxIndex = 0;
+
+    for (let i = 1; i < perPointData.length; i++) {
+      const elevation = this._elevationOf(perPointData[i]);
+
+      if (direction === 0) {
+        if (elevation < this._elevationOf(perPointData[minIndex])) minIndex = i;
+        if (elevation > this._elevationOf(perPointData[maxIndex])) maxIndex = i;
+        if (elevation - this._elevationOf(perPointData[minIndex]) >= REVERSAL_METERS) {
+          direction = 1;
+          startIndex = minIndex;
+          extremeIndex = i;
+        } else if (this._elevationOf(perPointData[maxIndex]) - elevation >= REVERSAL_METERS) {
+          direction = -1;
+          startIndex = maxIndex;
+          extremeIndex = i;
+        }
+        continue;
+      }
+
+      const extremeElevation = this._elevationOf(perPointData[extremeIndex]);
+      if ((elevation - extremeElevation) * direction > 0) {
+        extremeIndex = i;
+      } else if ((extremeElevation - elevation) * direction >= REVERSAL_METERS) {
+        sections.push([startIndex, extremeIndex]);
+        startIndex = extremeIndex;
+        extremeIndex = i;
+        direction = -direction;
+      }
+    }
+
+    if (direction !== 0) {
+      sections.push([startIndex, extremeIndex]);
+    }
+    return sections;
+  }
+
+  /**
+   * Narrows a section to where it actually climbs or descends: it starts at the last point still level with
+   * its bottom (or top) and ends at the first point level with its top (or bottom).
+   * @param {Array<object>} perPointData - The points of the route.
+   * @param {number} startIndex - The index of the section's first point.
+   * @param {number} endIndex - The index of the section's last point.
+   * @returns {Array<number>} The trimmed [startIndex, endIndex].
+   * @private
+   */
+  static _trimFlatEnds(perPointData, startIndex, endIndex) {
+    const startElevation = this._elevationOf(perPointData[startIndex]);
+    const endElevation = this._elevationOf(perPointData[endIndex]);
+    const sign = endElevation >= startElevation ? 1 : -1;
+
+    let trimmedStart = startIndex;
+    for (let i = startIndex; i < endIndex; i++) {
+      if ((this._elevationOf(perPointData[i]) - startElevation) * sign <= FLAT_TOLERANCE_METERS) trimmedStart = i;
+    }
+    let trimmedEnd = endIndex;
+    for (let i = endIndex; i > trimmedStart; i--) {
+      if ((endElevation - this._elevationOf(perPointData[i])) * sign <= FLAT_TOLERANCE_METERS) trimmedEnd = i;
+    }
+    return [trimmedStart, trimmedEnd];
+  }
+
+  /**
+   * Measures a section and categorizes it.
+   * @param {Array<object>} perPointData - The points of the route.
+   * @param {number} startIndex - The index of the section's first point.
+   * @param {number} endIndex - The index of the section's last point.
+   * @returns {object|null} The section (see detect), or null if it's too flat or too small for a category.
+   * @private
+   */
+  static _describeSection(perPointData, startIndex, endIndex) {
+    const start = perPointData[startIndex];
+    const end = perPointData[endIndex];
+    const length = end.cumulativeDistance - start.cumulativeDistance;
+    if (length <= 0) return null;
+
+    const startElevation = this._elevationOf(start);
+    const endElevation = this._elevationOf(end);
+    const type = endElevation >= startElevation ? 'climb' : 'descent';
+    const elevationChange = Math.abs(endElevation - startElevation);
+    const averageGrade = (elevationChange / length) * 100;
+    const score = length * averageGrade;
+    const category = CATEGORIES.find(c => score >= c.minScore);
+    if (averageGrade < MIN_AVERAGE_GRADE || !category) return null;
+
+    const sign = type === 'climb' ? 1 : -1;
+    let maxGrade = averageGrade;
+    for (let i = startIndex + 1; i <= endIndex; i++) {
+      const grade = (perPointData[i].grade || 0) * sign;
+      if (grade > maxGrade) maxGrade = grade;
+    }
+
+    return {
+      type,
+      startIndex,
+      endIndex,
+      startDistance: start.cumulativeDistance,
+      endDistance: end.cumulativeDistance,
+      length,
+      startElevation,
+      endElevation,
+      elevationChange,
+      averageGrade,
+      maxGrade,
+      score,
+      category: category.name,
+    };
+  }
+
+  /**
+   * Returns the filtered elevation of a point, falling back to the raw elevation.
+   * @param {object} point - A point from StatisticsCalculator.calculate.
+   * @returns {number} The elevation in meters.
+   * @private
+   */
+  static _elevationOf(point) {
+    return point.smoothedEle !== undefined ? point.smoothedEle : (point.ele || 0);
+  }
+}
+
+export default ClimbDetector;
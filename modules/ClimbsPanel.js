@@ -0,0 +1,170 @@
+import logger from './Logger.js';
+
+// Band and swatch colors per climb category, from hardest to easiest; descents share one color.
+const CATEGORY_COLORS = {
+  HC: '#b71c1c',
+  1: '#e53935',
+  2: '#fb8c00',
+  3: '#fdd835',
+  4: '#c0ca33',
+};
+const DESCENT_COLOR = '#1e88e5';
+
+// Distance in meters the tour must be past a section's start for "previous" to go back to that section's start
+// rather than to the one before it.
+const SEEK_TOLERANCE_METERS = 10;
+
+/**
+ * The "Climbs" panel: lists the climbs and descents found by ClimbDetector, in route order, with their
+ * category, position, length, elevation change and grades. Clicking a row, or the previous/next buttons,
+ * reports the start of a section through `onSeek`, so the App can move the tour there.
+ */
+class ClimbsPanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.sections = [];
+    this.position = null;
+
+    // Callback to be set by the App class
+    this.onSeek = () => {};
+
+    this._createDom();
+    logger.info('ClimbsPanel initialized.');
+  }
+
+  /**
+   * Returns the display color of a climb or descent.
+   * @param {object} section - A section from ClimbDetector.detect.
+   * @returns {string} The CSS color.
+   */
+  static getColor(section) {
+    return section.type === 'descent' ? DESCENT_COLOR : CATEGORY_COLORS[section.category];
+  }
+
+  /**
+   * Builds the previous/next buttons and the (empty) table.
+   * @private
+   */
+  _createDom() {
+    const nav = document.createElement('div');
+    nav.className = 'climbs-nav';
+    this.previousButton = document.createElement('button');
+    this.previousButton.textContent = '◀ Previous';
+    this.previousButton.addEventListener('click', () => this._jump(-1));
+    this.nextButton = document.createElement('button');
+    this.nextButton.textContent = 'Next ▶';
+    this.nextButton.addEventListener('click', () => this._jump(1));
+    nav.append(this.previousButton, this.nextButton);
+
+    this.emptyMessage = document.createElement('p');
+    this.emptyMessage.className = 'climbs-empty';
+    this.emptyMessage.textContent = 'No significant climbs or descents.';
+
+    this.table = document.createElement('table');
+    this.table.className = 'climbs-table';
+
+    this.container.append(nav, this.emptyMessage, this.table);
+  }
+
+  /**
+   * Sets the climbs and descents of the active route.
+   * @param {object} detected - The result of ClimbDetector.detect ({ climbs, descents }).
+   */
+  setData({ climbs = [], descents = [] } = {}) {
+    this.sections = [...climbs, ...descents].sort((a, b) => a.startDistance - b.startDistance);
+    this._render();
+  }
+
+  /**
+   * Removes the climbs, e.g. when the route is cleared.
+   */
+  clear() {
+    this.position = null;
+    this.setData();
+  }
+
+  /**
+   * Highlights the section containing the current tour position.
+   * @param {number|null} distance - The distance along the route in meters, or null when the tour is stopped.
+   */
+  setPosition(distance) {
+    this.position = distance;
+    this._highlightCurrent();
+  }
+
+  /**
+   * Renders the table of sections.
+   * @private
+   */
+  _render() {
+    this.table.innerHTML = '';
+    const hasSections = this.sections.length > 0;
+    this.emptyMessage.style.display = hasSections ? 'none' : 'block';
+    this.previousButton.disabled = !hasSections;
+    this.nextButton.disabled = !hasSections;
+    if (!hasSections) return;
+
+    const headerRow = this.table.createTHead().insertRow();
+    ['', 'Km', 'Length', 'Δ m', 'Avg', 'Max'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const body = this.table.createTBody();
+    this.sections.forEach(section => {
+      const row = body.insertRow();
+      row.title = `Jump to the start of this ${section.type}`;
+      row.addEventListener('click', () => this.onSeek(section.startDistance));
+
+      const isClimb = section.type === 'climb';
+      const cells = [
+        `${isClimb ? '▲' : '▼'} Cat ${section.category}`,
+        `${(section.startDistance / 1000).toFixed(1)}–${(section.endDistance / 1000).toFixed(1)}`,
+        `${(section.length / 1000).toFixed(1)} km`,
+        `${isClimb ? '+' : '−'}${section.elevationChange.toFixed(0)}`,
+        `${section.averageGrade.toFixed(1)}%`,
+        `${section.maxGrade.toFixed(0)}%`,
+      ];
+      cells.forEach(text => {
+        row.insertCell().textContent = text;
+      });
+      row.cells[0].style.borderLeft = `4px solid ${ClimbsPanel.getColor(section)}`;
+    });
+    this._highlightCurrent();
+  }
+
+  /**
+   * Marks the row of the section the tour is currently in.
+   * @private
+   */
+  _highlightCurrent() {
+    const body = this.table.tBodies[0];
+    if (!body) return;
+    this.sections.forEach((section, index) => {
+      const isCurrent = this.position !== null && this.position >= section.startDistance && this.position <= section.endDistance;
+      body.rows[index].classList.toggle('current', isCurrent);
+    });
+  }
+
+  /**
+   * Seeks to the start of the next section after the current position, or of the previous one before it.
+   * @param {number} direction - 1 for the next section, -1 for the previous one.
+   * @private
+   */
+  _jump(direction) {
+    if (this.sections.length === 0) return;
+    const position = this.position !== null ? this.position : -Infinity;
+    const target = direction > 0
+      ? this.sections.find(section => section.startDistance > position + SEEK_TOLERANCE_METERS)
+      : [...this.sections].reverse().find(section => section.startDistance < position - SEEK_TOLERANCE_METERS);
+    if (!target) return;
+    this.setPosition(target.startDistance);
+    this.onSeek(target.startDistance);
+  }
+}
+
+export default ClimbsPanel;
@@ -67,16 +67,6 @@ class DebugOverlay {
         this.overlay.style.display = 'none';
     }
 
-    _getLocalStorageUsage() {
-        let total = 0;
-        for (const key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                total += localStorage[key].length * 2; // UTF-16 characters are 2 bytes
-            }
-        }
-        return total; // size in bytes
-    }
-
     update(metrics = {}) {
         const { usedHeap = 'N/A' } = metrics;
         
@@ -89,10 +79,16 @@ class DebugOverlay {
         const heapAvg = (this.heapAvg.average / 1048576).toFixed(1);
         const memoryString = `JS Heap (MB): ${heapNow} (Avg: ${heapAvg})`;
 
-        // Note: LocalStorage is updated by a separate, slower timer.
-        const storageUsed = metrics.storageUsed !== undefined ? metrics.storageUsed : this.lastStorageUsed;
-        this.lastStorageUsed = storageUsed; // Cache the value
-        const storageString = `LocalStorage: ${(storageUsed !== undefined) ? (storageUsed / 1024).toFixed(2) : 'N/A'} KB`;
+        // Note: The storage estimate (IndexedDB, caches, etc.) is updated by a separate, slower timer.
+        const storageEstimate = metrics.storageEstimate !== undefined ? metrics.storageEstimate : this.lastStorageEstimate;
+        this.lastStorageEstimate = storageEstimate; // Cache the value
+        let storageString = 'Storage: N/A';
+        if (storageEstimate) {
+            const usedMb = (storageEstimate.usage / 1048576).toFixed(2);
+            const quotaMb = (storageEstimate.quota / 1048576).toFixed(0);
+            const percentage = storageEstimate.quota > 0 ? (storageEstimate.usage / storageEstimate.quota) * 100 : 0;
+            storageString = `Storage (MB): ${usedMb} / ${quotaMb} (${percentage.toFixed(1)}%)`;
+        }
 
         this.overlay.innerHTML = `
             ${memoryString}<br>
@@ -0,0 +1,435 @@
+import logger from './Logger.js';
+
+const CHART_HEIGHT = 110; // CSS pixels
+const PADDING = { top: 22, right: 8, bottom: 16, left: 40 };
+
+// Waypoints and POIs farther than this from the route are not shown on the profile.
+const MAX_ANNOTATION_OFFSET_METERS = 500;
+
+// Marker colors of the annotation types, matching their markers on the map.
+const ANNOTATION_COLORS = {
+  refuel: '#4caf50',
+  waypoint: '#ffd54f',
+  poi: '#42a5f5',
+  overnight: '#ab47bc',
+  checkpoint: '#26c6da',
+};
+// Shading of the stretches planned in the dark.
+const DARK_SECTION_COLOR = 'rgba(0, 0, 40, 0.45)';
+// The planned time over distance: the P10–P90 band of the Monte-Carlo runs and their median.
+const TIME_BAND_COLOR = 'rgba(255, 167, 38, 0.25)';
+const TIME_MEDIAN_COLOR = '#ffa726';
+
+/**
+ * The elevation profile in the bottom panel: the route's elevation over distance, with the
+ * refuel stops, waypoints, POIs, overnight stops and race checkpoints as annotations and a marker at the current tour position.
+ * The stretches planned in the dark are shaded. The planned time is drawn over distance on its own scale, as the
+ * P10–P90 band of the finish-time simulations with their median.
+ * Clicking or dragging on the chart reports the distance through `onSeek`, so the App can move the tour there.
+ */
+class ElevationProfile {
+  constructor() {
+    this.bottomPanel = document.getElementById('bottom-panel-container');
+    if (!this.bottomPanel) {
+      logger.error('Fatal: #bottom-panel-container not found in DOM.');
+      return;
+    }
+
+    this.points = []; // Points with cumulativeDistance (m) and ele (m)
+    this.annotationSources = { refuel: [], waypoint: [], poi: [], overnight: [], checkpoint: [] }; // As passed to setAnnotations()
+    this.annotations = []; // Placed on the profile: { type, name, distance, ele }
+    this.hiddenAnnotationTypes = new Set();
+    this.darkSections = []; // { startDistance, endDistance } in meters
+    this.timeBand = []; // { distance, p10, p50, p90 } planned times in seconds
+    this.markerDistance = null;
+    this.hoverDistance = null;
+    this.isDragging = false;
+
+    // Callback to be set by the App class
+    this.onSeek = () => {};
+
+    this._createDom();
+    window.addEventListener('resize', () => this._draw());
+    logger.info('ElevationProfile initialized and added to DOM.');
+  }
+
+  /**
+   * Builds the collapsible section holding the chart canvas.
+   * @private
+   */
+  _createDom() {
+    this.container = document.createElement('div');
+    this.container.id = 'elevation-profile-content';
+    this.container.style.display = 'none'; // Shown once a route is loaded
+
+    const header = document.createElement('div');
+    header.className = 'elevation-profile-header';
+    header.textContent = 'Elevation Profile';
+    const toggleIcon = document.createElement('span');
+    toggleIcon.className = 'toggle-icon';
+    toggleIcon.textContent = '▾';
+    header.appendChild(toggleIcon);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'elevation-profile-canvas';
+    this.canvas.style.height = `${CHART_HEIGHT}px`;
+
+    header.addEventListener('click', () => {
+      const isHidden = this.canvas.style.display === 'none';
+      this.canvas.style.display = isHidden ? 'block' : 'none';
+      toggleIcon.style.transform = isHidden ? 'rotate(0deg)' : 'rotate(-90deg)';
+      if (isHidden) this._draw();
+    });
+
+    this.canvas.addEventListener('pointerdown', (event) => {
+      this.isDragging = true;
+      this.canvas.setPointerCapture(event.pointerId);
+      this._seekToEvent(event);
+    });
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (this.isDragging) {
+        this._seekToEvent(event);
+      } else {
+        this.hoverDistance = this._getDistanceAtEvent(event);
+        this._draw();
+      }
+    });
+    const endDrag = () => { this.isDragging = false; };
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointercancel', endDrag);
+    this.canvas.addEventListener('pointerleave', () => {
+      this.hoverDistance = null;
+      this._draw();
+    });
+
+    this.container.append(header, this.canvas);
+    this.bottomPanel.appendChild(this.container);
+  }
+
+  // --- Public Methods ---
+
+  /**
+   * Sets the profile data and shows the chart.
+   * @param {Array<object>} points - The analysed points, with lat, lon, ele and cumulativeDistance.
+   */
+  setProfile(points) {
+    this.points = points.filter(p => typeof p.ele === 'number' && !isNaN(p.ele));
+    this.markerDistance = null;
+    this.container.style.display = this.points.length > 1 ? 'block' : 'none';
+    this._placeAnnotations();
+  }
+
+  /**
+   * Replaces the annotations of one type. Items with a `cumulativeDistance` are placed there;
+   * others are placed at the nearest point of the route, if it is close enough.
+   * @param {string} type - 'refuel', 'waypoint', 'poi', 'overnight' or 'checkpoint'.
+   * @param {Array<object>} items - The items, with a name and lat/lon or cumulativeDistance.
+   */
+  setAnnotations(type, items) {
+    this.annotationSources[type] = items || [];
+    this._placeAnnotations();
+  }
+
+  /**
+   * Shows or hides the annotations of one type, e.g. following the POI visibility toggle.
+   * @param {string} type - 'refuel', 'waypoint', 'poi', 'overnight' or 'checkpoint'.
+   * @param {boolean} visible - Whether the annotations are shown.
+   */
+  setAnnotationVisibility(type, visible) {
+    if (visible) {
+      this.hiddenAnnotationTypes.delete(type);
+    } else {
+      this.hiddenAnnotationTypes.add(type);
+    }
+    this._draw();
+  }
+
+  /**
+   * Shades the stretches of the route planned in the dark.
+   * @param {Array<object>} sections - The sections with startDistance and endDistance (see PerformancePlanner).
+   */
+  setDarkSections(sections) {
+    this.darkSections = sections || [];
+    this._draw();
+  }
+
+  /**
+   * Sets the band of planned times over distance.
+   * @param {Array<object>} band - The { distance, p10, p50, p90 } stations from PerformancePlanner's finishTimes.
+   */
+  setTimeBand(band) {
+    this.timeBand = band || [];
+    this._draw();
+  }
+
+  /**
+   * Moves the position marker.
+   * @param {number|null} distance - The current distance along the route in meters, or null to hide the marker.
+   */
+  setPosition(distance) {
+    if (distance === this.markerDistance) return;
+    this.markerDistance = distance;
+    this._draw();
+  }
+
+  /**
+   * Removes the profile, e.g. when the route is cleared.
+   */
+  clear() {
+    this.points = [];
+    this.annotationSources = { refuel: [], waypoint: [], poi: [], overnight: [], checkpoint: [] };
+    this.annotations = [];
+    this.darkSections = [];
+    this.timeBand = [];
+    this.markerDistance = null;
+    this.hoverDistance = null;
+    this.container.style.display = 'none';
+  }
+
+  // --- Private Methods ---
+
+  /**
+   * Places every annotation source on the profile and redraws.
+   * @private
+   */
+  _placeAnnotations() {
+    this.annotations = [];
+    if (this.points.length > 1) {
+      Object.entries(this.annotationSources).forEach(([type, items]) => {
+        items.forEach((item, index) => {
+          const distance = typeof item.cumulativeDistance === 'number'
+            ? item.cumulativeDistance
+            : this._projectOntoRoute(item.lat, item.lon);
+          if (distance === null) return;
+          const name = item.name || `${type} ${index + 1}`;
+          this.annotations.push({ type, name, distance, ele: this._getElevationAt(distance) });
+        });
+      });
+    }
+    this._draw();
+  }
+
+  /**
+   * Finds the distance along the route of the point closest to a position.
+   * @param {number} lat - The latitude in degrees.
+   * @param {number} lon - The longitude in degrees.
+   * @returns {number|null} The cumulative distance in meters, or null if the position is too far from the route.
+   * @private
+   */
+  _projectOntoRoute(lat, lon) {
+    if (typeof lat !== 'number' || typeof lon !== 'number') return null;
+    const metersPerDegree = 111320;
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    let bestDistanceSquared = Infinity;
+    let bestPoint = null;
+    this.points.forEach(p => {
+      const dx = (p.lon - lon) * cosLat;
+      const dy = p.lat - lat;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared < bestDistanceSquared) {
+        bestDistanceSquared = distanceSquared;
+        bestPoint = p;
+      }
+    });
+    const offsetMeters = Math.sqrt(bestDistanceSquared) * metersPerDegree;
+    return offsetMeters <= MAX_ANNOTATION_OFFSET_METERS ? bestPoint.cumulativeDistance : null;
+  }
+
+  /**
+   * Formats the range of planned times at a distance, for the hover readout.
+   * @param {number} distance - The distance along the route in meters.
+   * @returns {Array<string>} The "P10–P90 h" text, or nothing without a time band.
+   * @private
+   */
+  _getTimeRangeReadout(distance) {
+    const station = this.timeBand.find(s => s.distance >= distance);
+    if (!station) return [];
+    return [`${(station.p10 / 3600).toFixed(1)}–${(station.p90 / 3600).toFixed(1)} h`];
+  }
+
+  /**
+   * Interpolates the elevation at a distance along the route.
+   * @param {number} distance - The distance in meters.
+   * @returns {number} The elevation in meters.
+   * @private
+   */
+  _getElevationAt(distance) {
+    const index = this.points.findIndex(p => p.cumulativeDistance >= distance);
+    if (index <= 0) return this.points[index === 0 ? 0 : this.points.length - 1].ele;
+    const p1 = this.points[index - 1];
+    const p2 = this.points[index];
+    const span = p2.cumulativeDistance - p1.cumulativeDistance;
+    const fraction = span > 0 ? (distance - p1.cumulativeDistance) / span : 0;
+    return p1.ele + (p2.ele - p1.ele) * fraction;
+  }
+
+  /**
+   * Converts the horizontal pointer position into a distance along the route.
+   * @param {PointerEvent} event - The pointer event.
+   * @returns {number|null} The distance in meters, or null without a profile.
+   * @private
+   */
+  _getDistanceAtEvent(event) {
+    if (this.points.length < 2) return null;
+    const rect = this.canvas.getBoundingClientRect();
+    const plotWidth = rect.width - PADDING.left - PADDING.right;
+    const fraction = Math.min(Math.max((event.clientX - rect.left - PADDING.left) / plotWidth, 0), 1);
+    return fraction * this.points[this.points.length - 1].cumulativeDistance;
+  }
+
+  /**
+   * Moves the marker to the pointer position and reports it through `onSeek`.
+   * @param {PointerEvent} event - The pointer event.
+   * @private
+   */
+  _seekToEvent(event) {
+    const distance = this._getDistanceAtEvent(event);
+    if (distance === null) return;
+    this.hoverDistance = distance;
+    this.setPosition(distance);
+    this.onSeek(distance);
+  }
+
+  /**
+   * Draws the profile, the annotations, the position marker and the hover readout.
+   * @private
+   */
+  _draw() {
+    if (this.points.length < 2 || this.container.style.display === 'none' || this.canvas.style.display === 'none') return;
+
+    // Match the canvas resolution to its displayed size for crisp lines on high-DPI screens.
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = CHART_HEIGHT;
+    if (width === 0) return;
+    this.canvas.width = width * ratio;
+    this.canvas.height = height * ratio;
+    const ctx = this.canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const totalDistance = this.points[this.points.length - 1].cumulativeDistance;
+    let minEle = Infinity;
+    let maxEle = -Infinity;
+    this.points.forEach(p => {
+      if (p.ele < minEle) minEle = p.ele;
+      if (p.ele > maxEle) maxEle = p.ele;
+    });
+    const eleRange = Math.max(maxEle - minEle, 10); // Keep flat routes from looking steep
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const x = (distance) => PADDING.left + (totalDistance > 0 ? distance / totalDistance : 0) * plotWidth;
+    const y = (ele) => PADDING.top + plotHeight - ((ele - minEle) / eleRange) * plotHeight;
+
+    // Dark sections, behind the profile
+    ctx.fillStyle = DARK_SECTION_COLOR;
+    this.darkSections.forEach(section => {
+      ctx.fillRect(x(section.startDistance), PADDING.top, x(section.endDistance) - x(section.startDistance), plotHeight);
+    });
+
+    // Filled elevation area
+    ctx.beginPath();
+    ctx.moveTo(x(0), PADDING.top + plotHeight);
+    this.points.forEach(p => ctx.lineTo(x(p.cumulativeDistance), y(p.ele)));
+    ctx.lineTo(x(totalDistance), PADDING.top + plotHeight);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Planned time band, on a scale from 0 to the P90 finish time
+    if (this.timeBand.length > 1) {
+      const maxTime = this.timeBand[this.timeBand.length - 1].p90;
+      const ty = (seconds) => PADDING.top + plotHeight - (maxTime > 0 ? seconds / maxTime : 0) * plotHeight;
+      ctx.beginPath();
+      this.timeBand.forEach((station, index) => {
+        if (index === 0) ctx.moveTo(x(station.distance), ty(station.p90));
+        else ctx.lineTo(x(station.distance), ty(station.p90));
+      });
+      for (let index = this.timeBand.length - 1; index >= 0; index--) {
+        ctx.lineTo(x(this.timeBand[index].distance), ty(this.timeBand[index].p10));
+      }
+      ctx.closePath();
+      ctx.fillStyle = TIME_BAND_COLOR;
+      ctx.fill();
+      ctx.beginPath();
+      this.timeBand.forEach((station, index) => {
+        if (index === 0) ctx.moveTo(x(station.distance), ty(station.p50));
+        else ctx.lineTo(x(station.distance), ty(station.p50));
+      });
+      ctx.strokeStyle = TIME_MEDIAN_COLOR;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      ctx.fillStyle = TIME_MEDIAN_COLOR;
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`${(maxTime / 3600).toFixed(1)} h`, width - PADDING.right, PADDING.top + 2);
+    }
+
+    // Axis labels
+    ctx.fillStyle = '#ccc';
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${maxEle.toFixed(0)} m`, PADDING.left - 4, y(maxEle));
+    ctx.fillText(`${minEle.toFixed(0)} m`, PADDING.left - 4, y(minEle));
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`${(totalDistance / 1000).toFixed(1)} km`, width - PADDING.right, height);
+    ctx.textAlign = 'left';
+    ctx.fillText('0 km', PADDING.left, height);
+
+    // Annotations: a colored tick above the profile line
+    const visibleAnnotations = this.annotations.filter(a => !this.hiddenAnnotationTypes.has(a.type));
+    visibleAnnotations.forEach(annotation => {
+      const ax = x(annotation.distance);
+      const ay = y(annotation.ele);
+      ctx.strokeStyle = ANNOTATION_COLORS[annotation.type];
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(ax, ay);
+      ctx.lineTo(ax, PADDING.top - 6);
+      ctx.stroke();
+      ctx.fillStyle = ANNOTATION_COLORS[annotation.type];
+      ctx.beginPath();
+      ctx.arc(ax, PADDING.top - 6, 3, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    // Position marker
+    if (this.markerDistance !== null) {
+      const mx = x(this.markerDistance);
+      ctx.strokeStyle = '#ff5252';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(mx, PADDING.top);
+      ctx.lineTo(mx, PADDING.top + plotHeight);
+      ctx.stroke();
+      ctx.fillStyle = '#ff5252';
+      ctx.beginPath();
+      ctx.arc(mx, y(this._getElevationAt(this.markerDistance)), 4, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+
+    // Hover readout: distance, elevation and the names of nearby annotations
+    if (this.hoverDistance !== null) {
+      const nearbyNames = visibleAnnotations
+        .filter(a => Math.abs(x(a.distance) - x(this.hoverDistance)) <= 4)
+        .map(a => a.name);
+      const readout = [
+        `${(this.hoverDistance / 1000).toFixed(2)} km`,
+        `${this._getElevationAt(this.hoverDistance).toFixed(0)} m`,
+        ...this._getTimeRangeReadout(this.hoverDistance),
+        ...nearbyNames,
+      ].join(' · ');
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText(readout, PADDING.left, 0, plotWidth);
+    }
+  }
+}
+
+export default ElevationProfile;
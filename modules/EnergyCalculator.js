@@ -1,32 +1,176 @@
 import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+import PaceModel from './PaceModel.js';
+
+// Display names of the energy models, keyed by their 'energyModel' setting value.
+const MODEL_LABELS = {
+  effort: 'Km-effort',
+  pandolf: 'Pandolf',
+  acsm: 'ACSM',
+  heartRate: 'Heart Rate',
+};
+
+const JOULES_PER_KCAL = 4184;
+const KCAL_PER_LITER_O2 = 5;
+
+// Pandolf et al. (1977) load carriage equation, with the downhill correction of Santee et al. (2003).
+// The terrain factor is 1.0 on a treadmill, 1.1 on a dirt road and 1.2 in light brush; trails sit in between.
+const PANDOLF_TERRAIN_FACTOR = 1.1;
+
+// ACSM walking equation: VO2 (ml/kg/min) = 3.5 + 0.1 × speed (m/min) + 1.8 × speed × grade. Descents count as flat.
+const ACSM_RESTING_VO2 = 3.5;
+const ACSM_HORIZONTAL_VO2 = 0.1;
+const ACSM_VERTICAL_VO2 = 1.8;
+
+// Keytel et al. (2005), averaged over the male and female equations: kJ/min = a + b × HR + c × weight + d × age.
+// The age is estimated from the maximum heart rate with Tanaka's 208 − 0.7 × age.
+const KEYTEL_COEFFICIENTS = { intercept: -37.7496, heartRate: 0.53905, weight: 0.03625, age: 0.13785 };
+const TANAKA_INTERCEPT = 208;
+const TANAKA_SLOPE = 0.7;
+
+// No model goes below the resting metabolic rate: 1 MET, about 1 kcal per kg per hour.
+const RESTING_KCAL_PER_KG_HOUR = 1;
 
 /**
  * A utility class for calculating energy expenditure and related metrics for a route.
+ * The model is chosen with the 'energyModel' setting:
+ * - 'effort', the default: the Km-effort times the body weight (1 kcal per kg per Km-effort).
+ * - 'pandolf': the Pandolf load carriage equation with the Santee downhill correction, using the pack weight.
+ * - 'acsm': the ACSM walking equation, for the body and pack weight together.
+ * - 'heartRate': Keytel's heart rate equation, on the timed segments with heart rate data; Pandolf elsewhere.
+ * The speed-based models use the recorded speed of timed segments, and otherwise the planned speed (the target
+ * speed with the pace model, without fatigue). Time spent stopped is not counted.
  */
 class EnergyCalculator {
   /**
-   * Calculates the energy profile for a route based on user's weight.
+   * Returns the display name of an energy model.
+   * @param {string} model - The 'energyModel' setting value.
+   * @returns {string} The name.
+   */
+  static getLabel(model) {
+    return MODEL_LABELS[model] || model;
+  }
+
+  /**
+   * Calculates the energy profile for a route based on user's weight and the 'energyModel' setting.
    * This method augments the per-point route data with cumulative calorie expenditure.
+   * The Km-effort model is based on the filtered ascent and steep descent (see StatisticsCalculator.calculate).
    * @param {Array<object>} perPointData - The rich per-point data from StatisticsCalculator.
    * @param {number} userWeightKg - The user's weight in kilograms.
-   * @returns {object} An object containing the augmented perPointData with a `cumulativeKcal` property and the `totalKcal`.
+   * @param {number} [targetSpeedKmh=5] - The planned speed on the flat, for the segments without timestamps.
+   * @param {number} [maxHeartRate=190] - The maximum heart rate, for the heart rate model.
+   * @returns {object} An object containing the augmented perPointData with a `cumulativeKcal` property, the `totalKcal`
+   *   and the `model` used.
    */
-  static calculateEnergyProfile(perPointData, userWeightKg) {
+  static calculateEnergyProfile(perPointData, userWeightKg, targetSpeedKmh = 5, maxHeartRate = 190) {
+    const model = SettingsManager.get('energyModel');
     if (!perPointData || perPointData.length === 0 || !userWeightKg || userWeightKg <= 0) {
       // Return a zero-value object but keep the original data structure
       const zeroedData = perPointData.map(p => ({ ...p, cumulativeKcal: 0 }));
-      return { totalKcal: 0, perPointData: zeroedData };
+      return { totalKcal: 0, perPointData: zeroedData, model };
     }
 
-    const energyProfileData = perPointData.map(point => {
-      const kcal = point.cumulativeKmEffort * userWeightKg;
-      return { ...point, cumulativeKcal: kcal };
+    if (model === 'effort') {
+      const energyProfileData = perPointData.map(point => {
+        const kcal = point.cumulativeKmEffort * userWeightKg;
+        return { ...point, cumulativeKcal: kcal };
+      });
+
+      const totalKcal = (perPointData[perPointData.length - 1]?.cumulativeKmEffort || 0) * userWeightKg;
+
+      logger.info(`Calculated energy profile: Total Kcal = ${totalKcal.toFixed(0)}`);
+      return { totalKcal, perPointData: energyProfileData, model };
+    }
+
+    const packWeightKg = SettingsManager.get('packWeightKg');
+    const getSpeedFactor = PaceModel.fromSettings();
+    const age = (TANAKA_INTERCEPT - maxHeartRate) / TANAKA_SLOPE;
+    let heartRateSegments = 0;
+    let cumulativeKcal = 0;
+
+    const energyProfileData = perPointData.map((point, i) => {
+      if (i === 0) return { ...point, cumulativeKcal: 0 };
+      const previous = perPointData[i - 1];
+      const distance = point.cumulativeDistance - previous.cumulativeDistance;
+      const timedSeconds = previous.time && point.time ? (point.time.getTime() - previous.time.getTime()) / 1000 : 0;
+      if (distance <= 0 || point.isStopped) return { ...point, cumulativeKcal };
+
+      const gradient = (point.grade || 0) / 100;
+      const seconds = timedSeconds > 0
+        ? timedSeconds
+        : distance / (targetSpeedKmh * getSpeedFactor(gradient) / 3.6);
+      const speed = distance / seconds; // m/s
+
+      let kcalPerMinute;
+      if (model === 'heartRate' && timedSeconds > 0 && typeof point.hr === 'number' && typeof previous.hr === 'number') {
+        kcalPerMinute = this._keytelKcalPerMinute((point.hr + previous.hr) / 2, userWeightKg, age);
+        heartRateSegments++;
+      } else if (model === 'acsm') {
+        kcalPerMinute = this._acsmKcalPerMinute(speed, gradient, userWeightKg + packWeightKg);
+      } else {
+        kcalPerMinute = this._pandolfKcalPerMinute(speed, gradient, userWeightKg, packWeightKg);
+      }
+      const restingKcalPerMinute = RESTING_KCAL_PER_KG_HOUR * (userWeightKg + packWeightKg) / 60;
+      cumulativeKcal += Math.max(kcalPerMinute, restingKcalPerMinute) * seconds / 60;
+      return { ...point, cumulativeKcal };
     });
 
-    const totalKcal = (perPointData[perPointData.length - 1]?.cumulativeKmEffort || 0) * userWeightKg;
+    if (model === 'heartRate' && heartRateSegments === 0) {
+      logger.warn('EnergyCalculator: The route has no timed heart rate data. Using the Pandolf equation instead.');
+    }
+    logger.info(`Calculated energy profile (${this.getLabel(model)}): Total Kcal = ${cumulativeKcal.toFixed(0)}`);
+    return { totalKcal: cumulativeKcal, perPointData: energyProfileData, model };
+  }
 
-    logger.info(`Calculated energy profile: Total Kcal = ${totalKcal.toFixed(0)}`);
-    return { totalKcal, perPointData: energyProfileData };
+  /**
+   * The Pandolf equation, with the Santee correction on descents.
+   * @param {number} speed - The walking speed in m/s.
+   * @param {number} gradient - The gradient as a fraction.
+   * @param {number} weightKg - The body weight in kg.
+   * @param {number} loadKg - The pack weight in kg.
+   * @returns {number} The energy expenditure in kcal/min.
+   * @private
+   */
+  static _pandolfKcalPerMinute(speed, gradient, weightKg, loadKg) {
+    const grade = gradient * 100; // The equations take the grade in %
+    const totalKg = weightKg + loadKg;
+    let watts = 1.5 * weightKg
+      + 2.0 * totalKg * (loadKg / weightKg) ** 2
+      + PANDOLF_TERRAIN_FACTOR * totalKg * (1.5 * speed ** 2 + 0.35 * speed * grade);
+    if (grade < 0) {
+      watts -= PANDOLF_TERRAIN_FACTOR * ((grade * totalKg * speed) / 3.5 - (totalKg * (grade + 6) ** 2) / weightKg + (25 - speed ** 2));
+    }
+    return watts * 60 / JOULES_PER_KCAL;
+  }
+
+  /**
+   * The ACSM walking equation.
+   * @param {number} speed - The walking speed in m/s.
+   * @param {number} gradient - The gradient as a fraction.
+   * @param {number} massKg - The body and pack weight in kg.
+   * @returns {number} The energy expenditure in kcal/min.
+   * @private
+   */
+  static _acsmKcalPerMinute(speed, gradient, massKg) {
+    const metersPerMinute = speed * 60;
+    const vo2 = ACSM_RESTING_VO2 + ACSM_HORIZONTAL_VO2 * metersPerMinute + ACSM_VERTICAL_VO2 * metersPerMinute * Math.max(gradient, 0);
+    return vo2 * massKg / 1000 * KCAL_PER_LITER_O2;
+  }
+
+  /**
+   * Keytel's heart rate equation.
+   * @param {number} heartRate - The heart rate in bpm.
+   * @param {number} weightKg - The body weight in kg.
+   * @param {number} age - The age in years.
+   * @returns {number} The energy expenditure in kcal/min.
+   * @private
+   */
+  static _keytelKcalPerMinute(heartRate, weightKg, age) {
+    const kiloJoules = KEYTEL_COEFFICIENTS.intercept
+      + KEYTEL_COEFFICIENTS.heartRate * heartRate
+      + KEYTEL_COEFFICIENTS.weight * weightKg
+      + KEYTEL_COEFFICIENTS.age * age;
+    return kiloJoules * 1000 / JOULES_PER_KCAL;
   }
 
   /**
@@ -0,0 +1,41 @@
+import ReverseGeocodingService from './ReverseGeocodingService.js';
+
+/**
+ * Builds descriptive file names for exported routes, e.g. `2025-06-14.0730_Chamonix_Courmayeur.gpx`.
+ */
+class FilenameGenerator {
+  /**
+   * Generates a file name from the route's start time and the reverse-geocoded names of its start and end.
+   * @param {Array<object>} points - The route points with lat, lon, and time properties.
+   * @param {Date} [startTime] - The start time to use; defaults to the first point's timestamp, or the current time.
+   * @returns {Promise<string>} The file name, including the `.gpx` extension.
+   */
+  static async generate(points, startTime) {
+    const startPoint = points[0];
+    const endPoint = points[points.length - 1];
+
+    const startLocation = await ReverseGeocodingService.getLocationName(startPoint.lat, startPoint.lon);
+    const endLocation = await ReverseGeocodingService.getLocationName(endPoint.lat, endPoint.lon);
+
+    const date = startTime || startPoint.time || new Date();
+    const year = date.getFullYear();
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    const hours = date.getHours().toString().padStart(2, '0');
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+
+    return `${year}-${month}-${day}.${hours}${minutes}_${this._sanitize(startLocation)}_${this._sanitize(endLocation)}.gpx`;
+  }
+
+  /**
+   * Removes characters that aren't allowed in file names on common file systems.
+   * @param {string} text - A part of the file name.
+   * @returns {string} The sanitized text.
+   * @private
+   */
+  static _sanitize(text) {
+    return text.replace(/[\\/:*?"<>|]/g, '-').trim();
+  }
+}
+
+export default FilenameGenerator;
@@ -0,0 +1,274 @@
+import logger from './Logger.js';
+
+// FIT timestamps count seconds since the FIT epoch, 1989-12-31T00:00:00Z.
+const FIT_EPOCH_OFFSET_SECONDS = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// Global message numbers and field numbers from the FIT profile that the importer uses.
+const MESSAGE_RECORD = 20;
+const MESSAGE_COURSE_POINT = 32;
+const FIELD_TIMESTAMP = 253;
+const RECORD_FIELDS = {
+  positionLat: 0,
+  positionLong: 1,
+  altitude: 2,
+  heartRate: 3,
+  cadence: 4,
+  power: 7,
+  temperature: 13,
+  enhancedAltitude: 78,
+};
+const COURSE_POINT_FIELDS = { positionLat: 2, positionLong: 3, name: 6 };
+
+/**
+ * Imports binary Garmin FIT activity and course files, parsed directly in the browser.
+ * Only the messages needed for playback are decoded: `record` messages become the track points,
+ * `course_point` messages become waypoints.
+ */
+class FitImporter {
+  /**
+   * Parses a FIT file into a single segment and its waypoints.
+   * @param {ArrayBuffer} buffer - The FIT file content.
+   * @returns {object} The imported data { name, segments: [{ name, points }], waypoints }.
+   */
+  static parse(buffer) {
+    const signature = buffer.byteLength >= 12 ? String.fromCharCode(...new Uint8Array(buffer, 8, 4)) : '';
+    if (signature !== '.FIT') {
+      throw new Error('The file is not a valid FIT file.');
+    }
+
+    const view = new DataView(buffer);
+    const headerSize = view.getUint8(0);
+    const dataEnd = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength);
+    const definitions = {};
+    const points = [];
+    const waypoints = [];
+    let offset = headerSize;
+    let lastTimestamp = null;
+
+    while (offset < dataEnd) {
+      const recordHeader = view.getUint8(offset);
+      offset += 1;
+
+      if (recordHeader & 0x80) {
+        // Compressed timestamp header: a data message with a 5-bit time offset to the last timestamp.
+        const localType = (recordHeader >> 5) & 0x03;
+        const timeOffset = recordHeader & 0x1F;
+        const message = this._readDataMessage(view, offset, definitions[localType]);
+        offset += definitions[localType].size;
+        if (lastTimestamp !== null) {
+          lastTimestamp += (timeOffset - (lastTimestamp & 0x1F)) & 0x1F;
+          message.fields[FIELD_TIMESTAMP] = lastTimestamp;
+        }
+        this._handleMessage(message, points, waypoints);
+      } else if (recordHeader & 0x40) {
+        const localType = recordHeader & 0x0F;
+        const hasDeveloperData = (recordHeader & 0x20) !== 0;
+        const definition = this._readDefinition(view, offset, hasDeveloperData);
+        definitions[localType] = definition;
+        offset += definition.definitionSize;
+      } else {
+        const localType = recordHeader & 0x0F;
+        const definition = definitions[localType];
+        if (!definition) {
+          throw new Error(`The FIT file references an undefined local message type (${localType}).`);
+        }
+        const message = this._readDataMessage(view, offset, definition);
+        offset += definition.size;
+        if (message.fields[FIELD_TIMESTAMP] !== undefined) {
+          lastTimestamp = message.fields[FIELD_TIMESTAMP];
+        }
+        this._handleMessage(message, points, waypoints);
+      }
+    }
+
+    // Timestamps are only usable if every point has one.
+    if (points.some(p => p.time === null)) {
+      points.forEach(p => { p.time = null; });
+    }
+
+    logger.info(`FIT import: ${points.length} record(s), ${waypoints.length} course point(s).`);
+    return {
+      name: null,
+      segments: points.length > 0 ? [{ name: 'Track', points }] : [],
+      waypoints,
+    };
+  }
+
+  /**
+   * Converts a decoded data message into a point or waypoint, if it is one of the messages we use.
+   * @param {object} message - The decoded message { globalMessageNumber, fields }.
+   * @param {Array<object>} points - The track points collected so far.
+   * @param {Array<object>} waypoints - The waypoints collected so far.
+   * @private
+   */
+  static _handleMessage(message, points, waypoints) {
+    const { fields } = message;
+
+    if (message.globalMessageNumber === MESSAGE_RECORD) {
+      const lat = fields[RECORD_FIELDS.positionLat];
+      const lon = fields[RECORD_FIELDS.positionLong];
+      if (lat === undefined || lon === undefined) return; // No GPS fix for this record
+
+      const rawAltitude = fields[RECORD_FIELDS.enhancedAltitude] !== undefined
+        ? fields[RECORD_FIELDS.enhancedAltitude]
+        : fields[RECORD_FIELDS.altitude];
+      const timestamp = fields[FIELD_TIMESTAMP];
+      const point = {
+        lon: lon * SEMICIRCLES_TO_DEGREES,
+        lat: lat * SEMICIRCLES_TO_DEGREES,
+        ele: rawAltitude !== undefined ? rawAltitude / 5 - 500 : null, // scale 5, offset 500
+        time: timestamp !== undefined ? new Date((timestamp + FIT_EPOCH_OFFSET_SECONDS) * 1000) : null,
+      };
+
+      // Sensor channels, named like the GPX TrackPointExtension data (see TrackSegmenter).
+      if (fields[RECORD_FIELDS.heartRate] !== undefined) point.hr = fields[RECORD_FIELDS.heartRate];
+      if (fields[RECORD_FIELDS.cadence] !== undefined) point.cad = fields[RECORD_FIELDS.cadence];
+      if (fields[RECORD_FIELDS.power] !== undefined) point.power = fields[RECORD_FIELDS.power];
+      if (fields[RECORD_FIELDS.temperature] !== undefined) point.atemp = fields[RECORD_FIELDS.temperature];
+      points.push(point);
+    } else if (message.globalMessageNumber === MESSAGE_COURSE_POINT) {
+      const lat = fields[COURSE_POINT_FIELDS.positionLat];
+      const lon = fields[COURSE_POINT_FIELDS.positionLong];
+      if (lat === undefined || lon === undefined) return;
+      waypoints.push({
+        lon: lon * SEMICIRCLES_TO_DEGREES,
+        lat: lat * SEMICIRCLES_TO_DEGREES,
+        ele: null,
+        name: fields[COURSE_POINT_FIELDS.name] || `Course Point ${waypoints.length + 1}`,
+      });
+    }
+  }
+
+  /**
+   * Reads a definition message, which describes the layout of the data messages of a local message type.
+   * @param {DataView} view - The FIT file content.
+   * @param {number} offset - The offset just after the record header.
+   * @param {boolean} hasDeveloperData - Whether the definition includes developer fields.
+   * @returns {object} The definition { globalMessageNumber, littleEndian, fields, size, definitionSize }.
+   * @private
+   */
+  static _readDefinition(view, offset, hasDeveloperData) {
+    const littleEndian = view.getUint8(offset + 1) === 0;
+    const globalMessageNumber = view.getUint16(offset + 2, littleEndian);
+    const fieldCount = view.getUint8(offset + 4);
+    const fields = [];
+    let size = 0;
+    let position = offset + 5;
+
+    for (let i = 0; i < fieldCount; i++) {
+      const field = {
+        number: view.getUint8(position),
+        size: view.getUint8(position + 1),
+        baseType: view.getUint8(position + 2) & 0x1F,
+      };
+      fields.push(field);
+      size += field.size;
+      position += 3;
+    }
+
+    if (hasDeveloperData) {
+      // Developer fields are not decoded, but their size must be skipped in the data messages.
+      const developerFieldCount = view.getUint8(position);
+      position += 1;
+      for (let i = 0; i < developerFieldCount; i++) {
+        size += view.getUint8(position + 1);
+        position += 3;
+      }
+    }
+
+    return { globalMessageNumber, littleEndian, fields, size, definitionSize: position - offset };
+  }
+
+  /**
+   * Reads a data message using its definition. Fields holding the base type's "invalid" value are omitted.
+   * @param {DataView} view - The FIT file content.
+   * @param {number} offset - The offset just after the record header.
+   * @param {object} definition - The definition from _readDefinition.
+   * @returns {object} The decoded message { globalMessageNumber, fields } with fields keyed by field number.
+   * @private
+   */
+  static _readDataMessage(view, offset, definition) {
+    if (!definition) {
+      throw new Error('The FIT file contains a data message without a definition.');
+    }
+
+    const fields = {};
+    let position = offset;
+    definition.fields.forEach(field => {
+      const value = this._readValue(view, position, field, definition.littleEndian);
+      if (value !== null) {
+        fields[field.number] = value;
+      }
+      position += field.size;
+    });
+    return { globalMessageNumber: definition.globalMessageNumber, fields };
+  }
+
+  /**
+   * Reads a single field value according to its FIT base type.
+   * @param {DataView} view - The FIT file content.
+   * @param {number} position - The offset of the field.
+   * @param {object} field - The field definition { size, baseType }.
+   * @param {boolean} littleEndian - The byte order of the message.
+   * @returns {number|string|null} The value, or null if it is invalid or an unsupported array.
+   * @private
+   */
+  static _readValue(view, position, field, littleEndian) {
+    switch (field.baseType) {
+      case 0x07: { // string
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + position, field.size);
+        const end = bytes.indexOf(0);
+        const text = new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+        return text.length > 0 ? text : null;
+      }
+      case 0x00: // enum
+      case 0x02: // uint8
+      case 0x0A: // uint8z
+      case 0x0D: // byte
+        if (field.size !== 1) return null;
+        return this._validOrNull(view.getUint8(position), field.baseType === 0x0A ? 0 : 0xFF);
+      case 0x01: // sint8
+        if (field.size !== 1) return null;
+        return this._validOrNull(view.getInt8(position), 0x7F);
+      case 0x03: // sint16
+        if (field.size !== 2) return null;
+        return this._validOrNull(view.getInt16(position, littleEndian), 0x7FFF);
+      case 0x04: // uint16
+      case 0x0B: // uint16z
+        if (field.size !== 2) return null;
+        return this._validOrNull(view.getUint16(position, littleEndian), field.baseType === 0x0B ? 0 : 0xFFFF);
+      case 0x05: // sint32
+        if (field.size !== 4) return null;
+        return this._validOrNull(view.getInt32(position, littleEndian), 0x7FFFFFFF);
+      case 0x06: // uint32
+      case 0x0C: // uint32z
+        if (field.size !== 4) return null;
+        return this._validOrNull(view.getUint32(position, littleEndian), field.baseType === 0x0C ? 0 : 0xFFFFFFFF);
+      case 0x08: // float32
+        if (field.size !== 4) return null;
+        return this._validOrNull(view.getFloat32(position, littleEndian), NaN);
+      case 0x09: // float64
+        if (field.size !== 8) return null;
+        return this._validOrNull(view.getFloat64(position, littleEndian), NaN);
+      default: // 64-bit integers and unknown types are not needed
+        return null;
+    }
+  }
+
+  /**
+   * Returns null for the base type's "invalid" marker value.
+   * @param {number} value - The raw value.
+   * @param {number} invalidValue - The invalid marker of the base type.
+   * @returns {number|null} The value, or null.
+   * @private
+   */
+  static _validOrNull(value, invalidValue) {
+    if (Number.isNaN(value) || value === invalidValue) {
+      return null;
+    }
+    return value;
+  }
+}
+
+export default FitImporter;
@@ -0,0 +1,204 @@
+import logger from './Logger.js';
+import StatisticsCalculator from './StatisticsCalculator.js';
+
+// Styles of the printed plan, which opens in a window of its own.
+const PRINT_STYLE = `
+  body { font-family: sans-serif; font-size: 11pt; margin: 1.5em; }
+  h1 { font-size: 16pt; margin: 0 0 0.5em; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1em; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  .behind-plan { color: #c62828; font-weight: bold; }
+`;
+
+/**
+ * The "Fuel & Water" panel: the printable plan of what to eat and drink along the route. It lists the refuel
+ * stops (see EnergyCalculator.findRefuelPoints) and the water refills with the water to carry to the next one
+ * (see HydrationPlanner), and warns about the stretches without water beyond what can be carried.
+ * Clicking a row reports its distance through `onSeek`.
+ */
+class FuelPlanPanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.hydration = null;
+    this.refuels = [];
+    this.finish = null;
+    this.startDate = null;
+
+    // Callback to be set by the App class
+    this.onSeek = () => {};
+
+    this._createDom();
+    logger.info('FuelPlanPanel initialized.');
+  }
+
+  /**
+   * Builds the print button, the summary, the warnings and the (empty) table.
+   * @private
+   */
+  _createDom() {
+    const nav = document.createElement('div');
+    nav.className = 'fuel-plan-nav';
+    this.printButton = document.createElement('button');
+    this.printButton.textContent = 'Print Plan';
+    this.printButton.addEventListener('click', () => this._print());
+    nav.appendChild(this.printButton);
+
+    this.summary = document.createElement('p');
+    this.summary.className = 'fuel-plan-summary';
+
+    this.warnings = document.createElement('ul');
+    this.warnings.className = 'fuel-plan-warnings';
+
+    this.table = document.createElement('table');
+    this.table.className = 'fuel-plan-table';
+
+    this.container.append(nav, this.summary, this.warnings, this.table);
+    this._render();
+  }
+
+  /**
+   * Sets the fuel and water plan of the active route.
+   * @param {object|null} hydration - The water plan from HydrationPlanner.plan, or null without one.
+   * @param {Array<object>} refuels - The refuel stops { distance, timeSec, kcal }.
+   * @param {object|null} finish - The finish { distance, timeSec }.
+   * @param {Date|null} startDate - The start of the route, to show the times of day.
+   */
+  setData(hydration, refuels, finish, startDate) {
+    this.hydration = hydration;
+    this.refuels = refuels || [];
+    this.finish = finish;
+    this.startDate = startDate;
+    this._render();
+  }
+
+  /**
+   * Removes the plan, e.g. when the route is cleared.
+   */
+  clear() {
+    this.setData(null, [], null, null);
+  }
+
+  /**
+   * Renders the summary, the warnings and the table of stops.
+   * @private
+   */
+  _render() {
+    this.table.innerHTML = '';
+    this.warnings.innerHTML = '';
+    this.printButton.disabled = this.finish === null;
+    if (this.finish === null) {
+      this.summary.textContent = '';
+      return;
+    }
+
+    const kcal = this.refuels.reduce((sum, refuel) => sum + refuel.kcal, 0);
+    const food = `Food: ${this.refuels.length} refuel stop(s), ${kcal.toFixed(0)} kcal.`;
+    this.summary.textContent = this.hydration
+      ? `Water: ${this._formatLiters(this.hydration.totalWaterMl)} L in total, up to ${this._formatLiters(this.hydration.capacityMl)} L carried. ${food}`
+      : `Water: set a sweat rate in the Athlete Profile to plan it. ${food}`;
+
+    (this.hydration ? this.hydration.dryStretches : []).forEach(stretch => {
+      const item = document.createElement('li');
+      item.textContent = `No water for ${((stretch.endDistance - stretch.startDistance) / 1000).toFixed(1)} km `
+        + `(km ${(stretch.startDistance / 1000).toFixed(1)}–${(stretch.endDistance / 1000).toFixed(1)}): `
+        + `${this._formatLiters(stretch.waterMl)} L needed, ${this._formatLiters(stretch.shortfallMl)} L more than you can carry.`;
+      this.warnings.appendChild(item);
+    });
+
+    const headers = ['Km', 'Time'];
+    if (this.startDate) headers.push('Clock');
+    headers.push('Stop', 'Eat', 'Water');
+    const headerRow = this.table.createTHead().insertRow();
+    headers.forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const body = this.table.createTBody();
+    this._getRows().forEach(stop => {
+      const row = body.insertRow();
+      row.title = 'Jump to this stop';
+      row.addEventListener('click', () => this.onSeek(stop.distance));
+
+      row.insertCell().textContent = (stop.distance / 1000).toFixed(1);
+      row.insertCell().textContent = StatisticsCalculator.getDurationString(stop.timeSec);
+      if (this.startDate) row.insertCell().textContent = this._formatClock(stop.timeSec);
+      row.insertCell().textContent = stop.name;
+      row.insertCell().textContent = stop.kcal ? `${stop.kcal.toFixed(0)} kcal` : '';
+      const waterCell = row.insertCell();
+      if (stop.refill) {
+        const { carryMl, waterMl, nextDistance } = stop.refill;
+        waterCell.textContent = `Fill ${this._formatLiters(carryMl)} L`;
+        waterCell.title = `${this._formatLiters(waterMl)} L for the ${((nextDistance - stop.distance) / 1000).toFixed(1)} km to the next water`;
+        if (waterMl > carryMl) waterCell.className = 'behind-plan';
+      }
+    });
+  }
+
+  /**
+   * Merges the refills, the refuel stops and the finish into the rows of the plan.
+   * @returns {Array<object>} The rows { distance, timeSec, name, kcal, refill }, sorted along the route.
+   * @private
+   */
+  _getRows() {
+    const rows = (this.hydration ? this.hydration.refills : []).map(refill => ({
+      distance: refill.distance,
+      timeSec: refill.timeSec,
+      name: refill.name,
+      kcal: 0,
+      refill,
+    }));
+    this.refuels.forEach((refuel, index) => {
+      rows.push({ distance: refuel.distance, timeSec: refuel.timeSec, name: `Refuel ${index + 1}`, kcal: refuel.kcal, refill: null });
+    });
+    rows.push({ distance: this.finish.distance, timeSec: this.finish.timeSec, name: 'Finish', kcal: 0, refill: null });
+    return rows.sort((a, b) => a.distance - b.distance || a.timeSec - b.timeSec);
+  }
+
+  /**
+   * Formats milliliters as liters.
+   * @param {number} milliliters - The volume.
+   * @returns {string} The liters with one decimal.
+   * @private
+   */
+  _formatLiters(milliliters) {
+    return (milliliters / 1000).toFixed(1);
+  }
+
+  /**
+   * Formats the time of day at a time since the start.
+   * @param {number} seconds - The time since the start.
+   * @returns {string} The time as HH:MM, with the day when it isn't the start day.
+   * @private
+   */
+  _formatClock(seconds) {
+    const date = new Date(this.startDate.getTime() + seconds * 1000);
+    const clock = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    return date.toDateString() === this.startDate.toDateString() ? clock : `${date.toLocaleDateString()} ${clock}`;
+  }
+
+  /**
+   * Opens the plan in a window of its own and prints it.
+   * @private
+   */
+  _print() {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      logger.warn('FuelPlanPanel: The print window was blocked.');
+      alert('Please allow pop-ups for this page to print the plan.');
+      return;
+    }
+    const warnings = this.warnings.children.length > 0 ? this.warnings.outerHTML : '';
+    printWindow.document.write(`<!DOCTYPE html><html><head><title>Fuel & Water Plan</title><style>${PRINT_STYLE}</style></head>`
+      + `<body><h1>Fuel &amp; Water Plan</h1>${this.summary.outerHTML}${warnings}${this.table.outerHTML}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+}
+
+export default FuelPlanPanel;
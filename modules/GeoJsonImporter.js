@@ -0,0 +1,121 @@
+import logger from './Logger.js';
+
+/**
+ * Imports GeoJSON files. LineString and MultiLineString geometries become segments,
+ * Point and MultiPoint geometries become waypoints. Polygons are ignored.
+ */
+class GeoJsonImporter {
+  /**
+   * Parses a GeoJSON document into segments and waypoints.
+   * @param {string} jsonString - The GeoJSON content as text.
+   * @returns {object} The imported data { name, segments: [{ name, points }], waypoints }.
+   */
+  static parse(jsonString) {
+    let geoJson;
+    try {
+      geoJson = JSON.parse(jsonString);
+    } catch (error) {
+      throw new Error('The GeoJSON file is not valid JSON.');
+    }
+    // JSON.parse also accepts null, numbers, strings and arrays.
+    if (!geoJson || typeof geoJson !== 'object' || Array.isArray(geoJson)) {
+      throw new Error('The file is not a valid GeoJSON file.');
+    }
+
+    const segments = [];
+    const waypoints = [];
+
+    this._getFeatures(geoJson).forEach(feature => {
+      const properties = feature.properties || {};
+      const geometries = feature.geometry.type === 'GeometryCollection'
+        ? feature.geometry.geometries
+        : [feature.geometry];
+
+      geometries.forEach(geometry => {
+        switch (geometry.type) {
+          case 'LineString':
+            segments.push({
+              name: properties.name || `Line ${segments.length + 1}`,
+              points: this._toPoints(geometry.coordinates, this._getTimes(properties, 0)),
+            });
+            break;
+          case 'MultiLineString':
+            geometry.coordinates.forEach((line, lineIndex) => {
+              segments.push({
+                name: properties.name ? `${properties.name} (${lineIndex + 1})` : `Line ${segments.length + 1}`,
+                points: this._toPoints(line, this._getTimes(properties, lineIndex)),
+              });
+            });
+            break;
+          case 'Point':
+            waypoints.push({ ...this._toPoints([geometry.coordinates])[0], name: properties.name || properties.title || `Point ${waypoints.length + 1}` });
+            break;
+          case 'MultiPoint':
+            geometry.coordinates.forEach(coordinates => {
+              waypoints.push({ ...this._toPoints([coordinates])[0], name: properties.name || `Point ${waypoints.length + 1}` });
+            });
+            break;
+          default:
+            logger.warn(`GeoJSON import: ignoring unsupported geometry type "${geometry.type}".`);
+        }
+      });
+    });
+
+    const name = geoJson.name || (geoJson.properties && geoJson.properties.name) || null;
+    logger.info(`GeoJSON import: ${segments.length} line(s), ${waypoints.length} point(s).`);
+    return { name, segments: segments.filter(segment => segment.points.length > 0), waypoints };
+  }
+
+  /**
+   * Normalizes a FeatureCollection, a single Feature or a bare geometry into a list of features.
+   * @param {object} geoJson - The parsed GeoJSON object.
+   * @returns {Array<object>} The features that have a geometry.
+   * @private
+   */
+  static _getFeatures(geoJson) {
+    let features;
+    if (geoJson.type === 'FeatureCollection') {
+      features = geoJson.features || [];
+    } else if (geoJson.type === 'Feature') {
+      features = [geoJson];
+    } else {
+      features = [{ type: 'Feature', properties: {}, geometry: geoJson }];
+    }
+    return features.filter(feature => feature && feature.geometry);
+  }
+
+  /**
+   * Returns the per-coordinate timestamps of a line, if present. Tools like togeojson write them as
+   * `coordTimes` (or `coordinateProperties.times`), one array per line for MultiLineStrings.
+   * @param {object} properties - The feature properties.
+   * @param {number} lineIndex - The index of the line within the geometry.
+   * @returns {Array<string>|null} The timestamps, or null.
+   * @private
+   */
+  static _getTimes(properties, lineIndex) {
+    const times = properties.coordTimes || (properties.coordinateProperties && properties.coordinateProperties.times);
+    if (!Array.isArray(times) || times.length === 0) {
+      return null;
+    }
+    return Array.isArray(times[0]) ? times[lineIndex] || null : times;
+  }
+
+  /**
+   * Converts GeoJSON positions ([lon, lat, ele?]) into points.
+   * @param {Array<Array<number>>} coordinates - The positions.
+   * @param {Array<string>|null} [times=null] - Optional timestamps, parallel to the positions.
+   * @returns {Array<object>} An array of points with lon, lat, ele, and time properties.
+   * @private
+   */
+  static _toPoints(coordinates, times = null) {
+    const useTimes = times !== null && times.length === coordinates.length;
+    return coordinates.map(([lon, lat, ele], index) => ({
+      lon,
+      lat,
+      ele: typeof ele === 'number' ? ele : null,
+      time: useTimes ? new Date(times[index]) : null,
+    }));
+  }
+}
+
+export default GeoJsonImporter;
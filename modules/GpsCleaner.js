@@ -0,0 +1,142 @@
+import logger from './Logger.js';
+
+// A point reached and left faster than this is a teleport spike, not movement.
+const MAX_SPEED_KMH = 80;
+// Elevation spikes are found against the median elevation of this many points on each side.
+const ELEVATION_WINDOW_POINTS = 3;
+// A point further than this from the median elevation of its neighbours is a glitch.
+const ELEVATION_SPIKE_METERS = 25;
+
+/**
+ * Cleans recorded GPS data before it is analysed. Recordings can contain repeated timestamps,
+ * positions that jump away and back within seconds ("teleport" spikes) and single-point elevation
+ * glitches, which inflate the speed and elevation statistics and bend the camera paths.
+ * Points are only compared within their own track segment (`segmentIndex`).
+ */
+class GpsCleaner {
+  /**
+   * Cleans a route in three passes: repeated or backwards timestamps are removed, speed outliers are removed,
+   * and elevation spikes are replaced by the median elevation of their neighbours.
+   * The input points are not modified.
+   * @param {Array<object>} points - The points of the route, with lat, lon and, if recorded, ele and time.
+   * @returns {object} { points, report }: the cleaned points and the correction counts
+   *   { duplicateTimestamps, speedOutliers, elevationSpikes, total }.
+   */
+  static clean(points) {
+    const report = { duplicateTimestamps: 0, speedOutliers: 0, elevationSpikes: 0, total: 0 };
+    if (!points || points.length < 2) {
+      return { points: points || [], report };
+    }
+
+    const cleanedPoints = this._splitBySegment(points).flatMap(segmentPoints => {
+      let cleaned = this._removeDuplicateTimestamps(segmentPoints, report);
+      cleaned = this._removeSpeedOutliers(cleaned, report);
+      return this._fixElevationSpikes(cleaned, report);
+    });
+
+    report.total = report.duplicateTimestamps + report.speedOutliers + report.elevationSpikes;
+    logger.info(`GPS cleaning: ${report.duplicateTimestamps} duplicate timestamp(s), ${report.speedOutliers} speed outlier(s) and ${report.elevationSpikes} elevation spike(s) corrected.`);
+    return { points: cleanedPoints, report };
+  }
+
+  /**
+   * Splits the points into runs of the same track segment.
+   * @param {Array<object>} points - The points of the route.
+   * @returns {Array<Array<object>>} The points of each segment, in order.
+   * @private
+   */
+  static _splitBySegment(points) {
+    const runs = [];
+    points.forEach((p, i) => {
+      if (i === 0 || p.segmentIndex !== points[i - 1].segmentIndex) runs.push([]);
+      runs[runs.length - 1].push(p);
+    });
+    return runs;
+  }
+
+  /**
+   * Removes the points whose timestamp isn't later than the last kept one.
+   * @param {Array<object>} points - The points of one segment.
+   * @param {object} report - The report to count the removed points in.
+   * @returns {Array<object>} The remaining points.
+   * @private
+   */
+  static _removeDuplicateTimestamps(points, report) {
+    let lastTime = -Infinity;
+    return points.filter(p => {
+      if (!p.time) return true;
+      const time = p.time.getTime();
+      if (time <= lastTime) {
+        report.duplicateTimestamps++;
+        return false;
+      }
+      lastTime = time;
+      return true;
+    });
+  }
+
+  /**
+   * Removes the points that are both reached from the previous point and left to the next one faster than
+   * MAX_SPEED_KMH. A single fast jump (e.g. after a signal loss) is kept, since the track continues from there.
+   * Points without timestamps are kept.
+   * @param {Array<object>} points - The points of one segment.
+   * @param {object} report - The report to count the removed points in.
+   * @returns {Array<object>} The remaining points.
+   * @private
+   */
+  static _removeSpeedOutliers(points, report) {
+    const kept = [];
+    points.forEach((p, i) => {
+      const previous = kept[kept.length - 1];
+      const next = points[i + 1];
+      if (previous && next && this._speedKmh(previous, p) > MAX_SPEED_KMH && this._speedKmh(p, next) > MAX_SPEED_KMH) {
+        report.speedOutliers++;
+        return;
+      }
+      kept.push(p);
+    });
+    return kept;
+  }
+
+  /**
+   * Replaces elevations that differ from the median of their neighbours by more than ELEVATION_SPIKE_METERS.
+   * On an even slope the median matches the point itself, so only isolated glitches are corrected.
+   * @param {Array<object>} points - The points of one segment.
+   * @param {object} report - The report to count the corrected points in.
+   * @returns {Array<object>} The points, with corrected copies in place of the spikes.
+   * @private
+   */
+  static _fixElevationSpikes(points, report) {
+    const hasElevation = (p) => typeof p.ele === 'number' && !isNaN(p.ele);
+    return points.map((p, i) => {
+      if (!hasElevation(p)) return p;
+      const neighbours = points
+        .slice(Math.max(0, i - ELEVATION_WINDOW_POINTS), i + ELEVATION_WINDOW_POINTS + 1)
+        .filter(hasElevation)
+        .map(neighbour => neighbour.ele)
+        .sort((a, b) => a - b);
+      const median = neighbours[Math.floor(neighbours.length / 2)];
+      if (neighbours.length < 3 || Math.abs(p.ele - median) <= ELEVATION_SPIKE_METERS) return p;
+      report.elevationSpikes++;
+      return { ...p, ele: median };
+    });
+  }
+
+  /**
+   * Calculates the speed between two points.
+   * @param {object} p1 - The earlier point.
+   * @param {object} p2 - The later point.
+   * @returns {number} The speed in km/h, or 0 if either point has no timestamp.
+   * @private
+   */
+  static _speedKmh(p1, p2) {
+    if (!p1.time || !p2.time) return 0;
+    const seconds = (p2.time.getTime() - p1.time.getTime()) / 1000;
+    const carto1 = Cesium.Cartographic.fromDegrees(p1.lon, p1.lat);
+    const carto2 = Cesium.Cartographic.fromDegrees(p2.lon, p2.lat);
+    const meters = new Cesium.EllipsoidGeodesic(carto1, carto2).surfaceDistance;
+    return seconds > 0 ? (meters / seconds) * 3.6 : Infinity;
+  }
+}
+
+export default GpsCleaner;
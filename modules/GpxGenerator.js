@@ -1,40 +1,237 @@
+// The text-only child elements of a waypoint, in GPX 1.1 schema order, split around the repeatable <link>.
+const WAYPOINT_FIELDS_BEFORE_LINKS = ['magvar', 'geoidheight', 'name', 'cmt', 'desc', 'src'];
+const WAYPOINT_FIELDS_AFTER_LINKS = ['sym', 'type', 'fix', 'sat', 'hdop', 'vdop', 'pdop', 'ageofdgpsdata', 'dgpsid'];
+
+/**
+ * Writes GPX 1.1 documents. Together with GpxMetadataReader, a parsed file can be written back
+ * (e.g. after elevation enrichment) without losing its metadata, track descriptions, waypoints or extensions.
+ */
 class GpxGenerator {
   /**
    * Generates a GPX XML string from an array of route points.
+   * Points tagged with `trackIndex`/`segmentIndex` (see TrackSegmenter) are written as separate `<trk>`/`<trkseg>` elements.
+   * A point's original `<extensions>` (`extensionsXml`) are written back as they were; points without them get
+   * their sensor channels (hr, cad, atemp, power) written as Garmin TrackPointExtension and PowerExtension data.
    * @param {Array<object>} points - Array of points with lat, lon, ele, and time properties.
-   * @param {string} routeName - The name of the route.
+   * @param {string} routeName - The name of the route, used where the document doesn't provide a name.
+   * @param {Array<object>} [waypoints=[]] - Optional waypoints with lat, lon, and optional ele, time, name, links,
+   *   extensionsXml and other GPX waypoint fields (see GpxMetadataReader).
+   * @param {object} [document={}] - Optional document data from GpxMetadataReader.read(): { metadata, tracks, extensionsXml }.
+   *   `tracks` is indexed by the points' `trackIndex`.
    * @returns {string} A string containing the GPX data in XML format.
    */
-  static generate(points, routeName) {
+  static generate(points, routeName, waypoints = [], document = {}) {
+    const metadata = document.metadata || {};
+    const trackData = document.tracks || [];
+
     const header = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd" version="1.1" creator="GPX 3D Player">
-  <metadata>
-    <name>${routeName}</name>
-    <time>${new Date().toISOString()}</time>
-  </metadata>
-  <trk>
-    <name>${routeName}</name>
-    <trkseg>`;
-
-    const footer = `    </trkseg>
-  </trk>
-</gpx>`;
-
-    const trackPoints = points.map(p => {
-      const timeTag = p.time ? `<time>${p.time.toISOString()}</time>` : '';
-      const eleTag = p.ele !== undefined && p.ele !== null ? `<ele>${p.ele.toFixed(2)}</ele>` : '';
-      let trkpt = `      <trkpt lat="${p.lat.toFixed(6)}" lon="${p.lon.toFixed(6)}">`;
-      if (eleTag) {
-        trkpt += `\n        ${eleTag}`;
+<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1" xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd" version="1.1" creator="GPX 3D Player">
+${this._generateMetadata(metadata, routeName)}`;
+
+    const footer = document.extensionsXml
+      ? `  <extensions>${document.extensionsXml}</extensions>\n</gpx>`
+      : `</gpx>`;
+
+    // Preserve the original track/segment structure if the points carry it.
+    const tracks = [];
+    let currentTrack = null;
+    let currentSegment = null;
+    points.forEach(p => {
+      if (!currentTrack || p.trackIndex !== currentTrack.trackIndex) {
+        currentTrack = { trackIndex: p.trackIndex, segments: [] };
+        currentSegment = null;
+        tracks.push(currentTrack);
       }
-      if (timeTag) {
-        trkpt += `\n        ${timeTag}`;
+      if (!currentSegment || p.segmentIndex !== currentSegment.segmentIndex) {
+        currentSegment = { segmentIndex: p.segmentIndex, points: [] };
+        currentTrack.segments.push(currentSegment);
       }
-      trkpt += `\n      </trkpt>`;
-      return trkpt;
-    }).join('\n');
+      currentSegment.points.push(p);
+    });
+
+    const trackXml = tracks.map(track => {
+      const segmentXml = track.segments.map(segment => {
+        const trackPoints = segment.points.map(p => this._generateTrackPoint(p)).join('\n');
+        return `    <trkseg>\n${trackPoints}\n    </trkseg>`;
+      }).join('\n');
+      const descriptionXml = this._generateTrackDescription(trackData[track.trackIndex] || {}, routeName);
+      return `  <trk>\n${descriptionXml}\n${segmentXml}\n  </trk>`;
+    });
 
-    return `${header}\n${trackPoints}\n${footer}`;
+    const waypointXml = waypoints.map(wpt => this._generateWaypoint(wpt));
+
+    // GPX 1.1 requires waypoints to come before tracks.
+    return [header, ...waypointXml, ...trackXml, footer].join('\n');
+  }
+
+  /**
+   * Generates the `<metadata>` element. Element order follows the GPX 1.1 schema.
+   * @param {object} metadata - The metadata from GpxMetadataReader (may be empty).
+   * @param {string} routeName - The name to use if the metadata has none.
+   * @returns {string} The `<metadata>` element.
+   * @private
+   */
+  static _generateMetadata(metadata, routeName) {
+    const lines = [`    <name>${this._escapeXml(metadata.name || routeName)}</name>`];
+    if (metadata.desc) {
+      lines.push(`    <desc>${this._escapeXml(metadata.desc)}</desc>`);
+    }
+    if (metadata.author) {
+      const { name, email, link } = metadata.author;
+      const authorLines = [
+        name ? `<name>${this._escapeXml(name)}</name>` : '',
+        email && email.id && email.domain ? `<email id="${this._escapeXml(email.id)}" domain="${this._escapeXml(email.domain)}"/>` : '',
+        link ? this._generateLink(link) : '',
+      ].join('');
+      if (authorLines) {
+        lines.push(`    <author>${authorLines}</author>`);
+      }
+    }
+    if (metadata.copyright && metadata.copyright.author) {
+      const { author, year, license } = metadata.copyright;
+      const yearTag = year ? `<year>${this._escapeXml(year)}</year>` : '';
+      const licenseTag = license ? `<license>${this._escapeXml(license)}</license>` : '';
+      lines.push(`    <copyright author="${this._escapeXml(author)}">${yearTag}${licenseTag}</copyright>`);
+    }
+    (metadata.links || []).forEach(link => lines.push(`    ${this._generateLink(link)}`));
+    // Keep the original creation time; a new document is stamped with the current time.
+    lines.push(`    <time>${(metadata.time || new Date()).toISOString()}</time>`);
+    if (metadata.keywords) {
+      lines.push(`    <keywords>${this._escapeXml(metadata.keywords)}</keywords>`);
+    }
+    if (metadata.bounds) {
+      const { minlat, minlon, maxlat, maxlon } = metadata.bounds;
+      lines.push(`    <bounds minlat="${minlat}" minlon="${minlon}" maxlat="${maxlat}" maxlon="${maxlon}"/>`);
+    }
+    if (metadata.extensionsXml) {
+      lines.push(`    <extensions>${metadata.extensionsXml}</extensions>`);
+    }
+    return `  <metadata>\n${lines.join('\n')}\n  </metadata>`;
+  }
+
+  /**
+   * Generates the descriptive elements of a `<trk>`, which precede its segments.
+   * @param {object} track - The track from GpxMetadataReader (may be empty).
+   * @param {string} routeName - The name to use if the track has none.
+   * @returns {string} The elements, one per line.
+   * @private
+   */
+  static _generateTrackDescription(track, routeName) {
+    const lines = [`    <name>${this._escapeXml(track.name || routeName)}</name>`];
+    ['cmt', 'desc', 'src'].forEach(field => {
+      if (track[field]) lines.push(`    <${field}>${this._escapeXml(track[field])}</${field}>`);
+    });
+    (track.links || []).forEach(link => lines.push(`    ${this._generateLink(link)}`));
+    ['number', 'type'].forEach(field => {
+      if (track[field]) lines.push(`    <${field}>${this._escapeXml(track[field])}</${field}>`);
+    });
+    if (track.extensionsXml) {
+      lines.push(`    <extensions>${track.extensionsXml}</extensions>`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Generates a `<wpt>` element. Element order follows the GPX 1.1 schema.
+   * @param {object} wpt - The waypoint.
+   * @returns {string} The `<wpt>` element.
+   * @private
+   */
+  static _generateWaypoint(wpt) {
+    const hasValue = (value) => value !== undefined && value !== null && value !== '';
+    const textTag = (field) => (hasValue(wpt[field]) ? `\n    <${field}>${this._escapeXml(wpt[field])}</${field}>` : '');
+
+    let xml = `  <wpt lat="${wpt.lat.toFixed(6)}" lon="${wpt.lon.toFixed(6)}">`;
+    if (hasValue(wpt.ele) && !isNaN(wpt.ele)) {
+      xml += `\n    <ele>${Number(wpt.ele).toFixed(2)}</ele>`;
+    }
+    if (wpt.time) {
+      xml += `\n    <time>${wpt.time.toISOString()}</time>`;
+    }
+    xml += WAYPOINT_FIELDS_BEFORE_LINKS.map(textTag).join('');
+    xml += (wpt.links || []).map(link => `\n    ${this._generateLink(link)}`).join('');
+    xml += WAYPOINT_FIELDS_AFTER_LINKS.map(textTag).join('');
+    if (wpt.extensionsXml) {
+      xml += `\n    <extensions>${wpt.extensionsXml}</extensions>`;
+    }
+    return `${xml}\n  </wpt>`;
+  }
+
+  /**
+   * Generates a `<link>` element.
+   * @param {object} link - The link { href, text, type }.
+   * @returns {string} The `<link>` element.
+   * @private
+   */
+  static _generateLink(link) {
+    const textTag = link.text ? `<text>${this._escapeXml(link.text)}</text>` : '';
+    const typeTag = link.type ? `<type>${this._escapeXml(link.type)}</type>` : '';
+    return `<link href="${this._escapeXml(link.href || '')}">${textTag}${typeTag}</link>`;
+  }
+
+  /**
+   * Generates the `<extensions>` element holding a point's sensor channels.
+   * @param {object} p - A point with optional hr, cad, atemp, and power properties.
+   * @returns {string} The `<extensions>` element, or an empty string if the point has no sensor data.
+   * @private
+   */
+  static _generateSensorExtensions(p) {
+    const hasValue = (value) => value !== undefined && value !== null;
+    // Element order follows the TrackPointExtension schema: atemp, wtemp, depth, hr, cad.
+    const trackPointExtension = [
+      hasValue(p.atemp) ? `<gpxtpx:atemp>${p.atemp}</gpxtpx:atemp>` : '',
+      hasValue(p.hr) ? `<gpxtpx:hr>${Math.round(p.hr)}</gpxtpx:hr>` : '',
+      hasValue(p.cad) ? `<gpxtpx:cad>${Math.round(p.cad)}</gpxtpx:cad>` : '',
+    ].join('');
+    // Power has no place in the TrackPointExtension; GPX 1.1 only allows it in a namespace of its own.
+    const powerTag = hasValue(p.power) ? `<pwr:PowerInWatts>${Math.round(p.power)}</pwr:PowerInWatts>` : '';
+
+    if (!trackPointExtension && !powerTag) {
+      return '';
+    }
+    const trackPointExtensionTag = trackPointExtension
+      ? `<gpxtpx:TrackPointExtension>${trackPointExtension}</gpxtpx:TrackPointExtension>`
+      : '';
+    return `<extensions>${powerTag}${trackPointExtensionTag}</extensions>`;
+  }
+
+  /**
+   * Escapes the XML special characters of a text value.
+   * @param {string} text - The raw text.
+   * @returns {string} The escaped text.
+   * @private
+   */
+  static _escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Generates the XML for a single track point.
+   * @param {object} p - A point with lat, lon, ele, time, and optional sensor properties.
+   * @returns {string} The `<trkpt>` element.
+   * @private
+   */
+  static _generateTrackPoint(p) {
+    const timeTag = p.time ? `<time>${p.time.toISOString()}</time>` : '';
+    const eleTag = p.ele !== undefined && p.ele !== null ? `<ele>${p.ele.toFixed(2)}</ele>` : '';
+    let trkpt = `      <trkpt lat="${p.lat.toFixed(6)}" lon="${p.lon.toFixed(6)}">`;
+    if (eleTag) {
+      trkpt += `\n        ${eleTag}`;
+    }
+    if (timeTag) {
+      trkpt += `\n        ${timeTag}`;
+    }
+    const extensionsXml = p.extensionsXml ? `<extensions>${p.extensionsXml}</extensions>` : this._generateSensorExtensions(p);
+    if (extensionsXml) {
+      trkpt += `\n        ${extensionsXml}`;
+    }
+    trkpt += `\n      </trkpt>`;
+    return trkpt;
   }
 }
 
@@ -0,0 +1,184 @@
+import logger from './Logger.js';
+
+/**
+ * Reads the descriptive parts of a GPX document that gpxParser doesn't keep (or only partly keeps):
+ * the document metadata, the track descriptions, the full waypoints and all `<extensions>`, so that
+ * GpxGenerator can write them back unchanged. Extensions are kept as serialized XML.
+ */
+class GpxMetadataReader {
+  /**
+   * Reads the metadata of a parsed GPX file.
+   * @param {object} gpx - The parsed GPX data from gpxParser.
+   * @returns {object} The document data { metadata, tracks, waypoints, extensionsXml }. `tracks` is indexed
+   *   like the `trackIndex` of TrackSegmenter: the `<trk>` elements or, in route-only files, the `<rte>` elements.
+   */
+  static read(gpx) {
+    const root = gpx.xmlSource ? gpx.xmlSource.documentElement : null;
+    if (!root) {
+      logger.warn('GPX source document not available. Metadata will not be preserved.');
+      return { metadata: null, tracks: [], waypoints: gpx.waypoints || [], extensionsXml: null };
+    }
+
+    const metadataElement = this._getChildren(root, 'metadata')[0];
+    let trackElements = this._getChildren(root, 'trk');
+    if (trackElements.length === 0) {
+      trackElements = this._getChildren(root, 'rte');
+    }
+
+    return {
+      metadata: metadataElement ? this._readMetadata(metadataElement) : null,
+      tracks: trackElements.map(element => this._readTrack(element)),
+      waypoints: this._getChildren(root, 'wpt').map(element => this._readWaypoint(element)),
+      extensionsXml: this._readExtensions(root),
+    };
+  }
+
+  /**
+   * Reads the `<metadata>` element.
+   * @param {Element} element - The `<metadata>` element.
+   * @returns {object} The metadata { name, desc, author, copyright, links, time, keywords, bounds, extensionsXml }.
+   * @private
+   */
+  static _readMetadata(element) {
+    const authorElement = this._getChildren(element, 'author')[0];
+    const copyrightElement = this._getChildren(element, 'copyright')[0];
+    const boundsElement = this._getChildren(element, 'bounds')[0];
+    const timeText = this._getChildText(element, 'time');
+
+    return {
+      name: this._getChildText(element, 'name'),
+      desc: this._getChildText(element, 'desc'),
+      author: authorElement ? {
+        name: this._getChildText(authorElement, 'name'),
+        email: this._readEmail(this._getChildren(authorElement, 'email')[0]),
+        link: this._readLinks(authorElement)[0] || null,
+      } : null,
+      copyright: copyrightElement ? {
+        author: copyrightElement.getAttribute('author'),
+        year: this._getChildText(copyrightElement, 'year'),
+        license: this._getChildText(copyrightElement, 'license'),
+      } : null,
+      links: this._readLinks(element),
+      time: timeText ? new Date(timeText) : null,
+      keywords: this._getChildText(element, 'keywords'),
+      bounds: boundsElement ? {
+        minlat: boundsElement.getAttribute('minlat'),
+        minlon: boundsElement.getAttribute('minlon'),
+        maxlat: boundsElement.getAttribute('maxlat'),
+        maxlon: boundsElement.getAttribute('maxlon'),
+      } : null,
+      extensionsXml: this._readExtensions(element),
+    };
+  }
+
+  /**
+   * Reads the descriptive elements of a `<trk>` (or `<rte>`), without its points.
+   * @param {Element} element - The `<trk>` or `<rte>` element.
+   * @returns {object} The track { name, cmt, desc, src, links, number, type, extensionsXml }.
+   * @private
+   */
+  static _readTrack(element) {
+    return {
+      name: this._getChildText(element, 'name'),
+      cmt: this._getChildText(element, 'cmt'),
+      desc: this._getChildText(element, 'desc'),
+      src: this._getChildText(element, 'src'),
+      links: this._readLinks(element),
+      number: this._getChildText(element, 'number'),
+      type: this._getChildText(element, 'type'),
+      extensionsXml: this._readExtensions(element),
+    };
+  }
+
+  /**
+   * Reads a `<wpt>` element with all of its fields. Besides lat, lon, ele, time, links and extensions,
+   * every text-only child (name, cmt, desc, sym, type, hdop, ...) is kept as a string property.
+   * @param {Element} element - The `<wpt>` element.
+   * @returns {object} The waypoint { lat, lon, ele, time, links, extensionsXml, ...textFields }.
+   * @private
+   */
+  static _readWaypoint(element) {
+    const eleText = this._getChildText(element, 'ele');
+    const timeText = this._getChildText(element, 'time');
+    const waypoint = {};
+    Array.from(element.children)
+      .filter(child => child.children.length === 0 && !['ele', 'time', 'link', 'extensions'].includes(child.localName))
+      .forEach(child => { waypoint[child.localName] = child.textContent.trim(); });
+
+    return {
+      ...waypoint,
+      lat: parseFloat(element.getAttribute('lat')),
+      lon: parseFloat(element.getAttribute('lon')),
+      ele: eleText !== null ? parseFloat(eleText) : null,
+      time: timeText ? new Date(timeText) : null,
+      links: this._readLinks(element),
+      extensionsXml: this._readExtensions(element),
+    };
+  }
+
+  /**
+   * Reads the `<link>` children of an element.
+   * @param {Element} element - The parent element.
+   * @returns {Array<object>} The links { href, text, type }.
+   * @private
+   */
+  static _readLinks(element) {
+    return this._getChildren(element, 'link').map(linkElement => ({
+      href: linkElement.getAttribute('href'),
+      text: this._getChildText(linkElement, 'text'),
+      type: this._getChildText(linkElement, 'type'),
+    }));
+  }
+
+  /**
+   * Reads an `<email id="..." domain="...">` element.
+   * @param {Element} [element] - The `<email>` element.
+   * @returns {object|null} The email { id, domain }, or null.
+   * @private
+   */
+  static _readEmail(element) {
+    if (!element) return null;
+    return { id: element.getAttribute('id'), domain: element.getAttribute('domain') };
+  }
+
+  /**
+   * Serializes the content of an element's `<extensions>` child. Namespace declarations needed by
+   * the extension elements are added by the serializer, so the result can be written into any GPX file.
+   * @param {Element} element - The parent element.
+   * @returns {string|null} The serialized extension elements, or null if there are none.
+   * @private
+   */
+  static _readExtensions(element) {
+    const extensionsElement = this._getChildren(element, 'extensions')[0];
+    if (!extensionsElement) return null;
+    const serializer = new XMLSerializer();
+    const xml = Array.from(extensionsElement.children).map(child => serializer.serializeToString(child)).join('');
+    return xml || null;
+  }
+
+  /**
+   * Returns the direct child elements with the given local name, ignoring namespaces.
+   * Direct children only, so e.g. the `<name>` of a track isn't mistaken for the `<name>` of its metadata.
+   * @param {Element} element - The parent element.
+   * @param {string} localName - The element name without prefix.
+   * @returns {Array<Element>} The matching children.
+   * @private
+   */
+  static _getChildren(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+  }
+
+  /**
+   * Returns the trimmed text of the first direct child element with the given local name.
+   * @param {Element} element - The parent element.
+   * @param {string} localName - The element name without prefix.
+   * @returns {string|null} The text, or null if there is no such element.
+   * @private
+   */
+  static _getChildText(element, localName) {
+    const child = this._getChildren(element, localName)[0];
+    return child ? child.textContent.trim() : null;
+  }
+}
+
+export default GpxMetadataReader;
@@ -0,0 +1,117 @@
+import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+import PerformancePlanner from './PerformancePlanner.js';
+
+// The 'sweatRateMlPerHour' setting is the fluid loss at this air temperature...
+const REFERENCE_TEMPERATURE_C = 20;
+// ...and it changes by this fraction per degree above or below, never dropping under the minimum factor.
+const SWEAT_RATE_CHANGE_PER_DEGREE = 0.04;
+const MIN_SWEAT_RATE_FACTOR = 0.3;
+// Water sources farther than this from the route aren't used as refill points.
+const WATER_SOURCE_MAX_OFFSET_METERS = 200;
+// The POI types (OpenStreetMap `amenity` or `tourism` values) where water can be refilled.
+const WATER_SOURCE_TYPES = ['drinking_water', 'water_point', 'alpine_hut', 'wilderness_hut'];
+
+/**
+ * A utility class for planning the water along a route. The fluid loss per hour of the planned timeline comes from
+ * the 'sweatRateMlPerHour' setting, adjusted to the air temperature: the temperature recorded in the GPX
+ * extensions (`atemp`) when 'useRecordedTemperature' is on and the point has one, 'airTemperatureC' otherwise.
+ * The water is refilled at the start, at the water sources and huts near the route and at the overnight stops.
+ * Stretches between two refills that need more than the 'waterCapacityLiters' you can carry are reported as dry.
+ */
+class HydrationPlanner {
+  /**
+   * Plans the water for a planned route.
+   * @param {Array<object>} plannedData - The points from PerformancePlanner.planPerformanceProfile.
+   * @param {Array<object>} [pois=[]] - The POIs near the route, with name, lat, lon and `type`.
+   * @param {Array<object>} [stages=[]] - The stages of the plan; the water is refilled at each overnight stop.
+   * @returns {object|null} { totalWaterMl, capacityMl, refills, dryStretches }, or null when the sweat rate is 0.
+   *   Each refill { index, distance, timeSec (planned departure since the start), name, kind ('start', 'water' or
+   *   'overnight'), nextDistance, waterMl (needed until the next refill), carryMl } covers the stretch to the next
+   *   one; the dry stretches { startDistance, endDistance, waterMl, shortfallMl } are those beyond the capacity.
+   */
+  static plan(plannedData, pois = [], stages = []) {
+    const sweatRateMlPerHour = SettingsManager.get('sweatRateMlPerHour');
+    if (!plannedData || plannedData.length < 2 || sweatRateMlPerHour <= 0) {
+      return null;
+    }
+    const capacityMl = SettingsManager.get('waterCapacityLiters') * 1000;
+    const useRecordedTemperature = SettingsManager.get('useRecordedTemperature');
+    const airTemperatureC = SettingsManager.get('airTemperatureC');
+
+    // Fluid loss along the planned timeline, without the nights
+    const trailTime = p => p.projectedTime - (p.plannedOvernightTime || 0);
+    const cumulativeWaterMl = [0];
+    for (let i = 1; i < plannedData.length; i++) {
+      const point = plannedData[i];
+      const temperatureC = useRecordedTemperature && typeof point.atemp === 'number' ? point.atemp : airTemperatureC;
+      const seconds = Math.max(trailTime(point) - trailTime(plannedData[i - 1]), 0);
+      cumulativeWaterMl.push(cumulativeWaterMl[i - 1] + this.getSweatRate(sweatRateMlPerHour, temperatureC) * seconds / 3600);
+    }
+
+    const refillsByIndex = new Map([[0, { index: 0, name: 'Start', kind: 'start' }]]);
+    stages.slice(0, -1).forEach(stage => {
+      refillsByIndex.set(stage.endIndex, { index: stage.endIndex, name: stage.endName || `Night ${stage.index + 1}`, kind: 'overnight' });
+    });
+    this._findWaterSources(plannedData, pois).forEach(source => {
+      if (!refillsByIndex.has(source.index)) refillsByIndex.set(source.index, { ...source, kind: 'water' });
+    });
+
+    const lastIndex = plannedData.length - 1;
+    const refills = [...refillsByIndex.values()]
+      .filter(refill => refill.index < lastIndex)
+      .sort((a, b) => a.index - b.index);
+    const dryStretches = [];
+    refills.forEach((refill, k) => {
+      const nextIndex = k + 1 < refills.length ? refills[k + 1].index : lastIndex;
+      refill.distance = plannedData[refill.index].cumulativeDistance;
+      refill.timeSec = plannedData[refill.index].projectedTime;
+      refill.nextDistance = plannedData[nextIndex].cumulativeDistance;
+      refill.waterMl = cumulativeWaterMl[nextIndex] - cumulativeWaterMl[refill.index];
+      refill.carryMl = Math.min(refill.waterMl, capacityMl);
+      if (refill.waterMl > capacityMl) {
+        dryStretches.push({
+          startDistance: refill.distance,
+          endDistance: refill.nextDistance,
+          waterMl: refill.waterMl,
+          shortfallMl: refill.waterMl - capacityMl,
+        });
+      }
+    });
+
+    const totalWaterMl = cumulativeWaterMl[lastIndex];
+    logger.info(`Planned ${(totalWaterMl / 1000).toFixed(1)} L of water with ${refills.length - 1} refill(s) and ${dryStretches.length} dry stretch(es).`);
+    return { totalWaterMl, capacityMl, refills, dryStretches };
+  }
+
+  /**
+   * Adjusts the sweat rate to the air temperature.
+   * @param {number} sweatRateMlPerHour - The sweat rate at the reference temperature of 20 °C.
+   * @param {number} temperatureC - The air temperature in °C.
+   * @returns {number} The sweat rate in ml per hour.
+   */
+  static getSweatRate(sweatRateMlPerHour, temperatureC) {
+    const factor = 1 + SWEAT_RATE_CHANGE_PER_DEGREE * (temperatureC - REFERENCE_TEMPERATURE_C);
+    return sweatRateMlPerHour * Math.max(factor, MIN_SWEAT_RATE_FACTOR);
+  }
+
+  /**
+   * Finds the water sources and huts near the route.
+   * @param {Array<object>} plannedData - The points of the route.
+   * @param {Array<object>} pois - The POIs near the route.
+   * @returns {Array<object>} The sources { index, name }, sorted along the route.
+   * @private
+   */
+  static _findWaterSources(plannedData, pois) {
+    return (pois || [])
+      .filter(poi => WATER_SOURCE_TYPES.includes(poi.type))
+      .map(poi => {
+        const { index, offsetMeters } = PerformancePlanner.projectOntoRoute(plannedData, poi.lat, poi.lon);
+        return index !== -1 && offsetMeters <= WATER_SOURCE_MAX_OFFSET_METERS ? { index, name: poi.name } : null;
+      })
+      .filter(source => source !== null)
+      .sort((a, b) => a.index - b.index);
+  }
+}
+
+export default HydrationPlanner;
@@ -0,0 +1,207 @@
+import logger from './Logger.js';
+
+/**
+ * Imports Google Earth KML files and zipped KMZ archives.
+ * `<LineString>` and `<gx:Track>` geometries become segments, `<Point>` placemarks become waypoints.
+ */
+class KmlImporter {
+  /**
+   * Parses a KML document into segments and waypoints.
+   * @param {string} kmlString - The KML content as text.
+   * @returns {object} The imported data { name, segments: [{ name, points }], waypoints }.
+   */
+  static parse(kmlString) {
+    const xml = new DOMParser().parseFromString(kmlString, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The KML file is not valid XML.');
+    }
+
+    const documentElement = this._getElements(xml, 'Document')[0];
+    const name = documentElement ? this._getChildText(documentElement, 'name') : null;
+
+    const segments = [];
+    const waypoints = [];
+
+    this._getElements(xml, 'Placemark').forEach(placemark => {
+      const placemarkName = this._getChildText(placemark, 'name');
+
+      this._getElements(placemark, 'LineString').forEach(lineString => {
+        const coordinates = this._getElements(lineString, 'coordinates')[0];
+        const points = coordinates ? this._parseCoordinates(coordinates.textContent) : [];
+        if (points.length > 0) {
+          segments.push({ name: placemarkName || `Line ${segments.length + 1}`, points });
+        }
+      });
+
+      // gx:Track is Google's extension for timestamped tracks (e.g. exported by Google Earth or My Tracks).
+      this._getElements(placemark, 'Track').forEach(track => {
+        const points = this._parseGxTrack(track);
+        if (points.length > 0) {
+          segments.push({ name: placemarkName || `Track ${segments.length + 1}`, points });
+        }
+      });
+
+      this._getElements(placemark, 'Point').forEach(point => {
+        const coordinates = this._getElements(point, 'coordinates')[0];
+        const [position] = coordinates ? this._parseCoordinates(coordinates.textContent) : [];
+        if (position) {
+          waypoints.push({ ...position, name: placemarkName || `Point ${waypoints.length + 1}` });
+        }
+      });
+    });
+
+    logger.info(`KML import: ${segments.length} line(s), ${waypoints.length} point(s).`);
+    return { name, segments, waypoints };
+  }
+
+  /**
+   * Extracts the main KML document from a KMZ (zip) archive and parses it.
+   * @param {ArrayBuffer} buffer - The KMZ file content.
+   * @returns {Promise<object>} The imported data { name, segments: [{ name, points }], waypoints }.
+   */
+  static async parseKmz(buffer) {
+    const entries = this._readZipEntries(buffer);
+    // By convention the main document is doc.kml, otherwise the first .kml file in the archive is used.
+    const kmlEntry = entries.find(entry => entry.name.toLowerCase() === 'doc.kml')
+      || entries.find(entry => entry.name.toLowerCase().endsWith('.kml'));
+    if (!kmlEntry) {
+      throw new Error('The KMZ archive does not contain a KML document.');
+    }
+
+    logger.info(`Extracting "${kmlEntry.name}" from KMZ archive.`);
+    const kmlBytes = await this._extractZipEntry(buffer, kmlEntry);
+    return this.parse(new TextDecoder().decode(kmlBytes));
+  }
+
+  /**
+   * Parses a KML `<coordinates>` string ("lon,lat[,alt] lon,lat[,alt] ...").
+   * KML files that are clamped to the ground usually carry an altitude of 0 everywhere;
+   * in that case the altitudes are dropped so the route is enriched with terrain data.
+   * @param {string} text - The coordinates text.
+   * @returns {Array<object>} An array of points with lon, lat, ele, and time properties.
+   * @private
+   */
+  static _parseCoordinates(text) {
+    const points = text.trim().split(/\s+/)
+      .map(tuple => tuple.split(',').map(parseFloat))
+      .filter(([lon, lat]) => !isNaN(lon) && !isNaN(lat))
+      .map(([lon, lat, ele]) => ({ lon, lat, ele: isNaN(ele) ? null : ele, time: null }));
+
+    if (points.every(p => !p.ele)) {
+      points.forEach(p => { p.ele = null; });
+    }
+    return points;
+  }
+
+  /**
+   * Parses a `<gx:Track>` element, which lists `<when>` timestamps and `<gx:coord>` positions in parallel.
+   * @param {Element} track - The `<gx:Track>` element.
+   * @returns {Array<object>} An array of points with lon, lat, ele, and time properties.
+   * @private
+   */
+  static _parseGxTrack(track) {
+    const times = this._getElements(track, 'when').map(when => new Date(when.textContent.trim()));
+    const points = this._getElements(track, 'coord').map((coord, index) => {
+      const [lon, lat, ele] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+      return { lon, lat, ele: isNaN(ele) ? null : ele, time: times[index] || null };
+    }).filter(p => !isNaN(p.lon) && !isNaN(p.lat));
+
+    // Timestamps are only usable if every point has one.
+    if (points.some(p => p.time === null || isNaN(p.time.getTime()))) {
+      points.forEach(p => { p.time = null; });
+    }
+    return points;
+  }
+
+  /**
+   * Reads the entries of a zip archive from its central directory.
+   * @param {ArrayBuffer} buffer - The zip file content.
+   * @returns {Array<object>} An array of entries { name, method, compressedSize, localHeaderOffset }.
+   * @private
+   */
+  static _readZipEntries(buffer) {
+    const view = new DataView(buffer);
+
+    // The "end of central directory" record sits at the end of the file, followed by an optional comment.
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new Error('The KMZ file is not a valid zip archive.');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('The KMZ archive has a corrupt central directory.');
+      }
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      entries.push({
+        name: new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength)),
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localHeaderOffset: view.getUint32(offset + 42, true),
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  /**
+   * Extracts and, if needed, inflates a single zip entry.
+   * @param {ArrayBuffer} buffer - The zip file content.
+   * @param {object} entry - An entry from _readZipEntries.
+   * @returns {Promise<Uint8Array>} The uncompressed entry content.
+   * @private
+   */
+  static async _extractZipEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const nameLength = view.getUint16(entry.localHeaderOffset + 26, true);
+    const extraLength = view.getUint16(entry.localHeaderOffset + 28, true);
+    const dataOffset = entry.localHeaderOffset + 30 + nameLength + extraLength;
+    const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+    if (entry.method === 0) { // Stored
+      return data;
+    }
+    if (entry.method === 8) { // Deflate
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    throw new Error(`Unsupported zip compression method: ${entry.method}`);
+  }
+
+  /**
+   * Returns all descendant elements with the given local name, ignoring namespace prefixes.
+   * @param {Document|Element} parent - The element to search in.
+   * @param {string} localName - The local tag name (e.g. 'Track' for gx:Track).
+   * @returns {Array<Element>} The matching elements.
+   * @private
+   */
+  static _getElements(parent, localName) {
+    return Array.from(parent.getElementsByTagNameNS('*', localName));
+  }
+
+  /**
+   * Returns the text of the first direct child element with the given local name.
+   * @param {Element} element - The parent element.
+   * @param {string} localName - The local tag name.
+   * @returns {string|null} The trimmed text content, or null if not found.
+   * @private
+   */
+  static _getChildText(element, localName) {
+    const child = Array.from(element.children).find(c => c.localName === localName);
+    return child ? child.textContent.trim() : null;
+  }
+}
+
+export default KmlImporter;
@@ -0,0 +1,96 @@
+import logger from './Logger.js';
+import RouteStorage from './RouteStorage.js';
+import SettingsManager from './SettingsManager.js';
+
+// Identifies a backup file; the version is bumped if the bundle layout changes incompatibly.
+const BACKUP_FORMAT = 'gpx-3d-player-library';
+const BACKUP_VERSION = 1;
+
+/**
+ * Backs up the whole route library into a single JSON bundle and restores it, e.g. to move the
+ * library between devices. A bundle holds every route record (including deleted static routes),
+ * its GPX body, cached stats and POIs, and the user's SettingsManager preferences:
+ *
+ *   { format, version, exportedAt, settings: {...}, routes: [{ route, gpxBody, stats, pois, poisVersion }] }
+ */
+class LibraryBackup {
+  /**
+   * Creates a bundle of the current library and settings.
+   * @returns {Promise<object>} The bundle.
+   */
+  static async createBundle() {
+    const routes = await RouteStorage.exportLibrary();
+    logger.info(`Created library backup with ${routes.length} route(s).`);
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: SettingsManager.getAll(),
+      routes,
+    };
+  }
+
+  /**
+   * Returns the file name for a bundle, e.g. `gpx-library-backup-2025-06-14.json`.
+   * @param {object} bundle - The bundle from createBundle.
+   * @returns {string} The file name.
+   */
+  static getFilename(bundle) {
+    return `gpx-library-backup-${bundle.exportedAt.slice(0, 10)}.json`;
+  }
+
+  /**
+   * Reads and validates a backup file selected by the user.
+   * @param {File} file - The backup file.
+   * @returns {Promise<object>} The bundle.
+   * @throws {Error} If the file is not a supported library backup.
+   */
+  static async readBundle(file) {
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    if (!bundle || bundle.format !== BACKUP_FORMAT || !Array.isArray(bundle.routes)) {
+      throw new Error('The file is not a route library backup.');
+    }
+    if (bundle.version > BACKUP_VERSION) {
+      throw new Error(`The backup was created by a newer version of the app (version ${bundle.version}).`);
+    }
+    const isValidEntry = (entry) => entry && entry.route && typeof entry.route.id === 'string' && typeof entry.route.name === 'string';
+    if (!bundle.routes.every(isValidEntry)) {
+      throw new Error('The backup contains invalid route records.');
+    }
+    return bundle;
+  }
+
+  /**
+   * Finds the routes of a bundle that already exist in the library (matched by route ID).
+   * Deleted static routes on this device don't count as conflicts.
+   * @param {object} bundle - The bundle from readBundle.
+   * @returns {Promise<Array<object>>} The conflicting route records of the bundle.
+   */
+  static async findConflicts(bundle) {
+    const existingIds = new Set((await RouteStorage.getRoutes()).map(route => route.id));
+    return bundle.routes.map(entry => entry.route).filter(route => !route.deleted && existingIds.has(route.id));
+  }
+
+  /**
+   * Merges a bundle into the library and applies its settings.
+   * @param {object} bundle - The bundle from readBundle.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.overwrite=false] - Whether conflicting routes are replaced by the bundle's version.
+   * @returns {Promise<object>} The outcome { added, overwritten, skipped }.
+   */
+  static async restoreBundle(bundle, { overwrite = false } = {}) {
+    const result = await RouteStorage.importLibrary(bundle.routes, { overwrite });
+    if (bundle.settings) {
+      SettingsManager.setAll(bundle.settings);
+    }
+    return result;
+  }
+}
+
+export default LibraryBackup;
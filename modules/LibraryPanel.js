@@ -0,0 +1,280 @@
+import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+
+// Sort orders of the library list, keyed by the value stored in the 'librarySort' setting.
+const SORT_OPTIONS = {
+  'date-desc': 'Newest first',
+  'date-asc': 'Oldest first',
+  name: 'Name',
+  distance: 'Distance',
+  effort: 'Km-effort',
+};
+
+// Values of the folder filter that don't name a folder.
+const FOLDER_FILTER_ALL = '__all__';
+const FOLDER_FILTER_NONE = '__none__';
+
+/**
+ * The "Manage Library" panel: a searchable, sortable list of the stored routes with actions to
+ * load, rename, tag, file into a folder and delete single routes.
+ * The panel only renders and collects input; the App persists the changes through the callbacks.
+ */
+class LibraryPanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.routes = [];
+    this.activeRouteId = null;
+
+    // Callbacks to be set by the App class
+    this.onLoadRoute = () => {};
+    this.onUpdateRoute = () => {};
+    this.onDeleteRoute = () => {};
+
+    this._createDom();
+    SettingsManager.subscribe('librarySort', (sort) => {
+      this.sortSelect.value = sort;
+      this._renderList();
+    });
+    logger.info('LibraryPanel initialized.');
+  }
+
+  /**
+   * Builds the search, filter and sort controls and the (empty) route list.
+   * @private
+   */
+  _createDom() {
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.className = 'library-search';
+    this.searchInput.placeholder = 'Search by name, tag or folder';
+    this.searchInput.addEventListener('input', () => this._renderList());
+
+    this.folderSelect = document.createElement('select');
+    this.folderSelect.addEventListener('change', () => this._renderList());
+
+    this.sortSelect = document.createElement('select');
+    Object.entries(SORT_OPTIONS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `Sort: ${label}`;
+      this.sortSelect.appendChild(option);
+    });
+    this.sortSelect.value = SettingsManager.get('librarySort');
+    this.sortSelect.addEventListener('change', () => SettingsManager.set('librarySort', this.sortSelect.value));
+
+    const filterRow = document.createElement('div');
+    filterRow.className = 'library-filter-row';
+    filterRow.append(this.folderSelect, this.sortSelect);
+
+    this.list = document.createElement('ul');
+    this.list.className = 'library-list';
+
+    this.container.append(this.searchInput, filterRow, this.list);
+  }
+
+  /**
+   * Replaces the listed routes, e.g. after the library has changed.
+   * @param {Array<object>} routes - The route records from RouteStorage.getRoutes(), joined with their stats.
+   */
+  setRoutes(routes) {
+    this.routes = routes || [];
+    this._populateFolderFilter();
+    this._renderList();
+  }
+
+  /**
+   * Highlights the currently loaded route.
+   * @param {string|null} routeId - The ID of the loaded route, or null.
+   */
+  setActiveRoute(routeId) {
+    this.activeRouteId = routeId;
+    this._renderList();
+  }
+
+  /**
+   * Fills the folder filter with every folder in use, keeping the current selection if it still exists.
+   * @private
+   */
+  _populateFolderFilter() {
+    const previousValue = this.folderSelect.value || FOLDER_FILTER_ALL;
+    const folders = [...new Set(this.routes.map(route => route.folder).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+
+    this.folderSelect.innerHTML = '';
+    const options = [[FOLDER_FILTER_ALL, 'All folders'], ...folders.map(folder => [folder, folder]), [FOLDER_FILTER_NONE, 'No folder']];
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.folderSelect.appendChild(option);
+    });
+
+    const stillExists = options.some(([value]) => value === previousValue);
+    this.folderSelect.value = stillExists ? previousValue : FOLDER_FILTER_ALL;
+  }
+
+  /**
+   * Returns the routes matching the search text and folder filter, in the selected sort order.
+   * Routes without cached stats (never loaded yet) sort last when sorting by distance or Km-effort.
+   * @returns {Array<object>} The visible routes.
+   * @private
+   */
+  _getVisibleRoutes() {
+    const query = this.searchInput.value.trim().toLowerCase();
+    const folderFilter = this.folderSelect.value || FOLDER_FILTER_ALL;
+
+    const visibleRoutes = this.routes.filter(route => {
+      if (folderFilter === FOLDER_FILTER_NONE && route.folder) return false;
+      if (folderFilter !== FOLDER_FILTER_ALL && folderFilter !== FOLDER_FILTER_NONE && route.folder !== folderFilter) return false;
+      if (!query) return true;
+      const searchableText = [route.name, route.folder || '', ...(route.tags || [])].join(' ').toLowerCase();
+      return searchableText.includes(query);
+    });
+
+    const statValue = (route, key) => (route.stats && typeof route.stats[key] === 'number' ? route.stats[key] : -Infinity);
+    switch (SettingsManager.get('librarySort')) {
+      case 'date-asc':
+        return visibleRoutes.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      case 'name':
+        return visibleRoutes.sort((a, b) => a.name.localeCompare(b.name));
+      case 'distance':
+        return visibleRoutes.sort((a, b) => statValue(b, 'totalDistance') - statValue(a, 'totalDistance'));
+      case 'effort':
+        return visibleRoutes.sort((a, b) => statValue(b, 'totalKmEffort') - statValue(a, 'totalKmEffort'));
+      default: // 'date-desc'
+        return visibleRoutes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+  }
+
+  /**
+   * Renders the list of visible routes.
+   * @private
+   */
+  _renderList() {
+    this.list.innerHTML = '';
+    const visibleRoutes = this._getVisibleRoutes();
+
+    if (visibleRoutes.length === 0) {
+      const emptyItem = document.createElement('li');
+      emptyItem.className = 'library-empty';
+      emptyItem.textContent = this.routes.length === 0 ? 'The library is empty.' : 'No routes match the search.';
+      this.list.appendChild(emptyItem);
+      return;
+    }
+
+    visibleRoutes.forEach(route => this.list.appendChild(this._createRouteItem(route)));
+  }
+
+  /**
+   * Creates the list item of a route: its name (click to load), a summary line and the action buttons.
+   * User-provided text is only ever assigned as textContent.
+   * @param {object} route - The route record.
+   * @returns {HTMLLIElement} The list item.
+   * @private
+   */
+  _createRouteItem(route) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+    if (route.id === this.activeRouteId) {
+      item.classList.add('active');
+    }
+
+    const nameButton = document.createElement('button');
+    nameButton.className = 'library-item-name';
+    nameButton.textContent = route.name;
+    nameButton.title = 'Load this route';
+    nameButton.addEventListener('click', () => this.onLoadRoute(route.id));
+
+    const meta = document.createElement('div');
+    meta.className = 'library-item-meta';
+    meta.textContent = this._getSummary(route);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-item-actions';
+    actions.append(
+      this._createActionButton('Rename', () => this._promptRename(route)),
+      this._createActionButton('Tags', () => this._promptTags(route)),
+      this._createActionButton('Folder', () => this._promptFolder(route)),
+      this._createActionButton('Delete', () => this.onDeleteRoute(route.id)),
+    );
+
+    item.append(nameButton, meta, actions);
+    return item;
+  }
+
+  /**
+   * Creates a small action button.
+   * @param {string} label - The button label.
+   * @param {Function} onClick - The click handler.
+   * @returns {HTMLButtonElement} The button.
+   * @private
+   */
+  _createActionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Builds the one-line summary of a route, e.g. "12/05/2024 · 42.2 km · 55.1 Km-effort · Races · #marathon".
+   * @param {object} route - The route record.
+   * @returns {string} The summary.
+   * @private
+   */
+  _getSummary(route) {
+    const parts = [new Date(route.createdAt).toLocaleDateString()];
+    if (route.stats) {
+      parts.push(`${route.stats.totalDistance.toFixed(1)} km`);
+      parts.push(`${route.stats.totalKmEffort.toFixed(1)} Km-effort`);
+    }
+    if (route.folder) {
+      parts.push(route.folder);
+    }
+    (route.tags || []).forEach(tag => parts.push(`#${tag}`));
+    return parts.join(' · ');
+  }
+
+  /**
+   * Asks for a new route name.
+   * @param {object} route - The route record.
+   * @private
+   */
+  _promptRename(route) {
+    const name = prompt('Route name:', route.name);
+    if (name === null) return; // Cancelled
+    if (!name.trim()) {
+      alert('The route name cannot be empty.');
+      return;
+    }
+    this.onUpdateRoute(route.id, { name: name.trim() });
+  }
+
+  /**
+   * Asks for the route's tags as a comma-separated list.
+   * @param {object} route - The route record.
+   * @private
+   */
+  _promptTags(route) {
+    const input = prompt('Tags (comma-separated):', (route.tags || []).join(', '));
+    if (input === null) return;
+    const tags = [...new Set(input.split(',').map(tag => tag.trim()).filter(Boolean))];
+    this.onUpdateRoute(route.id, { tags });
+  }
+
+  /**
+   * Asks for the route's folder. An empty folder name removes the route from its folder.
+   * @param {object} route - The route record.
+   * @private
+   */
+  _promptFolder(route) {
+    const input = prompt('Folder (leave empty for none):', route.folder || '');
+    if (input === null) return;
+    this.onUpdateRoute(route.id, { folder: input.trim() });
+  }
+}
+
+export default LibraryPanel;
@@ -0,0 +1,153 @@
+import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+
+// Display names of the available pace models, keyed by their 'paceModel' setting value.
+const MODEL_LABELS = {
+  tobler: 'Tobler',
+  naismith: 'Naismith/Langmuir',
+  linear: 'Linear',
+  custom: 'Custom',
+  personal: 'Personal',
+};
+
+// Every model is kept within these multiples of the flat speed.
+const MIN_SPEED_FACTOR = 0.1;
+const MAX_SPEED_FACTOR = 1.5;
+
+// Tobler's hiking function: 6 km/h × e^(-3.5 × |gradient + 0.05|), fastest on a slight descent.
+const TOBLER_DECAY = 3.5;
+const TOBLER_OPTIMAL_GRADIENT = -0.05;
+
+// Naismith's rule: 5 km/h on the flat plus 1 hour per 600 m of ascent.
+// Langmuir's corrections for descents: -10 minutes per 300 m on gentle (5° to 12°) slopes, +10 minutes per 300 m on steeper ones.
+// All rates are scaled with the target speed, relative to Naismith's 5 km/h.
+const NAISMITH_FLAT_SPEED_KMH = 5;
+const NAISMITH_ASCENT_METERS_PER_HOUR = 600;
+const LANGMUIR_SECONDS_PER_METER_DESCENT = 600 / 300;
+const LANGMUIR_GENTLE_DESCENT_GRADIENT = Math.tan(5 * Math.PI / 180);
+const LANGMUIR_STEEP_DESCENT_GRADIENT = Math.tan(12 * Math.PI / 180);
+
+// The former built-in model: linear slow-down with the gradient (also speeds up on descents).
+const LINEAR_SLOPE = 2.5;
+
+/**
+ * Hiking pace models: how the walking speed changes with the gradient, as a factor of the flat (target) speed.
+ * The model is chosen with the 'paceModel' setting. The custom model interpolates a user-defined table
+ * ('paceModelCustomTable') of "gradient %:speed km/h" pairs, scaled so that its 0% speed is the target speed.
+ * The personal model does the same with the table learned from the library ('paceModelPersonalTable', see PaceModelLearner).
+ */
+class PaceModel {
+  /**
+   * Returns the display name of a pace model.
+   * @param {string} model - The 'paceModel' setting value.
+   * @returns {string} The name.
+   */
+  static getLabel(model) {
+    return MODEL_LABELS[model] || model;
+  }
+
+  /**
+   * Creates the speed function of the pace model chosen in the settings.
+   * @returns {Function} The speed function (see create).
+   */
+  static fromSettings() {
+    const model = SettingsManager.get('paceModel');
+    return this.create(model, SettingsManager.get(model === 'personal' ? 'paceModelPersonalTable' : 'paceModelCustomTable'));
+  }
+
+  /**
+   * Creates the speed function of a pace model.
+   * @param {string} model - 'tobler', 'naismith', 'linear', 'custom' or 'personal'.
+   * @param {string} [table] - The table for the custom and personal models, e.g. "-20:4, 0:5, 20:2.5".
+   * @returns {Function} A function (gradient) => speed factor, taking the gradient as a fraction (0.1 for 10%)
+   *   and returning the multiple of the flat speed.
+   */
+  static create(model, table) {
+    let getFactor;
+    switch (model) {
+      case 'naismith':
+        getFactor = (gradient) => this._naismithFactor(gradient);
+        break;
+      case 'linear':
+        getFactor = (gradient) => 1 - gradient * LINEAR_SLOPE;
+        break;
+      case 'custom':
+      case 'personal': {
+        const entries = this.parseTable(table);
+        if (entries.length >= 2) {
+          const flatSpeed = this._interpolate(entries, 0);
+          getFactor = (gradient) => this._interpolate(entries, gradient) / flatSpeed;
+          break;
+        }
+        logger.warn(`PaceModel: The ${model} pace table needs at least two valid entries. Using Tobler instead.`);
+        getFactor = (gradient) => this._toblerFactor(gradient);
+        break;
+      }
+      default:
+        getFactor = (gradient) => this._toblerFactor(gradient);
+    }
+    return (gradient) => Math.min(Math.max(getFactor(gradient), MIN_SPEED_FACTOR), MAX_SPEED_FACTOR);
+  }
+
+  /**
+   * Parses a custom pace table.
+   * @param {string} text - Comma-separated "gradient %:speed km/h" pairs, e.g. "-20:4, 0:5, 20:2.5".
+   * @returns {Array<Array<number>>} The valid [gradient (fraction), speed (km/h)] pairs, sorted by gradient.
+   */
+  static parseTable(text) {
+    return String(text || '')
+      .split(',')
+      .map(entry => entry.split(':').map(value => parseFloat(value)))
+      .filter(([gradientPercent, speed]) => !isNaN(gradientPercent) && speed > 0)
+      .map(([gradientPercent, speed]) => [gradientPercent / 100, speed])
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Tobler's hiking function, relative to its speed on the flat.
+   * @param {number} gradient - The gradient as a fraction.
+   * @returns {number} The speed factor.
+   * @private
+   */
+  static _toblerFactor(gradient) {
+    return Math.exp(-TOBLER_DECAY * Math.abs(gradient - TOBLER_OPTIMAL_GRADIENT)) / Math.exp(-TOBLER_DECAY * Math.abs(TOBLER_OPTIMAL_GRADIENT));
+  }
+
+  /**
+   * Naismith's rule with Langmuir's descent corrections, as the ratio of the flat time to the time per meter.
+   * @param {number} gradient - The gradient as a fraction.
+   * @returns {number} The speed factor.
+   * @private
+   */
+  static _naismithFactor(gradient) {
+    const flatSecondsPerMeter = 3600 / (NAISMITH_FLAT_SPEED_KMH * 1000);
+    let secondsPerMeter = flatSecondsPerMeter;
+    if (gradient > 0) {
+      secondsPerMeter += gradient * (3600 / NAISMITH_ASCENT_METERS_PER_HOUR);
+    } else if (-gradient > LANGMUIR_STEEP_DESCENT_GRADIENT) {
+      secondsPerMeter += -gradient * LANGMUIR_SECONDS_PER_METER_DESCENT;
+    } else if (-gradient > LANGMUIR_GENTLE_DESCENT_GRADIENT) {
+      secondsPerMeter -= -gradient * LANGMUIR_SECONDS_PER_METER_DESCENT;
+    }
+    return flatSecondsPerMeter / secondsPerMeter;
+  }
+
+  /**
+   * Linearly interpolates a sorted table, holding the first and last values beyond its ends.
+   * @param {Array<Array<number>>} table - The [gradient, speed] pairs from parseTable.
+   * @param {number} gradient - The gradient as a fraction.
+   * @returns {number} The speed in km/h.
+   * @private
+   */
+  static _interpolate(table, gradient) {
+    if (gradient <= table[0][0]) return table[0][1];
+    const last = table[table.length - 1];
+    if (gradient >= last[0]) return last[1];
+    const upper = table.findIndex(([g]) => g >= gradient);
+    const [g1, s1] = table[upper - 1];
+    const [g2, s2] = table[upper];
+    return g2 > g1 ? s1 + (s2 - s1) * ((gradient - g1) / (g2 - g1)) : s2;
+  }
+}
+
+export default PaceModel;
@@ -0,0 +1,113 @@
+import logger from './Logger.js';
+import StatisticsCalculator from './StatisticsCalculator.js';
+import TrackSegmenter from './TrackSegmenter.js';
+import GpsCleaner from './GpsCleaner.js';
+import SettingsManager from './SettingsManager.js';
+
+// Speeds are sampled over stretches of at least this length, so that GPS jitter averages out.
+const SAMPLE_DISTANCE_METERS = 100;
+// Samples are grouped into gradient bins of this width (as a fraction), between the limits.
+const BIN_WIDTH = 0.02;
+const MAX_BIN_GRADIENT = 0.4;
+// A bin needs at least this much moving time to be part of the fitted curve.
+const MIN_BIN_SECONDS = 120;
+
+/**
+ * Learns a personal pace model from recorded tracks: the walking speed as a function of the gradient,
+ * measured on the moving parts of timestamped routes (see StatisticsCalculator.analyzePerformance).
+ * The fitted curve is a "gradient %:speed km/h" table, usable as the 'personal' pace model (see PaceModel).
+ */
+class PaceModelLearner {
+  /**
+   * Analyzes a GPX document and returns its speed samples. Routes without timestamps or elevations have none.
+   * The points are cleaned like the active route when the 'gpsCleaning' setting is on.
+   * @param {string} gpxString - The GPX content.
+   * @returns {Array<object>} The samples (see collectSamples).
+   */
+  static analyzeGpx(gpxString) {
+    const gpx = new gpxParser();
+    gpx.parse(gpxString);
+    if (!gpx.tracks.length) return [];
+
+    let points = TrackSegmenter.concatenate(TrackSegmenter.fromGpx(gpx));
+    if (points.length < 2 || !points.every(p => p.time && typeof p.ele === 'number')) return [];
+    if (SettingsManager.get('gpsCleaning')) {
+      points = GpsCleaner.clean(points).points;
+    }
+
+    const { perPointData } = StatisticsCalculator.calculate(points);
+    return this.collectSamples(StatisticsCalculator.analyzePerformance(perPointData).augmentedPerPointData);
+  }
+
+  /**
+   * Cuts the moving parts of an analyzed route into stretches of about SAMPLE_DISTANCE_METERS and measures
+   * their gradient and speed. Stops and the gaps between track segments end a stretch.
+   * @param {Array<object>} perPointData - The points from StatisticsCalculator.analyzePerformance.
+   * @returns {Array<object>} The samples { gradient (fraction), speedKmh, distance (m), seconds }.
+   */
+  static collectSamples(perPointData) {
+    const samples = [];
+    if (!perPointData || perPointData.length < 2) return samples;
+
+    const elevationOf = p => (p.smoothedEle !== undefined ? p.smoothedEle : p.ele);
+    let start = 0;
+    for (let i = 1; i < perPointData.length; i++) {
+      const p = perPointData[i];
+      if (p.isStopped || p.segmentIndex !== perPointData[i - 1].segmentIndex) {
+        start = i;
+        continue;
+      }
+      const distance = p.cumulativeDistance - perPointData[start].cumulativeDistance;
+      if (distance < SAMPLE_DISTANCE_METERS) continue;
+
+      const seconds = (p.time.getTime() - perPointData[start].time.getTime()) / 1000;
+      if (seconds > 0) {
+        samples.push({
+          gradient: (elevationOf(p) - elevationOf(perPointData[start])) / distance,
+          speedKmh: (distance / seconds) * 3.6,
+          distance,
+          seconds,
+        });
+      }
+      start = i;
+    }
+    return samples;
+  }
+
+  /**
+   * Fits the gradient→speed curve: the samples are binned by gradient and each bin's speed is its total
+   * distance over its total time. Bins with too little moving time are left out.
+   * @param {Array<object>} samples - The samples from collectSamples.
+   * @returns {Array<Array<number>>} The [gradient (fraction), speed (km/h)] pairs of the curve, by gradient.
+   */
+  static fit(samples) {
+    const bins = new Map();
+    samples.forEach(sample => {
+      if (Math.abs(sample.gradient) > MAX_BIN_GRADIENT + BIN_WIDTH / 2) return;
+      const bin = Math.round(sample.gradient / BIN_WIDTH);
+      const totals = bins.get(bin) || { distance: 0, seconds: 0, gradientSum: 0 };
+      totals.distance += sample.distance;
+      totals.seconds += sample.seconds;
+      totals.gradientSum += sample.gradient * sample.seconds;
+      bins.set(bin, totals);
+    });
+
+    const curve = Array.from(bins.values())
+      .filter(totals => totals.seconds >= MIN_BIN_SECONDS)
+      .map(totals => [totals.gradientSum / totals.seconds, (totals.distance / totals.seconds) * 3.6])
+      .sort((a, b) => a[0] - b[0]);
+    logger.info(`Fitted a personal pace curve with ${curve.length} point(s) from ${samples.length} sample(s).`);
+    return curve;
+  }
+
+  /**
+   * Formats a fitted curve as a pace table, the format of the pace model settings.
+   * @param {Array<Array<number>>} curve - The curve from fit.
+   * @returns {string} The table, e.g. "-10:5.4, 0:4.9, 10:3.6".
+   */
+  static toTableString(curve) {
+    return curve.map(([gradient, speed]) => `${parseFloat((gradient * 100).toFixed(1))}:${parseFloat(speed.toFixed(2))}`).join(', ');
+  }
+}
+
+export default PaceModelLearner;
@@ -1,53 +1,313 @@
 import logger from './Logger.js';
 import SettingsManager from './SettingsManager.js';
+import PaceModel from './PaceModel.js';
+import SunCalculator from './SunCalculator.js';
+
+// Fatigue never slows the athlete below this fraction of the rested speed.
+const MIN_FATIGUE_SPEED_FACTOR = 0.5;
+// A rest of this many minutes recovers half of the accumulated fatigue; longer rests recover more.
+const HALF_RECOVERY_REST_MINUTES = 15;
+
+// An overnight stop at lodging is only chosen within this many hours of walking before the daily budget runs out.
+const LODGING_WINDOW_HOURS = 2;
+// Lodging farther than this from the route isn't considered for an overnight stop.
+const LODGING_MAX_OFFSET_METERS = 300;
+// The OpenStreetMap `tourism` values of the POIs that offer a place to sleep.
+const LODGING_TYPES = ['hotel', 'hostel', 'guest_house', 'motel', 'chalet', 'alpine_hut', 'wilderness_hut', 'camp_site'];
+// A pause of at least this many hours in a recorded route is skipped during playback, like a planned overnight stop.
+const MIN_SKIPPED_GAP_HOURS = 3;
+
+// Without a 'plannedStart', routes are planned to start today at this hour (local time).
+const DEFAULT_START_HOUR = 7;
+// Waypoints farther than this from the route aren't loaded as checkpoints.
+const CHECKPOINT_MAX_OFFSET_METERS = 200;
+
+// Monte-Carlo finish times: each run scales the target speed by a log-normal factor ('paceVariation' is its
+// standard deviation in %), and the degradation and the refuel rests by log-normal factors with these spreads.
+const DEGRADATION_VARIATION = 0.4;
+const REST_VARIATION = 0.5;
+// The runs use a fixed seed, so that the same plan always gives the same ranges.
+const MONTE_CARLO_SEED = 20250101;
+// The confidence band is kept at this many evenly spaced distances along the route.
+const BAND_STATIONS = 100;
+
+// The latest start that ends every stage in daylight is searched in steps of this many minutes.
+const LATEST_START_STEP_MINUTES = 10;
+// The sun times are computed once per day at points this far apart along the route, and used for the points
+// around them; they shift by about a minute per 20 km.
+const DAYLIGHT_SAMPLE_METERS = 5000;
+const DAY_MS = 86400000;
 
 /**
  * A utility class for simulating route completion time based on performance parameters.
+ * Long routes are planned in stages: the route is split at overnight stops, picked manually ('overnightStops')
+ * or wherever a day's walking time reaches the 'dailyWalkingHours' budget, preferably at lodging along the route.
+ * The plan starts at the 'plannedStart' date and time, and is checked against the daylight along the route.
+ * Race checkpoints ('checkpoints') get their planned arrival times and the margin against their cut-offs.
+ * Monte-Carlo runs with random variation in speed, degradation and rests give the range of likely finish times.
  */
 class PerformancePlanner {
   /**
    * Creates a planned performance profile for a route.
    * @param {Array<object>} perPointData - The rich per-point data from StatisticsCalculator.
-   * @param {number} targetSpeedKmh - The user's target average speed in km/h on flat terrain.
-   * @param {number} degradationFactor - The percentage of speed to lose per hour (currently unused, for future enhancement).
+   * @param {number} targetSpeedKmh - The user's target average speed in km/h on flat terrain. It is adjusted to the
+   *   gradient by the pace model chosen in the 'paceModel' setting (see PaceModel).
+   * @param {number} degradationFactor - The percentage of speed to lose per hour of moving time or, with the
+   *   'fatigueBasis' setting on 'effort', per hour's worth of Km-effort at the target speed. Rest at the
+   *   refuel stops recovers part of the accumulated loss, and an overnight stop all of it.
    * @param {Array<object>} refuelPoints - An array of points where refueling happens.
    * @param {number} restPerRefuelMin - The duration in minutes to rest at each refuel stop.
-   * @returns {object} An object containing totalPlannedTime (in seconds) and the augmented perPointData.
+   * @param {Array<object>} [pois=[]] - The POIs near the route, with name, lat, lon and `type`. Lodging among them
+   *   is preferred for the overnight stops when the 'overnightAtLodging' setting is on.
+   * @returns {object} An object containing totalPlannedTime (in seconds, without the overnight stops), the augmented
+   *   perPointData, the start and stop times, the stages (see _summarizeStages), the skippedGaps
+   *   ({ startTime, stopTime } Julian dates the tour skips during playback), the daylight (see _analyzeDaylight),
+   *   the checkpoints (see _planCheckpoints) and the finishTimes (see _simulateFinishTimes).
    */
-  static planPerformanceProfile(perPointData, targetSpeedKmh, degradationFactor, refuelPoints, restPerRefuelMin) {
+  static planPerformanceProfile(perPointData, targetSpeedKmh, degradationFactor, refuelPoints, restPerRefuelMin, pois = []) {
     logger.info('Starting performance planning simulation.');
 
     if (!perPointData || perPointData.length < 2) {
-      return { totalPlannedTime: 0, perPointData: perPointData, startTime: null, stopTime: null };
+      return { totalPlannedTime: 0, perPointData: perPointData, startTime: null, stopTime: null, stages: [], skippedGaps: [], daylight: null, checkpoints: [], finishTimes: null };
     }
 
-    const hasNativeTimestamps = perPointData[0].time !== null;
+    // Like the App, a route only counts as recorded if every point has a timestamp.
+    const hasNativeTimestamps = perPointData.every(p => p.time !== undefined && p.time !== null);
     let startTime, stopTime;
 
+    const refuelPointIndices = new Set(refuelPoints.map(p => perPointData.findIndex(d => d.cumulativeDistance === p.cumulativeDistance)));
+    const simulate = (overnights) => this._simulate(perPointData, targetSpeedKmh, degradationFactor, refuelPointIndices, restPerRefuelMin, overnights);
+
+    // Manual overnight stops first; then the first stage longer than the daily budget is split, until all fit.
+    const overnights = this._findManualOvernights(perPointData);
+    const dailyWalkingSec = SettingsManager.get('dailyWalkingHours') * 3600;
+    const lodgings = SettingsManager.get('overnightAtLodging') ? this._findLodgings(perPointData, pois) : [];
+    let simulation = simulate(overnights);
+    while (dailyWalkingSec > 0) {
+        const split = this._findBudgetSplit(simulation.perPointData, dailyWalkingSec, lodgings, overnights);
+        // A split that is already an overnight stop would give the same plan again.
+        if (!split || overnights.has(split.index)) break;
+        overnights.set(split.index, split);
+        simulation = simulate(overnights);
+    }
+    const augmentedData = simulation.perPointData;
+    const cumulativeTimeSec = simulation.cumulativeTimeSec;
+
+    // Synthetic routes start at the planned start; recorded routes keep their own times.
+    const plannedStart = this.getPlannedStart();
+    const plannedBaseTime = Cesium.JulianDate.fromDate(plannedStart);
+
+    const skippedGaps = [];
+    if (hasNativeTimestamps) {
+        startTime = Cesium.JulianDate.fromDate(perPointData[0].time);
+        stopTime = Cesium.JulianDate.fromDate(perPointData[perPointData.length - 1].time);
+        // Recorded multi-day routes: the nights show as long pauses between two points.
+        for (let i = 1; i < perPointData.length; i++) {
+            const pauseSec = (perPointData[i].time.getTime() - perPointData[i - 1].time.getTime()) / 1000;
+            if (pauseSec >= MIN_SKIPPED_GAP_HOURS * 3600) {
+                skippedGaps.push({
+                    startTime: Cesium.JulianDate.fromDate(perPointData[i - 1].time),
+                    stopTime: Cesium.JulianDate.fromDate(perPointData[i].time),
+                });
+            }
+        }
+    } else {
+        startTime = plannedBaseTime;
+        stopTime = Cesium.JulianDate.addSeconds(plannedBaseTime, cumulativeTimeSec, new Cesium.JulianDate());
+        // The overnight rest is part of the time of its point, like the rest at a refuel stop.
+        const overnightSec = SettingsManager.get('overnightHours') * 3600;
+        overnights.forEach((overnight, index) => {
+            const departure = augmentedData[index].projectedTime;
+            skippedGaps.push({
+                startTime: Cesium.JulianDate.addSeconds(plannedBaseTime, departure - overnightSec, new Cesium.JulianDate()),
+                stopTime: Cesium.JulianDate.addSeconds(plannedBaseTime, departure, new Cesium.JulianDate()),
+            });
+        });
+        skippedGaps.sort((a, b) => Cesium.JulianDate.compare(a.startTime, b.startTime));
+    }
+
+    const stages = this._summarizeStages(augmentedData, overnights);
+    const daylight = this._analyzeDaylight(augmentedData, plannedStart, overnights);
+    const checkpoints = this._planCheckpoints(augmentedData, overnights);
+    const finishTimes = this._simulateFinishTimes(perPointData, targetSpeedKmh, degradationFactor, refuelPointIndices, restPerRefuelMin, overnights);
+    const totalPlannedTime = cumulativeTimeSec - simulation.overnightTimeSec;
+    logger.info(`Finished planning simulation: ${totalPlannedTime.toFixed(0)} seconds in ${stages.length} stage(s)`);
+
+    return {
+      totalPlannedTime: totalPlannedTime,
+      perPointData: augmentedData,
+      startTime: startTime,
+      stopTime: stopTime,
+      stages: stages,
+      skippedGaps: skippedGaps,
+      daylight: daylight,
+      checkpoints: checkpoints,
+      finishTimes: finishTimes,
+    };
+  }
+
+  /**
+   * Parses the race checkpoints.
+   * @param {string} text - Semicolon-separated checkpoints as "km [name] [@ h:mm cut-off]", the cut-off being the
+   *   race time since the start, e.g. "10.2 Tai Tam @ 2:30; 24 Parkview @ 6:00; 38.5".
+   * @returns {Array<object>} The valid checkpoints { distance (m), name, cutoffSec (or null) }, sorted by distance.
+   */
+  static parseCheckpoints(text) {
+    return String(text || '')
+      .split(';')
+      .map(entry => entry.match(/^\s*(\d+(?:\.\d+)?)\s*([^@]*?)\s*(?:@\s*(\d+):(\d{2}))?\s*$/))
+      .filter(match => match !== null)
+      .map(([, km, name, hours, minutes]) => ({
+        distance: parseFloat(km) * 1000,
+        name: name || null,
+        cutoffSec: hours !== undefined ? parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 : null,
+      }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Formats checkpoints in the format of the 'checkpoints' setting (see parseCheckpoints).
+   * @param {Array<object>} checkpoints - The checkpoints { distance (m), name, cutoffSec }.
+   * @returns {string} The text, e.g. "10.2 Tai Tam @ 2:30; 38.5".
+   */
+  static formatCheckpoints(checkpoints) {
+    return checkpoints.map(checkpoint => {
+      let text = `${parseFloat((checkpoint.distance / 1000).toFixed(2))}`;
+      if (checkpoint.name) text += ` ${checkpoint.name.replace(/[;@]/g, ' ').trim()}`;
+      if (checkpoint.cutoffSec !== null && checkpoint.cutoffSec !== undefined) {
+        const minutes = Math.round(checkpoint.cutoffSec / 60);
+        text += ` @ ${Math.floor(minutes / 60)}:${(minutes % 60).toString().padStart(2, '0')}`;
+      }
+      return text;
+    }).join('; ');
+  }
+
+  /**
+   * Loads checkpoints from named waypoints near the route. A cut-off is read from the waypoint's comment or
+   * description, written like "cut-off 6:30" (race time since the start).
+   * @param {Array<object>} perPointData - The points of the route.
+   * @param {Array<object>} waypoints - The waypoints, with lat, lon, name and optionally cmt and desc.
+   * @returns {Array<object>} The checkpoints { distance (m), name, cutoffSec }, sorted by distance.
+   */
+  static checkpointsFromWaypoints(perPointData, waypoints) {
+    return (waypoints || [])
+      .filter(waypoint => waypoint.name)
+      .map(waypoint => {
+        const { index, offsetMeters } = this.projectOntoRoute(perPointData, waypoint.lat, waypoint.lon);
+        if (index === -1 || offsetMeters > CHECKPOINT_MAX_OFFSET_METERS) return null;
+        const cutoff = `${waypoint.cmt || ''} ${waypoint.desc || ''}`.match(/cut-?off\D*(\d+):(\d{2})/i);
+        return {
+          distance: perPointData[index].cumulativeDistance,
+          name: waypoint.name,
+          cutoffSec: cutoff ? parseInt(cutoff[1], 10) * 3600 + parseInt(cutoff[2], 10) * 60 : null,
+        };
+      })
+      .filter(checkpoint => checkpoint !== null)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Finds the point of the route closest to a location.
+   * @param {Array<object>} perPointData - The points of the route.
+   * @param {number} lat - The latitude of the location.
+   * @param {number} lon - The longitude of the location.
+   * @returns {object} { index, offsetMeters } of the closest point, index -1 for an empty route.
+   */
+  static projectOntoRoute(perPointData, lat, lon) {
+    const metersPerDegree = 111320;
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    let bestDistanceSquared = Infinity;
+    let bestIndex = -1;
+    perPointData.forEach((p, index) => {
+      const dx = (p.lon - lon) * cosLat;
+      const dy = p.lat - lat;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared < bestDistanceSquared) {
+        bestDistanceSquared = distanceSquared;
+        bestIndex = index;
+      }
+    });
+    return { index: bestIndex, offsetMeters: Math.sqrt(bestDistanceSquared) * metersPerDegree };
+  }
+
+  /**
+   * Projects the arrival at the next checkpoint with a cut-off from a position during the replay: the time
+   * already spent plus the planned time from the position to the checkpoint.
+   * @param {Array<object>} checkpoints - The planned checkpoints (see _planCheckpoints).
+   * @param {object} point - The current point of the planned route.
+   * @param {number} elapsedSec - The time since the start, as replayed.
+   * @returns {object|null} { checkpoint, projectedArrivalSec, marginSec (null without a cut-off) } for the next
+   *   checkpoint, preferring the next one with a cut-off, or null when all are passed.
+   */
+  static getCheckpointStatus(checkpoints, point, elapsedSec) {
+    const ahead = (checkpoints || []).filter(checkpoint => checkpoint.distance >= point.cumulativeDistance);
+    const checkpoint = ahead.find(c => c.cutoffSec !== null) || ahead[0];
+    if (!checkpoint) return null;
+    const projectedArrivalSec = elapsedSec + Math.max(checkpoint.plannedArrivalSec - point.projectedTime, 0);
+    return {
+      checkpoint,
+      projectedArrivalSec,
+      marginSec: checkpoint.cutoffSec !== null ? checkpoint.cutoffSec - projectedArrivalSec : null,
+    };
+  }
+
+  /**
+   * Returns the planned start from the 'plannedStart' setting, or today at DEFAULT_START_HOUR when it's empty or invalid.
+   * @returns {Date} The planned start.
+   */
+  static getPlannedStart() {
+    // "YYYY-MM-DDTHH:MM" without a time zone is read as local time.
+    const plannedStart = new Date(SettingsManager.get('plannedStart'));
+    if (!isNaN(plannedStart.getTime())) return plannedStart;
+    const today = new Date();
+    today.setHours(DEFAULT_START_HOUR, 0, 0, 0);
+    return today;
+  }
+
+  /**
+   * Simulates the route at the target speed, with the refuel and overnight stops.
+   * @param {Array<object>} perPointData - The rich per-point data from StatisticsCalculator.
+   * @param {number} targetSpeedKmh - The target speed on flat terrain in km/h.
+   * @param {number} degradationFactor - The speed loss in % per hour (see planPerformanceProfile).
+   * @param {Set<number>} refuelPointIndices - The indices of the refuel stops.
+   * @param {number} restPerRefuelMin - The rest at each refuel stop in minutes.
+   * @param {Map<number, object>} overnights - The overnight stops, keyed by point index.
+   * @param {Float64Array} [times] - If given, only the planned time of each point (without the nights) is written
+   *   to it and the returned perPointData stays empty, which is much faster (see _simulateFinishTimes).
+   * @returns {object} { perPointData, cumulativeTimeSec, overnightTimeSec }. Each point gets its projectedTime,
+   *   its stageIndex, the walking time of its stage so far (stageWalkingTime, without rests), the overnight
+   *   time so far (plannedOvernightTime) and the smoothed planned rates.
+   * @private
+   */
+  static _simulate(perPointData, targetSpeedKmh, degradationFactor, refuelPointIndices, restPerRefuelMin, overnights, times = null) {
     const targetSpeedMps = (targetSpeedKmh * 1000) / 3600;
     const restPerRefuelSec = restPerRefuelMin * 60;
-    const refuelPointIndices = new Set(refuelPoints.map(p => perPointData.findIndex(d => d.cumulativeDistance === p.cumulativeDistance)));
+    const overnightSec = SettingsManager.get('overnightHours') * 3600;
+    const getSpeedFactor = PaceModel.fromSettings();
+    const fatigueBasis = SettingsManager.get('fatigueBasis');
+    const fatiguePerHour = Math.max(0, degradationFactor || 0) / 100;
+    const restRecovery = restPerRefuelMin / (restPerRefuelMin + HALF_RECOVERY_REST_MINUTES);
+    let fatigue = 0; // The fraction of speed lost so far
+    // Gradients use the filtered elevation, so that GPS jitter doesn't read as steep terrain.
+    const elevationOf = p => (p.smoothedEle !== undefined ? p.smoothedEle : (p.ele || 0));
 
     let cumulativeTimeSec = 0;
+    let overnightTimeSec = 0;
+    let stageIndex = 0;
+    let stageWalkingTime = 0;
     const augmentedData = [];
     
     let emaPlannedSpeed = null;
     let emaPlannedEleRate = null;
     let emaPlannedKmRate = null;
 
-    // For synthetic routes, create a consistent base time.
-    const syntheticBaseTime = Cesium.JulianDate.fromIso8601("2025-01-01T00:00:00Z");
-
-    if (hasNativeTimestamps) {
-        startTime = Cesium.JulianDate.fromDate(perPointData[0].time);
-    } else {
-        startTime = syntheticBaseTime;
-    }
-
     // Initialize first point
-    augmentedData.push({
+    if (!times) augmentedData.push({
         ...perPointData[0],
         projectedTime: 0,
+        stageIndex: 0,
+        stageWalkingTime: 0,
+        plannedOvernightTime: 0,
         plannedSmoothedSpeed: targetSpeedKmh,
         plannedSmoothedElevationRate: 0,
         plannedSmoothedKmEffortRate: 0,
@@ -56,20 +316,34 @@ class PerformancePlanner {
     for (let i = 1; i < perPointData.length; i++) {
         const p1 = perPointData[i - 1];
         const p2 = perPointData[i];
+        const stageInfo = { stageIndex, stageWalkingTime, plannedOvernightTime: overnightTimeSec };
 
         const segmentDistance = p2.cumulativeDistance - p1.cumulativeDistance;
         if (segmentDistance <= 0) {
-            augmentedData.push({ ...p2, projectedTime: cumulativeTimeSec, plannedSmoothedSpeed: 0, plannedSmoothedElevationRate: 0, plannedSmoothedKmEffortRate: 0 });
+            if (times) {
+                times[i] = cumulativeTimeSec - overnightTimeSec;
+                continue;
+            }
+            augmentedData.push({ ...p2, projectedTime: cumulativeTimeSec, ...stageInfo, plannedSmoothedSpeed: 0, plannedSmoothedElevationRate: 0, plannedSmoothedKmEffortRate: 0 });
             continue;
         }
 
-        const segmentElevationChange = (p2.ele || 0) - (p1.ele || 0);
+        const segmentElevationChange = elevationOf(p2) - elevationOf(p1);
         const segmentKmEffort = p2.cumulativeKmEffort - p1.cumulativeKmEffort;
         const gradient = segmentElevationChange / segmentDistance;
         
-        const gradientFactor = 1 - (gradient * 2.5);
-        const adjustedSpeedMps = targetSpeedMps * Math.max(gradientFactor, 0.1);
+        const fatigueFactor = Math.max(1 - fatigue, MIN_FATIGUE_SPEED_FACTOR);
+        const adjustedSpeedMps = targetSpeedMps * getSpeedFactor(gradient) * fatigueFactor;
         const segmentTimeSec = adjustedSpeedMps > 0 ? segmentDistance / adjustedSpeedMps : 0;
+
+        // Fatigue builds up with moving time, or with the effort done (an hour at the target speed on the flat
+        // being one hour's worth), and is partly recovered while resting at a refuel stop.
+        fatigue += fatigueBasis === 'effort'
+            ? fatiguePerHour * (segmentKmEffort / targetSpeedKmh)
+            : fatiguePerHour * (segmentTimeSec / 3600);
+        if (refuelPointIndices.has(i)) {
+            fatigue *= 1 - restRecovery;
+        }
         
         let instPlannedEleRate = 0;
         let instPlannedKmRate = 0;
@@ -79,10 +353,27 @@ class PerformancePlanner {
         }
         
         cumulativeTimeSec += segmentTimeSec;
+        stageWalkingTime += segmentTimeSec;
+        stageInfo.stageWalkingTime = stageWalkingTime;
 
         if (refuelPointIndices.has(i)) {
             cumulativeTimeSec += restPerRefuelSec;
         }
+
+        // The night's sleep fully recovers the fatigue; the next stage starts from this point.
+        if (overnights.has(i)) {
+            cumulativeTimeSec += overnightSec;
+            overnightTimeSec += overnightSec;
+            stageInfo.plannedOvernightTime = overnightTimeSec;
+            fatigue = 0;
+            stageIndex++;
+            stageWalkingTime = 0;
+        }
+
+        if (times) {
+            times[i] = cumulativeTimeSec - overnightTimeSec;
+            continue;
+        }
         
         const instPlannedSpeedKmh = adjustedSpeedMps * 3.6;
 
@@ -108,25 +399,384 @@ class PerformancePlanner {
         augmentedData.push({
             ...p2,
             projectedTime: cumulativeTimeSec,
+            ...stageInfo,
             plannedSmoothedSpeed: emaPlannedSpeed,
             plannedSmoothedElevationRate: emaPlannedEleRate,
             plannedSmoothedKmEffortRate: emaPlannedKmRate,
         });
     }
-    
-    if (hasNativeTimestamps) {
-        stopTime = Cesium.JulianDate.fromDate(perPointData[perPointData.length - 1].time);
-    } else {
-        stopTime = Cesium.JulianDate.addSeconds(syntheticBaseTime, cumulativeTimeSec, new Cesium.JulianDate());
+
+    return { perPointData: augmentedData, cumulativeTimeSec, overnightTimeSec };
+  }
+
+  /**
+   * Finds the points of the overnight stops picked manually in the 'overnightStops' setting.
+   * @param {Array<object>} perPointData - The points of the route.
+   * @returns {Map<number, object>} The overnight stops { index, reason: 'manual', name: null }, keyed by point index.
+   * @private
+   */
+  static _findManualOvernights(perPointData) {
+    const overnights = new Map();
+    const lastIndex = perPointData.length - 1;
+    this.parseOvernightStops(SettingsManager.get('overnightStops')).forEach(distance => {
+      const index = perPointData.findIndex(p => p.cumulativeDistance >= distance);
+      if (index > 0 && index < lastIndex) {
+        overnights.set(index, { index, reason: 'manual', name: null });
+      }
+    });
+    return overnights;
+  }
+
+  /**
+   * Parses the manual overnight stops.
+   * @param {string} text - Comma-separated distances along the route in km, e.g. "18.5, 36".
+   * @returns {Array<number>} The valid distances in meters, sorted.
+   */
+  static parseOvernightStops(text) {
+    return String(text || '')
+      .split(',')
+      .map(value => parseFloat(value))
+      .filter(km => km > 0)
+      .map(km => km * 1000)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Finds the lodging POIs close to the route.
+   * @param {Array<object>} perPointData - The points of the route.
+   * @param {Array<object>} pois - The POIs, with name, lat, lon and `type`.
+   * @returns {Array<object>} The lodgings { index, name } at their closest point of the route, sorted by index.
+   * @private
+   */
+  static _findLodgings(perPointData, pois) {
+    return (pois || [])
+      .filter(poi => LODGING_TYPES.includes(poi.type))
+      .map(poi => {
+        const { index, offsetMeters } = this.projectOntoRoute(perPointData, poi.lat, poi.lon);
+        return offsetMeters <= LODGING_MAX_OFFSET_METERS ? { index, name: poi.name } : null;
+      })
+      .filter(lodging => lodging !== null)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Finds where to split the first stage whose walking time exceeds the daily budget: at the last lodging
+   * within LODGING_WINDOW_HOURS before the budget runs out or, without one, at the last point within the budget.
+   * @param {Array<object>} plannedData - The simulated points (see _simulate).
+   * @param {number} dailyWalkingSec - The daily walking-time budget in seconds.
+   * @param {Array<object>} lodgings - The lodgings along the route (see _findLodgings).
+   * @param {Map<number, object>} overnights - The overnight stops so far. A stage that only goes over the budget on
+   *   its last segment, into its overnight stop, can't be split further.
+   * @returns {object|null} The new overnight stop { index, reason: 'budget' or 'lodging', name }, or null if all
+   *   stages fit the budget.
+   * @private
+   */
+  static _findBudgetSplit(plannedData, dailyWalkingSec, lodgings, overnights) {
+    const lastIndex = plannedData.length - 1;
+    const overIndex = plannedData.findIndex((p, i) => p.stageWalkingTime > dailyWalkingSec && !overnights.has(i));
+    if (overIndex === -1) return null;
+
+    // The overnight point ending the previous stage belongs to that stage, so this one starts right after it.
+    // The start itself can't be an overnight stop, even when the first segment alone is over the budget.
+    const stageIndex = plannedData[overIndex].stageIndex;
+    const firstIndex = plannedData.findIndex(p => p.stageIndex === stageIndex);
+    const budgetIndex = Math.max(overIndex - 1, firstIndex, 1);
+    if (budgetIndex >= lastIndex) return null;
+
+    const windowStartSec = dailyWalkingSec - LODGING_WINDOW_HOURS * 3600;
+    const lodging = lodgings
+      .filter(l => l.index > 0 && l.index >= firstIndex && l.index <= budgetIndex && plannedData[l.index].stageWalkingTime >= windowStartSec)
+      .pop();
+    return lodging
+      ? { index: lodging.index, reason: 'lodging', name: lodging.name }
+      : { index: budgetIndex, reason: 'budget', name: null };
+  }
+
+  /**
+   * Summarizes the stages between the overnight stops.
+   * @param {Array<object>} plannedData - The simulated points (see _simulate).
+   * @param {Map<number, object>} overnights - The overnight stops.
+   * @returns {Array<object>} The stages { index, startIndex, endIndex, startDistance, endDistance, distance, ascent,
+   *   descent, kmEffort, plannedSeconds, endReason, endName }. plannedSeconds includes the refuel rests but not the
+   *   night; endReason is 'manual', 'budget' or 'lodging' for an overnight stop and 'finish' for the last stage.
+   * @private
+   */
+  static _summarizeStages(plannedData, overnights) {
+    const lastIndex = plannedData.length - 1;
+    const boundaries = [0, ...Array.from(overnights.keys()).sort((a, b) => a - b), lastIndex];
+    const trailTime = p => p.projectedTime - p.plannedOvernightTime;
+    const stages = [];
+    for (let k = 0; k < boundaries.length - 1; k++) {
+      const start = plannedData[boundaries[k]];
+      const end = plannedData[boundaries[k + 1]];
+      const overnight = overnights.get(boundaries[k + 1]);
+      stages.push({
+        index: k,
+        startIndex: boundaries[k],
+        endIndex: boundaries[k + 1],
+        startDistance: start.cumulativeDistance,
+        endDistance: end.cumulativeDistance,
+        distance: end.cumulativeDistance - start.cumulativeDistance,
+        ascent: end.cumulativeElevationGain - start.cumulativeElevationGain,
+        descent: (end.cumulativeElevationLoss || 0) - (start.cumulativeElevationLoss || 0),
+        kmEffort: end.cumulativeKmEffort - start.cumulativeKmEffort,
+        plannedSeconds: trailTime(end) - trailTime(start),
+        endReason: overnight ? overnight.reason : 'finish',
+        endName: overnight ? overnight.name : null,
+      });
+    }
+    return stages;
+  }
+
+  /**
+   * Runs the simulation 'finishTimeRuns' times with random variation and summarizes the planned times (without the
+   * nights) as percentiles. The stages of the plan are kept, so that only the times vary.
+   * @param {Array<object>} perPointData - The rich per-point data from StatisticsCalculator.
+   * @param {number} targetSpeedKmh - The target speed on flat terrain in km/h.
+   * @param {number} degradationFactor - The speed loss in % per hour.
+   * @param {Set<number>} refuelPointIndices - The indices of the refuel stops.
+   * @param {number} restPerRefuelMin - The rest at each refuel stop in minutes.
+   * @param {Map<number, object>} overnights - The overnight stops of the plan.
+   * @returns {object|null} { runs, p10, p50, p90 } finish times in seconds and the band, the { distance, p10, p50,
+   *   p90 } times at BAND_STATIONS + 1 distances along the route; null if the runs are turned off.
+   * @private
+   */
+  static _simulateFinishTimes(perPointData, targetSpeedKmh, degradationFactor, refuelPointIndices, restPerRefuelMin, overnights) {
+    const runs = SettingsManager.get('finishTimeRuns');
+    if (runs <= 0) return null;
+    const paceVariation = SettingsManager.get('paceVariation') / 100;
+
+    const lastIndex = perPointData.length - 1;
+    const totalDistance = perPointData[lastIndex].cumulativeDistance;
+    const stations = [];
+    for (let k = 0, index = 0; k <= BAND_STATIONS; k++) {
+        const distance = (totalDistance * k) / BAND_STATIONS;
+        while (index < lastIndex && perPointData[index].cumulativeDistance < distance) index++;
+        stations.push(index);
     }
 
-    logger.info(`Finished planning simulation: ${cumulativeTimeSec.toFixed(0)} seconds`);
+    const random = this._createRandom(MONTE_CARLO_SEED);
+    const logNormal = (sigma) => Math.exp(sigma * this._randomNormal(random));
+    const times = new Float64Array(perPointData.length);
+    const stationTimes = stations.map(() => new Float64Array(runs));
+    for (let run = 0; run < runs; run++) {
+        this._simulate(
+            perPointData,
+            targetSpeedKmh * logNormal(paceVariation),
+            degradationFactor * logNormal(DEGRADATION_VARIATION),
+            refuelPointIndices,
+            restPerRefuelMin * logNormal(REST_VARIATION),
+            overnights,
+            times
+        );
+        stations.forEach((index, k) => { stationTimes[k][run] = times[index]; });
+    }
+
+    const band = stations.map((index, k) => {
+        const sorted = stationTimes[k].sort();
+        return {
+            distance: perPointData[index].cumulativeDistance,
+            p10: this._percentile(sorted, 0.1),
+            p50: this._percentile(sorted, 0.5),
+            p90: this._percentile(sorted, 0.9),
+        };
+    });
+    const finish = band[band.length - 1];
+    logger.info(`Simulated ${runs} finish times: P10 ${finish.p10.toFixed(0)} s, P50 ${finish.p50.toFixed(0)} s, P90 ${finish.p90.toFixed(0)} s`);
+    return { runs, p10: finish.p10, p50: finish.p50, p90: finish.p90, band };
+  }
+
+  /**
+   * Interpolates a percentile of sorted values.
+   * @param {Float64Array} sorted - The values, sorted ascending.
+   * @param {number} fraction - The percentile as a fraction, e.g. 0.9 for P90.
+   * @returns {number} The percentile.
+   * @private
+   */
+  static _percentile(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Creates a seeded pseudo-random generator (mulberry32).
+   * @param {number} seed - The seed.
+   * @returns {Function} A function returning numbers in [0, 1).
+   * @private
+   */
+  static _createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Draws a standard normal number (Box-Muller).
+   * @param {Function} random - The uniform generator (see _createRandom).
+   * @returns {number} The number.
+   * @private
+   */
+  static _randomNormal(random) {
+    const u = 1 - random(); // In (0, 1], for the logarithm
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  /**
+   * Plans the arrival at the race checkpoints of the 'checkpoints' setting. Checkpoints beyond the end of the
+   * route are placed at the finish.
+   * @param {Array<object>} plannedData - The simulated points (see _simulate).
+   * @param {Map<number, object>} overnights - The overnight stops.
+   * @returns {Array<object>} The checkpoints { index, distance, name, cutoffSec, plannedArrivalSec, marginSec,
+   *   actualArrivalSec, actualMarginSec }, with the times in seconds since the start. The margins are null
+   *   without a cut-off, the actual times null for routes without timestamps.
+   * @private
+   */
+  static _planCheckpoints(plannedData, overnights) {
+    const overnightSec = SettingsManager.get('overnightHours') * 3600;
+    const lastIndex = plannedData.length - 1;
+    const startTime = plannedData[0].time;
+    return this.parseCheckpoints(SettingsManager.get('checkpoints')).map((checkpoint, number) => {
+      let index = plannedData.findIndex(p => p.cumulativeDistance >= checkpoint.distance);
+      if (index === -1) index = lastIndex;
+      const point = plannedData[index];
+      // The checkpoint is reached before the night spent there.
+      const plannedArrivalSec = point.projectedTime - (overnights.has(index) ? overnightSec : 0);
+      const actualArrivalSec = startTime && point.time ? (point.time.getTime() - startTime.getTime()) / 1000 : null;
+      const hasCutoff = checkpoint.cutoffSec !== null;
+      return {
+        index,
+        distance: point.cumulativeDistance,
+        name: checkpoint.name || `CP${number + 1}`,
+        cutoffSec: checkpoint.cutoffSec,
+        plannedArrivalSec,
+        marginSec: hasCutoff ? checkpoint.cutoffSec - plannedArrivalSec : null,
+        actualArrivalSec,
+        actualMarginSec: hasCutoff && actualArrivalSec !== null ? checkpoint.cutoffSec - actualArrivalSec : null,
+      };
+    });
+  }
+
+  /**
+   * Checks the plan against the daylight: marks the points reached in the dark (outside civil twilight, see
+   * SunCalculator) with `isPlannedInDark`, and finds the latest start on the planned day that still ends every
+   * stage in daylight, without walking on after dusk.
+   * The planned times are used even for recorded routes, so that they can be replanned for another day.
+   * @param {Array<object>} plannedData - The simulated points (see _simulate).
+   * @param {Date} plannedStart - The planned start.
+   * @param {Map<number, object>} overnights - The overnight stops.
+   * @returns {object} The plannedStart, the { dawn, sunrise, sunset, dusk, polar } of the start day at the start (see SunCalculator.getTimes),
+   *   the darkSections ({ startIndex, endIndex, startDistance, endDistance }), the darkDistance in meters,
+   *   the latestStart (a Date, or null if no start on that day ends every stage in daylight) and whether that
+   *   start is itself in the dark (latestStartInDark), i.e. the route is too long to be walked in daylight only.
+   * @private
+   */
+  static _analyzeDaylight(plannedData, plannedStart, overnights) {
+    const overnightSec = SettingsManager.get('overnightHours') * 3600;
+    // The time of an overnight stop includes the night; the stage ends before it.
+    const arrivalSec = plannedData.map((p, i) => p.projectedTime - (overnights.has(i) ? overnightSec : 0));
+    const plannedDay = new Date(plannedStart);
+    plannedDay.setHours(0, 0, 0, 0);
+    // The start is searched on the planned day, so the arrivals fall between that day and the plan's length after it.
+    const planDays = Math.ceil(plannedData[plannedData.length - 1].projectedTime / 86400) + 1;
+    const isDarkAt = this._createDarknessTest(plannedData, plannedDay, planDays);
+    const arrivalMs = (start, index) => start.getTime() + arrivalSec[index] * 1000;
+
+    const darkSections = [];
+    let darkDistance = 0;
+    plannedData.forEach((p, i) => {
+        p.isPlannedInDark = isDarkAt(i, arrivalMs(plannedStart, i));
+        if (!p.isPlannedInDark || i === 0) return;
+        const previous = plannedData[i - 1];
+        darkDistance += p.cumulativeDistance - previous.cumulativeDistance;
+        const section = darkSections[darkSections.length - 1];
+        if (section && section.endIndex === i - 1) {
+            section.endIndex = i;
+            section.endDistance = p.cumulativeDistance;
+        } else {
+            darkSections.push({ startIndex: i - 1, endIndex: i, startDistance: previous.cumulativeDistance, endDistance: p.cumulativeDistance });
+        }
+    });
+
+    // A stage ends in daylight if it doesn't walk on into the dark; it may start before dawn.
+    const stageEnds = Array.from(overnights.keys()).sort((a, b) => a - b).concat(plannedData.length - 1);
+    const endsInDaylight = (start) => {
+        let stageStart = 0;
+        return stageEnds.every(stageEnd => {
+            let hasBeenLight = false;
+            for (let i = stageStart + 1; i <= stageEnd; i++) {
+                const isDark = isDarkAt(i, arrivalMs(start, i));
+                if (isDark && hasBeenLight) return false;
+                hasBeenLight = hasBeenLight || !isDark;
+            }
+            stageStart = stageEnd;
+            return hasBeenLight;
+        });
+    };
+
+    // Search the planned day backwards from its dusk (or midnight in the polar day) for the latest such start.
+    const first = plannedData[0];
+    const sunTimes = SunCalculator.getTimes(plannedStart, first.lat, first.lon);
+    const searchEndMinutes = sunTimes.dusk ? Math.min((sunTimes.dusk.getTime() - plannedDay.getTime()) / 60000, 24 * 60) : 24 * 60;
+    let latestStart = null;
+    for (let minutes = Math.floor(searchEndMinutes / LATEST_START_STEP_MINUTES) * LATEST_START_STEP_MINUTES; minutes >= 0 && !latestStart; minutes -= LATEST_START_STEP_MINUTES) {
+        const start = new Date(plannedDay.getTime() + minutes * 60000);
+        if (endsInDaylight(start)) latestStart = start;
+    }
 
     return {
-      totalPlannedTime: cumulativeTimeSec,
-      perPointData: augmentedData,
-      startTime: startTime,
-      stopTime: stopTime,
+        plannedStart,
+        ...sunTimes,
+        darkSections,
+        darkDistance,
+        latestStart,
+        latestStartInDark: latestStart ? SunCalculator.isDark(latestStart, first.lat, first.lon) : false,
+    };
+  }
+
+  /**
+   * Prepares a fast darkness test for the points of a route: the sun times are computed for each day of the plan
+   * at one point every DAYLIGHT_SAMPLE_METERS, instead of for every point and moment.
+   * @param {Array<object>} plannedData - The points of the route.
+   * @param {Date} firstDay - The first day to prepare (local midnight).
+   * @param {number} days - The number of days after it to prepare; later moments use the last day.
+   * @returns {Function} (index, timeMs) => whether it is dark at the point at that moment (see SunCalculator.isDark).
+   * @private
+   */
+  static _createDarknessTest(plannedData, firstDay, days) {
+    // Each point uses the sun times of the sample nearest to it along the route.
+    const sampleOf = [];
+    const samples = [];
+    plannedData.forEach(p => {
+        const sampleIndex = Math.round(p.cumulativeDistance / DAYLIGHT_SAMPLE_METERS);
+        if (!samples[sampleIndex]) samples[sampleIndex] = { point: p, days: null };
+        sampleOf.push(samples[sampleIndex]);
+    });
+
+    // Solar days from the day before the first one, so that every moment finds the solar noon nearest to it.
+    const firstNoonMs = firstDay.getTime() - DAY_MS / 2;
+    const getDays = (sample) => {
+        if (!sample.days) {
+            sample.days = [];
+            for (let day = 0; day <= days + 2; day++) {
+                sample.days.push(SunCalculator.getTimes(new Date(firstNoonMs + day * DAY_MS), sample.point.lat, sample.point.lon));
+            }
+        }
+        return sample.days;
+    };
+
+    return (index, timeMs) => {
+        const sunDays = getDays(sampleOf[index]);
+        const nearest = sunDays.reduce((best, times) =>
+            Math.abs(times.solarNoon.getTime() - timeMs) < Math.abs(best.solarNoon.getTime() - timeMs) ? times : best);
+        if (nearest.polar) return nearest.polar === 'night';
+        return timeMs < nearest.dawn.getTime() || timeMs > nearest.dusk.getTime();
     };
   }
 }
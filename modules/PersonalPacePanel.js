@@ -0,0 +1,203 @@
+import logger from './Logger.js';
+
+const CHART_HEIGHT = 160; // CSS pixels
+const PADDING = { top: 10, right: 8, bottom: 18, left: 32 };
+const GRADIENT_RANGE = 0.4; // The chart spans -40% to +40%
+// At most this many samples are drawn, so that large libraries stay fast to redraw.
+const MAX_DRAWN_SAMPLES = 3000;
+
+const SAMPLE_COLOR = 'rgba(66, 165, 245, 0.35)';
+const PERSONAL_CURVE_COLOR = '#ffa500';
+const PLAN_CURVE_COLOR = '#ffffff';
+
+/**
+ * The "Personal Pace" panel: learns a pace model from the timestamped routes of the library (through `onLearn`)
+ * and charts the measured speed against the gradient, with the fitted personal curve and the curve of the
+ * pace model currently used for planning.
+ */
+class PersonalPacePanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.samples = [];
+    this.curve = []; // The fitted [gradient, speed km/h] pairs
+    this.planCurve = null; // { getSpeedKmh, label } of the planning model
+
+    // Callback to be set by the App class
+    this.onLearn = () => {};
+
+    this._createDom();
+    // Redraw when the chart changes size, including when the collapsed panel is opened.
+    new ResizeObserver(() => this._draw()).observe(this.canvas);
+    logger.info('PersonalPacePanel initialized.');
+  }
+
+  /**
+   * Builds the learn button, the status line, the chart and its legend.
+   * @private
+   */
+  _createDom() {
+    this.learnButton = document.createElement('button');
+    this.learnButton.textContent = 'Learn from Library';
+    this.learnButton.addEventListener('click', () => this.onLearn());
+
+    this.status = document.createElement('p');
+    this.status.className = 'personal-pace-status';
+    this.status.textContent = 'Fit your speed on each gradient from the timestamped routes in the library.';
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'personal-pace-canvas';
+    this.canvas.style.height = `${CHART_HEIGHT}px`;
+    this.canvas.style.display = 'none'; // Shown once a curve is learned
+
+    this.legend = document.createElement('div');
+    this.legend.className = 'personal-pace-legend';
+
+    this.container.append(this.learnButton, this.status, this.canvas, this.legend);
+  }
+
+  /**
+   * Disables the learn button while the library is being analyzed.
+   * @param {boolean} isBusy - Whether learning is in progress.
+   */
+  setBusy(isBusy) {
+    this.learnButton.disabled = isBusy;
+    if (isBusy) this.status.textContent = 'Analyzing the library...';
+  }
+
+  /**
+   * Sets the learned data and draws the chart.
+   * @param {Array<object>} samples - The samples from PaceModelLearner.collectSamples.
+   * @param {Array<Array<number>>} curve - The fitted curve from PaceModelLearner.fit.
+   * @param {number} routeCount - The number of routes the samples come from.
+   */
+  setData(samples, curve, routeCount) {
+    this.samples = samples;
+    this.curve = curve;
+    const hours = samples.reduce((sum, sample) => sum + sample.seconds, 0) / 3600;
+    this.status.textContent = curve.length >= 2
+      ? `Learned from ${routeCount} route(s), ${hours.toFixed(1)} h of moving time.`
+      : 'Not enough timestamped routes with elevation in the library to learn a pace model.';
+    this.canvas.style.display = curve.length >= 2 ? 'block' : 'none';
+    this._draw();
+  }
+
+  /**
+   * Sets the pace model used for planning, drawn for comparison.
+   * @param {Function} getSpeedKmh - The planned speed in km/h for a gradient (as a fraction).
+   * @param {string} label - The name of the model.
+   */
+  setPlanCurve(getSpeedKmh, label) {
+    this.planCurve = { getSpeedKmh, label };
+    this._draw();
+  }
+
+  /**
+   * Draws the samples, the personal curve and the plan curve.
+   * @private
+   */
+  _draw() {
+    this.legend.innerHTML = '';
+    if (this.curve.length < 2 || this.canvas.style.display === 'none') return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = CHART_HEIGHT;
+    if (width === 0) return;
+    this.canvas.width = width * ratio;
+    this.canvas.height = height * ratio;
+    const ctx = this.canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const maxSpeed = Math.ceil(Math.max(...this.curve.map(([, speed]) => speed)) * 1.5);
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const x = (gradient) => PADDING.left + ((gradient + GRADIENT_RANGE) / (2 * GRADIENT_RANGE)) * plotWidth;
+    const y = (speed) => PADDING.top + plotHeight - (Math.min(speed, maxSpeed) / maxSpeed) * plotHeight;
+
+    // Axes: 0% gradient line and labels
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x(0), PADDING.top);
+    ctx.lineTo(x(0), PADDING.top + plotHeight);
+    ctx.moveTo(PADDING.left, PADDING.top + plotHeight);
+    ctx.lineTo(width - PADDING.right, PADDING.top + plotHeight);
+    ctx.stroke();
+    ctx.fillStyle = '#ccc';
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'bottom';
+    [-GRADIENT_RANGE, 0, GRADIENT_RANGE].forEach((gradient, index) => {
+      ctx.textAlign = ['left', 'center', 'right'][index];
+      ctx.fillText(`${(gradient * 100).toFixed(0)}%`, x(gradient), height);
+    });
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${maxSpeed}`, PADDING.left - 4, y(maxSpeed));
+    ctx.fillText('0', PADDING.left - 4, y(0));
+    ctx.save();
+    ctx.translate(8, PADDING.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('km/h', 0, 0);
+    ctx.restore();
+
+    // Samples
+    const step = Math.max(1, Math.ceil(this.samples.length / MAX_DRAWN_SAMPLES));
+    ctx.fillStyle = SAMPLE_COLOR;
+    for (let i = 0; i < this.samples.length; i += step) {
+      const sample = this.samples[i];
+      if (Math.abs(sample.gradient) > GRADIENT_RANGE) continue;
+      ctx.fillRect(x(sample.gradient) - 1, y(sample.speedKmh) - 1, 2, 2);
+    }
+
+    // Personal curve
+    ctx.strokeStyle = PERSONAL_CURVE_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    this.curve.forEach(([gradient, speed], index) => {
+      if (index === 0) ctx.moveTo(x(gradient), y(speed));
+      else ctx.lineTo(x(gradient), y(speed));
+    });
+    ctx.stroke();
+
+    // Plan curve
+    if (this.planCurve) {
+      ctx.strokeStyle = PLAN_CURVE_COLOR;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      for (let gradient = -GRADIENT_RANGE; gradient <= GRADIENT_RANGE + 1e-9; gradient += 0.01) {
+        const speed = this.planCurve.getSpeedKmh(gradient);
+        if (gradient === -GRADIENT_RANGE) ctx.moveTo(x(gradient), y(speed));
+        else ctx.lineTo(x(gradient), y(speed));
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    this._addLegendItem(PERSONAL_CURVE_COLOR, 'Personal');
+    if (this.planCurve) this._addLegendItem(PLAN_CURVE_COLOR, `Plan (${this.planCurve.label})`, true);
+  }
+
+  /**
+   * Adds an entry to the chart legend.
+   * @param {string} color - The line color.
+   * @param {string} label - The label.
+   * @param {boolean} [isDashed=false] - Whether the line is dashed.
+   * @private
+   */
+  _addLegendItem(color, label, isDashed = false) {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'personal-pace-swatch';
+    swatch.style.borderTop = `2px ${isDashed ? 'dashed' : 'solid'} ${color}`;
+    item.append(swatch, label);
+    this.legend.appendChild(item);
+  }
+}
+
+export default PersonalPacePanel;
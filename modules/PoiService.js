@@ -1,5 +1,15 @@
 import logger from './Logger.js';
 
+// Bumped whenever the Overpass query or the POI fields change, so that the POIs stored with the routes are
+// fetched again (see RouteStorage.getPois). Version 2 added the lodging and the POI `type`, version 3 the water sources.
+const POI_QUERY_VERSION = 3;
+
+// Display names of the unnamed water sources, keyed by their OpenStreetMap `amenity` value.
+const WATER_SOURCE_NAMES = {
+  drinking_water: 'Drinking Water',
+  water_point: 'Water Point',
+};
+
 class PoiService {
   constructor(viewer) {
     this.viewer = viewer;
@@ -11,6 +21,14 @@ class PoiService {
     return this._poiData;
   }
 
+  /**
+   * The version of the POI query, stored with the fetched POIs.
+   * @returns {number} The version.
+   */
+  get queryVersion() {
+    return POI_QUERY_VERSION;
+  }
+
   /**
    * Fetches POIs from the Overpass API based on the route's bounding box.
    * @param {Array<object>} points - An array of points from the GPX track.
@@ -34,7 +52,11 @@ class PoiService {
     const buffer = 0.01;
     const bbox = `${minLat - buffer},${minLon - buffer},${maxLat + buffer},${maxLon + buffer}`;
 
-    const query = `[out:json];(node["tourism"~"attraction|hotel|museum|viewpoint"](${bbox});way["tourism"~"attraction|hotel|museum|viewpoint"](${bbox}););out center;`;
+    // Lodging is included for the overnight stops of multi-day plans (see PerformancePlanner),
+    // and water sources for the refills of the water plan (see HydrationPlanner).
+    const tourism = 'attraction|museum|viewpoint|hotel|hostel|guest_house|motel|chalet|alpine_hut|wilderness_hut|camp_site';
+    const amenity = 'drinking_water|water_point';
+    const query = `[out:json];(node["tourism"~"${tourism}"](${bbox});way["tourism"~"${tourism}"](${bbox});node["amenity"~"${amenity}"](${bbox}););out center;`;
     const url = `https://overpass-api.de/api/interpreter?data=${encodeURIComponent(query)}`;
 
     logger.info('Fetching POIs from Overpass API...');
@@ -50,13 +72,15 @@ class PoiService {
 
       this._poiData = data.elements.map(el => {
         const tags = el.tags;
-        // Robust name finding
-        const name = tags.name || tags['name:en'] || tags.alt_name || tags.old_name || 'Unnamed';
+        // Robust name finding; water sources are rarely named, so they are named after their kind
+        const fallbackName = WATER_SOURCE_NAMES[tags.amenity] || 'Unnamed';
+        const name = tags.name || tags['name:en'] || tags.alt_name || tags.old_name || fallbackName;
         return {
           id: el.id,
           lat: el.lat || el.center.lat,
           lon: el.lon || el.center.lon,
           name: name,
+          type: tags.tourism || tags.amenity,
         };
       }).filter(poi => poi.name !== 'Unnamed'); // Filter out unnamed POIs
 
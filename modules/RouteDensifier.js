@@ -0,0 +1,51 @@
+import logger from './Logger.js';
+
+/**
+ * A utility class for densifying sparse routes (e.g. GPX `<rte>` data exported by planning tools).
+ * Route points are often hundreds of meters apart, which is too coarse for the terrain sampling,
+ * the performance planner and the camera strategies. Intermediate points are inserted along the
+ * geodesic between consecutive points, so they can later be draped on the terrain.
+ */
+class RouteDensifier {
+  /**
+   * Inserts intermediate points so that no two consecutive points are further apart than the given spacing.
+   * The inserted points inherit the tags of the point they follow (e.g. `segmentIndex`), but have no
+   * elevation or time, so the route is picked up by the terrain enrichment.
+   * @param {Array<object>} points - An array of points, each with lon and lat properties.
+   * @param {number} [maxSpacingMeters=30] - The maximum distance in meters between consecutive points.
+   * @returns {Array<object>} A new, denser array of points.
+   */
+  static densify(points, maxSpacingMeters = 30) {
+    if (!points || points.length < 2 || maxSpacingMeters <= 0) {
+      return points;
+    }
+
+    const densifiedPoints = [points[0]];
+
+    for (let i = 1; i < points.length; i++) {
+      const p1 = points[i - 1];
+      const p2 = points[i];
+      const start = Cesium.Cartographic.fromDegrees(p1.lon, p1.lat);
+      const end = Cesium.Cartographic.fromDegrees(p2.lon, p2.lat);
+      const ellipsoidGeodesic = new Cesium.EllipsoidGeodesic(start, end);
+
+      const steps = Math.ceil(ellipsoidGeodesic.surfaceDistance / maxSpacingMeters);
+      for (let step = 1; step < steps; step++) {
+        const position = ellipsoidGeodesic.interpolateUsingFraction(step / steps);
+        densifiedPoints.push({
+          ...p1,
+          lon: Cesium.Math.toDegrees(position.longitude),
+          lat: Cesium.Math.toDegrees(position.latitude),
+          ele: undefined,
+          time: null,
+        });
+      }
+      densifiedPoints.push(p2);
+    }
+
+    logger.info(`Route densified from ${points.length} to ${densifiedPoints.length} points.`);
+    return densifiedPoints;
+  }
+}
+
+export default RouteDensifier;
@@ -0,0 +1,63 @@
+import logger from './Logger.js';
+
+// Coordinates are compared at 5 decimal places (about 1 m), after the 6 decimal places
+// RouteStorage keeps, so a stored (precision-reduced) copy hashes like the original file.
+const STORED_DECIMALS = 6;
+const FINGERPRINT_DECIMALS = 5;
+
+/**
+ * Computes a content fingerprint of a route, used to recognize re-imports of the same activity
+ * regardless of where they come from (file, URL or manifest) and of the file's name and metadata.
+ * Only the positions of the points are hashed: names, timestamps, elevations (which may be
+ * enriched later) and extensions don't change the fingerprint.
+ */
+class RouteFingerprint {
+  /**
+   * Computes the fingerprint of a GPX document.
+   * The track points are used; route points or waypoints only if the file has no track points.
+   * @param {string} gpxString - The GPX content.
+   * @returns {Promise<string|null>} The SHA-256 hex digest of the normalized points, or null if the file has no points.
+   */
+  static async compute(gpxString) {
+    const normalizedPoints = this._getNormalizedPoints(gpxString);
+    if (normalizedPoints.length === 0) {
+      logger.warn('Cannot compute a route fingerprint: the GPX has no points.');
+      return null;
+    }
+
+    const data = new TextEncoder().encode(normalizedPoints.join(';'));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Extracts the points of a GPX document as normalized "lat,lon" strings, in file order.
+   * @param {string} gpxString - The GPX content.
+   * @returns {Array<string>} The normalized points.
+   * @private
+   */
+  static _getNormalizedPoints(gpxString) {
+    const xml = new DOMParser().parseFromString(gpxString, 'application/xml');
+    let pointElements = xml.getElementsByTagName('trkpt');
+    if (pointElements.length === 0) pointElements = xml.getElementsByTagName('rtept');
+    if (pointElements.length === 0) pointElements = xml.getElementsByTagName('wpt');
+
+    return Array.from(pointElements)
+      .map(element => [parseFloat(element.getAttribute('lat')), parseFloat(element.getAttribute('lon'))])
+      .filter(([lat, lon]) => !isNaN(lat) && !isNaN(lon))
+      .map(([lat, lon]) => `${this._normalize(lat)},${this._normalize(lon)}`);
+  }
+
+  /**
+   * Rounds a coordinate like RouteStorage does, then to the fingerprint precision.
+   * @param {number} value - The coordinate in degrees.
+   * @returns {string} The normalized coordinate.
+   * @private
+   */
+  static _normalize(value) {
+    const normalized = parseFloat(parseFloat(value.toFixed(STORED_DECIMALS)).toFixed(FINGERPRINT_DECIMALS));
+    return (normalized === 0 ? 0 : normalized).toFixed(FINGERPRINT_DECIMALS); // Avoid "-0.00000"
+  }
+}
+
+export default RouteFingerprint;
@@ -0,0 +1,118 @@
+import logger from './Logger.js';
+import GpxGenerator from './GpxGenerator.js';
+import TcxImporter from './TcxImporter.js';
+import FitImporter from './FitImporter.js';
+import KmlImporter from './KmlImporter.js';
+import GeoJsonImporter from './GeoJsonImporter.js';
+
+/**
+ * The registered importers. Each entry describes one file format:
+ * - format: The identifier stored in the route record (e.g. 'tcx').
+ * - extensions: The file extensions that select this importer.
+ * - binary: Whether `parse` expects an ArrayBuffer instead of text.
+ * - parse: A (possibly async) function returning { name, segments: [{ name, points }], waypoints },
+ *   where points are the same { lon, lat, ele, time } objects that `App.renderGpx` works with.
+ * GPX itself is the app's native format and is passed through unchanged.
+ */
+const importers = [
+  { format: 'tcx', extensions: ['.tcx'], binary: false, parse: (data) => TcxImporter.parse(data) },
+  { format: 'fit', extensions: ['.fit'], binary: true, parse: (data) => FitImporter.parse(data) },
+  { format: 'kml', extensions: ['.kml'], binary: false, parse: (data) => KmlImporter.parse(data) },
+  { format: 'kmz', extensions: ['.kmz'], binary: true, parse: (data) => KmlImporter.parseKmz(data) },
+  { format: 'geojson', extensions: ['.geojson', '.json'], binary: false, parse: (data) => GeoJsonImporter.parse(data) },
+];
+
+/**
+ * The entry point of the pluggable importer layer. It detects the format of a route file and
+ * converts non-GPX formats into GPX, so the rest of the app (storage, enrichment, rendering)
+ * keeps working on GPX only.
+ */
+class RouteImporter {
+  /**
+   * Registers an additional importer, or replaces the importer for an existing format.
+   * @param {object} importer - The importer description { format, extensions, binary, parse }.
+   */
+  static register(importer) {
+    const existingIndex = importers.findIndex(i => i.format === importer.format);
+    if (existingIndex !== -1) {
+      importers.splice(existingIndex, 1);
+    }
+    importers.push(importer);
+    logger.info(`Registered route importer for format "${importer.format}".`);
+  }
+
+  /**
+   * Returns the file extensions of all supported formats, for the file picker's `accept` attribute.
+   * @returns {Array<string>} The supported extensions, including '.gpx'.
+   */
+  static getSupportedExtensions() {
+    return ['.gpx', ...importers.flatMap(importer => importer.extensions)];
+  }
+
+  /**
+   * Detects the format of a route file from its file name or URL.
+   * @param {string} fileName - The file name or URL.
+   * @returns {string} The format identifier, 'gpx' if no importer matches.
+   */
+  static detectFormat(fileName) {
+    const path = (fileName || '').split(/[?#]/)[0].toLowerCase();
+    const importer = importers.find(i => i.extensions.some(extension => path.endsWith(extension)));
+    return importer ? importer.format : 'gpx';
+  }
+
+  /**
+   * Checks whether the content of a format has to be read as binary data.
+   * @param {string} format - The format identifier.
+   * @returns {boolean} True for binary formats like FIT.
+   */
+  static isBinaryFormat(format) {
+    const importer = importers.find(i => i.format === format);
+    return importer ? importer.binary : false;
+  }
+
+  /**
+   * Reads a file selected by the user and converts it into GPX.
+   * @param {File} file - The selected file.
+   * @returns {Promise<object>} The result { format, gpxString }.
+   */
+  static async importFile(file) {
+    const format = this.detectFormat(file.name);
+    const data = this.isBinaryFormat(format) ? await file.arrayBuffer() : await file.text();
+    const gpxString = await this.convertToGpx(data, format, file.name);
+    return { format, gpxString };
+  }
+
+  /**
+   * Converts route data of any supported format into a GPX string.
+   * @param {string|ArrayBuffer} data - The file content.
+   * @param {string} format - The format identifier from detectFormat.
+   * @param {string} name - The route name, used if the file doesn't name itself.
+   * @returns {Promise<string>} The GPX content.
+   */
+  static async convertToGpx(data, format, name) {
+    const importer = importers.find(i => i.format === format);
+    if (!importer) {
+      // GPX (or an unknown format, which gpxParser will reject later on).
+      return typeof data === 'string' ? data : new TextDecoder().decode(data);
+    }
+
+    let content = data;
+    if (!importer.binary && typeof data !== 'string') {
+      content = new TextDecoder().decode(data);
+    }
+
+    const imported = await importer.parse(content);
+    if (imported.segments.length === 0 && imported.waypoints.length === 0) {
+      throw new Error(`No track or waypoint data found in the ${format.toUpperCase()} file.`);
+    }
+
+    // Tag the points like TrackSegmenter does, so every imported segment becomes its own <trkseg>.
+    const points = imported.segments.flatMap((segment, segmentIndex) =>
+      segment.points.map(p => ({ ...p, trackIndex: 0, segmentIndex }))
+    );
+    logger.info(`Converted ${format.toUpperCase()} data to GPX (${points.length} points).`);
+    return GpxGenerator.generate(points, imported.name || name, imported.waypoints);
+  }
+}
+
+export default RouteImporter;
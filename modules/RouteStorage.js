@@ -1,9 +1,35 @@
 import logger from './Logger.js';
+import RouteFingerprint from './RouteFingerprint.js';
 
-const STORAGE_KEY = 'gpx_route_library';
+const LEGACY_STORAGE_KEY = 'gpx_route_library'; // localStorage key used before the IndexedDB store
 const CACHE_NAME = 'gpx-cache-v1';
+const DB_NAME = 'gpx-route-library';
+const DB_VERSION = 1;
+
+// Object stores. Route metadata is kept small so the whole library can be listed cheaply;
+// the GPX bodies, stats and POIs live in their own stores, keyed by route ID.
+const STORE_ROUTES = 'routes';
+const STORE_GPX_BODIES = 'gpxBodies';
+const STORE_STATS = 'stats';
+const STORE_POIS = 'pois';
 
 class RouteStorage {
+  /**
+   * Opens the IndexedDB database, migrates the legacy localStorage library, if present, and
+   * fingerprints stored routes that don't have a fingerprint yet.
+   * Must be awaited before any other storage method is used.
+   */
+  static async init() {
+    try {
+      await this._getDatabase();
+      await this._migrateFromLocalStorage();
+      await this._addMissingFingerprints();
+    } catch (error) {
+      logger.error('Error initializing route storage:', error);
+      alert('Could not open the route library database. Routes will not be saved.');
+    }
+  }
+
   /**
    * Caches an array of GPX file URLs.
    * @param {Array<string>} urls - An array of URLs to cache.
@@ -25,26 +51,8 @@ class RouteStorage {
    */
   static async getGpx(url) {
     try {
-      const cache = await caches.open(CACHE_NAME);
-      const cachedResponse = await cache.match(url);
-
-      if (cachedResponse) {
-        logger.info(`Serving GPX from cache: ${url}`);
-        return cachedResponse.text();
-      }
-
-      logger.warn(`GPX not in cache, fetching from network: ${url}`);
-      const networkResponse = await fetch(url);
-
-      if (networkResponse.ok) {
-        // Clone the response to put it in the cache, as a response can only be read once.
-        await cache.put(url, networkResponse.clone());
-        logger.info(`Successfully cached new GPX: ${url}`);
-        return networkResponse.text();
-      } else {
-        // Don't cache bad responses
-        throw new Error(`HTTP error! status: ${networkResponse.status}`);
-      }
+      const response = await this._getCachedResponse(url);
+      return response.text();
     } catch (error) {
       logger.error(`Error getting GPX for ${url}:`, error);
       return null;
@@ -52,113 +60,510 @@ class RouteStorage {
   }
 
   /**
-   * Retrieves all route records from local storage.
-   * @returns {Array<object>} An array of route records.
+   * Retrieves a route file's raw content (e.g. a binary FIT file), using a cache-first strategy.
+   * @param {string} url - The URL of the route file to retrieve.
+   * @returns {Promise<ArrayBuffer|null>} The file content, or null if an error occurs.
    */
-  static getRoutes() {
+  static async getRouteFile(url) {
     try {
-      const routesJson = localStorage.getItem(STORAGE_KEY);
-      return routesJson ? JSON.parse(routesJson) : [];
+      const response = await this._getCachedResponse(url);
+      return response.arrayBuffer();
     } catch (error) {
-      logger.error('Error reading routes from local storage:', error);
+      logger.error(`Error getting route file for ${url}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Returns the response for a URL from the cache, or fetches and caches it.
+   * @param {string} url - The URL to retrieve.
+   * @returns {Promise<Response>} The response.
+   * @private
+   */
+  static async _getCachedResponse(url) {
+    const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match(url);
+
+    if (cachedResponse) {
+      logger.info(`Serving GPX from cache: ${url}`);
+      return cachedResponse;
+    }
+
+    logger.warn(`GPX not in cache, fetching from network: ${url}`);
+    const networkResponse = await fetch(url);
+
+    if (networkResponse.ok) {
+      // Clone the response to put it in the cache, as a response can only be read once.
+      await cache.put(url, networkResponse.clone());
+      logger.info(`Successfully cached new GPX: ${url}`);
+      return networkResponse;
+    } else {
+      // Don't cache bad responses
+      throw new Error(`HTTP error! status: ${networkResponse.status}`);
+    }
+  }
+
+  /**
+   * Retrieves the metadata of all route records, each joined with its cached `stats` (or null).
+   * GPX bodies and POIs are loaded separately.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.includeDeleted=false] - Whether to include the tombstones of deleted static routes.
+   * @returns {Promise<Array<object>>} An array of route records, oldest first.
+   */
+  static async getRoutes({ includeDeleted = false } = {}) {
+    try {
+      const routes = await this._request(STORE_ROUTES, 'readonly', store => store.getAll());
+      const allStats = await this._request(STORE_STATS, 'readonly', store => store.getAll());
+      const statsByRouteId = new Map(allStats.map(stats => [stats.routeId, stats]));
+      return routes
+        .filter(route => includeDeleted || !route.deleted)
+        .map(route => ({ ...route, stats: statsByRouteId.get(route.id) || null }))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      logger.error('Error reading routes from the database:', error);
       return [];
     }
   }
 
   /**
-   * Adds a new route record to local storage.
+   * Adds a new route record to the database.
    * @param {object} routeData - The data for the new route.
    * @param {string} routeData.gpxString - The raw GPX content.
    * @param {string} routeData.name - The name for the route.
    * @param {string} routeData.sourceType - 'file', 'url', or 'static'.
    * @param {string} routeData.source - The original filename or URL.
-   * @returns {object} The newly created route record with its ID.
+   * @param {string} [routeData.format='gpx'] - The format the route was imported from (see RouteImporter).
+   * @param {string|null} [routeData.fingerprint=null] - The content fingerprint from RouteFingerprint.compute().
+   * @returns {Promise<object|null>} The newly created route record with its ID, or null if it could not be saved.
    */
-  static addRoute({ gpxString, name, sourceType, source }) {
+  static async addRoute({ gpxString, name, sourceType, source, format = 'gpx', fingerprint = null }) {
     if (!name) {
       logger.error('Cannot add route: name is required.');
       return null;
     }
 
-    const routes = this.getRoutes();
-    const now = new Date();
     let id;
-
     if (sourceType === 'static' || sourceType === 'url') {
       id = source;
     } else {
       id = crypto.randomUUID();
     }
 
-    // Check if a route with this ID already exists
-    if (routes.some(route => route.id === id)) {
-      logger.warn(`Route with ID "${id}" already exists. Not adding duplicate.`);
-      return routes.find(route => route.id === id);
-    }
-
-    const newRecord = {
-      id,
-      name,
-      sourceType,
-      source,
-      createdAt: now.toISOString(),
-    };
+    try {
+      // Check if a route with this ID already exists
+      const existingRoute = await this._request(STORE_ROUTES, 'readonly', store => store.get(id));
+      // A deleted static route is added back when the user explicitly loads it again.
+      if (existingRoute && !existingRoute.deleted) {
+        logger.warn(`Route with ID "${id}" already exists. Not adding duplicate.`);
+        return existingRoute;
+      }
 
-    // Only add gpxString if it's provided (for file-based routes)
-    if (gpxString) {
-      newRecord.originalGpxString = gpxString; // Preserve original
-      newRecord.gpxString = this._reduceGpxPrecision(gpxString);
-    }
+      const newRecord = {
+        id,
+        name,
+        sourceType,
+        source,
+        format,
+        fingerprint,
+        createdAt: new Date().toISOString(),
+      };
 
-    routes.push(newRecord);
+      const db = await this._getDatabase();
+      const transaction = db.transaction([STORE_ROUTES, STORE_GPX_BODIES], 'readwrite');
+      transaction.objectStore(STORE_ROUTES).put(newRecord);
+      // Only add a GPX body if it's provided (for file-based routes)
+      if (gpxString) {
+        transaction.objectStore(STORE_GPX_BODIES).put({
+          routeId: id,
+          originalGpxString: gpxString, // Preserve original
+          gpxString: this._reduceGpxPrecision(gpxString),
+        });
+      }
+      await this._completeTransaction(transaction);
 
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
-      logger.info(`Successfully added route "${name}" with ID "${id}" to local storage.`);
+      logger.info(`Successfully added route "${name}" with ID "${id}" to the database.`);
       return newRecord;
     } catch (error) {
-      logger.error('Error saving route to local storage:', error);
-      // Attempt to remove the failed item to prevent corruption
-      routes.pop();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
+      logger.error('Error saving route to the database:', error);
       return null;
     }
   }
 
   /**
-   * Finds a route by its ID and merges new data into it.
+   * Finds a route by its ID and merges new data into it. `gpxString`, `pois` and `stats`
+   * are written to their own stores, everything else is merged into the route metadata.
+   * The POIs are stored with the `poisVersion` of the query that fetched them (see getPois).
    * @param {string} routeId - The ID of the route to update.
    * @param {object} updatedData - An object containing the properties to merge.
-   * @returns {object|null} The updated route record or null if not found.
+   * @returns {Promise<object|null>} The updated route metadata or null if not found or not saved.
    */
-  static updateRoute(routeId, updatedData) {
-    const routes = this.getRoutes();
-    const routeIndex = routes.findIndex(route => route.id === routeId);
+  static async updateRoute(routeId, updatedData) {
+    const { gpxString, pois, poisVersion, stats, ...metadata } = updatedData;
+
+    try {
+      const route = await this._request(STORE_ROUTES, 'readonly', store => store.get(routeId));
+      if (!route) {
+        logger.error(`Cannot update route: ID "${routeId}" not found.`);
+        return null;
+      }
+
+      const db = await this._getDatabase();
+      const transaction = db.transaction([STORE_ROUTES, STORE_GPX_BODIES, STORE_STATS, STORE_POIS], 'readwrite');
+      const updatedRoute = { ...route, ...metadata };
+      transaction.objectStore(STORE_ROUTES).put(updatedRoute);
 
-    if (routeIndex === -1) {
-      logger.error(`Cannot update route: ID "${routeId}" not found.`);
+      if (gpxString) {
+        // Keep the original body, if any, and ensure the new body's precision is reduced.
+        const bodyStore = transaction.objectStore(STORE_GPX_BODIES);
+        const bodyRequest = bodyStore.get(routeId);
+        bodyRequest.onsuccess = () => {
+          bodyStore.put({
+            ...(bodyRequest.result || { routeId }),
+            gpxString: this._reduceGpxPrecision(gpxString),
+          });
+        };
+      }
+      if (pois) {
+        transaction.objectStore(STORE_POIS).put({ routeId, pois, version: poisVersion });
+      }
+      if (stats) {
+        transaction.objectStore(STORE_STATS).put({ ...stats, routeId, updatedAt: new Date().toISOString() });
+      }
+      await this._completeTransaction(transaction);
+
+      logger.info(`Successfully updated route "${updatedRoute.name}" in the database.`);
+      return updatedRoute;
+    } catch (error) {
+      logger.error('Error updating route in the database:', error);
       return null;
     }
+  }
 
-    // If gpxString is part of the update, ensure its precision is reduced.
-    if (updatedData.gpxString) {
-      updatedData.gpxString = this._reduceGpxPrecision(updatedData.gpxString);
+  /**
+   * Finds the route whose content has the given fingerprint, i.e. an earlier import of the same track.
+   * @param {string|null} fingerprint - The fingerprint from RouteFingerprint.compute().
+   * @returns {Promise<object|null>} The matching route record, or null if there is none.
+   */
+  static async findByFingerprint(fingerprint) {
+    if (!fingerprint) {
+      return null;
+    }
+    try {
+      const routes = await this._request(STORE_ROUTES, 'readonly', store => store.getAll());
+      return routes.find(route => !route.deleted && route.fingerprint === fingerprint) || null;
+    } catch (error) {
+      logger.error('Error searching the database for a route fingerprint:', error);
+      return null;
     }
+  }
 
-    // Merge the new data into the existing record
-    const updatedRoute = { ...routes[routeIndex], ...updatedData };
-    routes[routeIndex] = updatedRoute;
+  /**
+   * Deletes a route together with its GPX body, stats and POIs.
+   * Static routes are kept as a `deleted` tombstone, so the manifest doesn't add them back on the next start.
+   * @param {string} routeId - The ID of the route to delete.
+   * @returns {Promise<boolean>} True if the route was deleted.
+   */
+  static async deleteRoute(routeId) {
+    try {
+      const route = await this._request(STORE_ROUTES, 'readonly', store => store.get(routeId));
+      if (!route) {
+        logger.error(`Cannot delete route: ID "${routeId}" not found.`);
+        return false;
+      }
+
+      const db = await this._getDatabase();
+      const transaction = db.transaction([STORE_ROUTES, STORE_GPX_BODIES, STORE_STATS, STORE_POIS], 'readwrite');
+      if (route.sourceType === 'static') {
+        transaction.objectStore(STORE_ROUTES).put({ ...route, deleted: true });
+      } else {
+        transaction.objectStore(STORE_ROUTES).delete(routeId);
+      }
+      transaction.objectStore(STORE_GPX_BODIES).delete(routeId);
+      transaction.objectStore(STORE_STATS).delete(routeId);
+      transaction.objectStore(STORE_POIS).delete(routeId);
+      await this._completeTransaction(transaction);
+
+      logger.info(`Deleted route "${route.name}" (${routeId}).`);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting route "${routeId}":`, error);
+      return false;
+    }
+  }
 
+  /**
+   * Retrieves the stored GPX content of a route.
+   * @param {string} routeId - The ID of the route.
+   * @returns {Promise<string|null>} The GPX content, or null if none is stored (e.g. static routes).
+   */
+  static async getGpxString(routeId) {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
-      logger.info(`Successfully updated route "${updatedRoute.name}" in local storage.`);
-      return updatedRoute;
+      const body = await this._request(STORE_GPX_BODIES, 'readonly', store => store.get(routeId));
+      return body ? body.gpxString : null;
+    } catch (error) {
+      logger.error(`Error reading GPX body for route "${routeId}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieves the stored POIs of a route.
+   * @param {string} routeId - The ID of the route.
+   * @param {number} version - The version of the current POI query. POIs fetched by another query (including
+   *   those stored before the versions, or restored from a backup without them) count as not stored, so they are
+   *   fetched again.
+   * @returns {Promise<Array<object>>} The POIs, or an empty array if none are stored.
+   */
+  static async getPois(routeId, version) {
+    try {
+      const entry = await this._request(STORE_POIS, 'readonly', store => store.get(routeId));
+      return entry && entry.version === version ? entry.pois : [];
     } catch (error) {
-      logger.error('Error updating route in local storage:', error);
+      logger.error(`Error reading POIs for route "${routeId}":`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Retrieves the cached statistics of a route.
+   * @param {string} routeId - The ID of the route.
+   * @returns {Promise<object|null>} The stats, or null if the route hasn't been analyzed yet.
+   */
+  static async getStats(routeId) {
+    try {
+      const stats = await this._request(STORE_STATS, 'readonly', store => store.get(routeId));
+      return stats || null;
+    } catch (error) {
+      logger.error(`Error reading stats for route "${routeId}":`, error);
       return null;
     }
   }
 
+  /**
+   * Reads the complete library, for a backup. Deleted static routes are included as tombstones.
+   * @returns {Promise<Array<object>>} One entry per route: { route, gpxBody, stats, pois, poisVersion }, where
+   *   `gpxBody` is { originalGpxString, gpxString }, `poisVersion` is the version of the POI query (see getPois)
+   *   and the optional parts are null if not stored.
+   */
+  static async exportLibrary() {
+    const [routes, gpxBodies, allStats, allPois] = await Promise.all([
+      this._request(STORE_ROUTES, 'readonly', store => store.getAll()),
+      this._request(STORE_GPX_BODIES, 'readonly', store => store.getAll()),
+      this._request(STORE_STATS, 'readonly', store => store.getAll()),
+      this._request(STORE_POIS, 'readonly', store => store.getAll()),
+    ]);
+    const byRouteId = (records) => new Map(records.map(({ routeId, ...data }) => [routeId, data]));
+    const bodiesById = byRouteId(gpxBodies);
+    const statsById = byRouteId(allStats);
+    const poisById = byRouteId(allPois);
+
+    return routes.map(route => ({
+      route,
+      gpxBody: bodiesById.get(route.id) || null,
+      stats: statsById.get(route.id) || null,
+      pois: poisById.has(route.id) ? poisById.get(route.id).pois : null,
+      poisVersion: poisById.has(route.id) ? poisById.get(route.id).version || null : null,
+    }));
+  }
+
+  /**
+   * Merges library entries (as produced by exportLibrary) into the database.
+   * An entry whose route ID already exists is a conflict, unless the existing route is a deleted tombstone.
+   * Conflicting routes are replaced as a whole (metadata, GPX body, stats and POIs) or left untouched.
+   * Tombstones in the entries are only stored for routes unknown to this library, and aren't counted.
+   * Routes without a `createdAt` (e.g. from hand-edited backups) are dated to the import.
+   * @param {Array<object>} entries - The entries { route, gpxBody, stats, pois, poisVersion } to import.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.overwrite=false] - Whether to replace conflicting routes instead of skipping them.
+   * @returns {Promise<object>} The outcome { added, overwritten, skipped }, each a count of routes.
+   */
+  static async importLibrary(entries, { overwrite = false } = {}) {
+    const existingRoutes = await this._request(STORE_ROUTES, 'readonly', store => store.getAll());
+    const existingById = new Map(existingRoutes.map(route => [route.id, route]));
+    const result = { added: 0, overwritten: 0, skipped: 0 };
+
+    const db = await this._getDatabase();
+    const transaction = db.transaction([STORE_ROUTES, STORE_GPX_BODIES, STORE_STATS, STORE_POIS], 'readwrite');
+    const importedAt = new Date().toISOString();
+    entries.forEach(({ route: entryRoute, gpxBody, stats, pois, poisVersion }) => {
+      const route = typeof entryRoute.createdAt === 'string' ? entryRoute : { ...entryRoute, createdAt: importedAt };
+      const existingRoute = existingById.get(route.id);
+      if (route.deleted) {
+        if (!existingRoute) transaction.objectStore(STORE_ROUTES).put(route);
+        return;
+      }
+      const isConflict = existingRoute && !existingRoute.deleted;
+      if (isConflict && !overwrite) {
+        result.skipped++;
+        return;
+      }
+
+      transaction.objectStore(STORE_ROUTES).put(route);
+      // Replace the per-route data as a whole, so nothing of the overwritten version is left behind.
+      transaction.objectStore(STORE_GPX_BODIES).delete(route.id);
+      transaction.objectStore(STORE_STATS).delete(route.id);
+      transaction.objectStore(STORE_POIS).delete(route.id);
+      if (gpxBody) {
+        transaction.objectStore(STORE_GPX_BODIES).put({ ...gpxBody, routeId: route.id });
+      }
+      if (stats) {
+        transaction.objectStore(STORE_STATS).put({ ...stats, routeId: route.id });
+      }
+      if (pois) {
+        transaction.objectStore(STORE_POIS).put({ routeId: route.id, pois, version: poisVersion });
+      }
+      if (isConflict) {
+        result.overwritten++;
+      } else {
+        result.added++;
+      }
+    });
+    await this._completeTransaction(transaction);
+
+    logger.info(`Imported library: ${result.added} added, ${result.overwritten} overwritten, ${result.skipped} skipped.`);
+    return result;
+  }
+
+  /**
+   * Returns the storage usage and quota of the origin, as estimated by the browser.
+   * @returns {Promise<object|null>} An object with `usage` and `quota` in bytes, or null if unsupported.
+   */
+  static async getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      logger.error('Error estimating storage usage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Moves the route records of the legacy localStorage library into the database.
+   * The localStorage key is removed once all records are stored, so this only runs once.
+   * @private
+   */
+  static async _migrateFromLocalStorage() {
+    const routesJson = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!routesJson) {
+      return;
+    }
+
+    let legacyRoutes;
+    try {
+      legacyRoutes = JSON.parse(routesJson);
+    } catch (error) {
+      logger.error('Legacy route library in localStorage is corrupt. Skipping migration.', error);
+      return;
+    }
+
+    logger.info(`Migrating ${legacyRoutes.length} route(s) from localStorage to IndexedDB.`);
+    const db = await this._getDatabase();
+    const transaction = db.transaction([STORE_ROUTES, STORE_GPX_BODIES, STORE_POIS], 'readwrite');
+
+    legacyRoutes.forEach(legacyRoute => {
+      const { gpxString, originalGpxString, pois, ...metadata } = legacyRoute;
+      transaction.objectStore(STORE_ROUTES).put({ format: 'gpx', ...metadata });
+      if (gpxString) {
+        transaction.objectStore(STORE_GPX_BODIES).put({
+          routeId: legacyRoute.id,
+          originalGpxString: originalGpxString || gpxString,
+          gpxString,
+        });
+      }
+      if (pois && pois.length > 0) {
+        transaction.objectStore(STORE_POIS).put({ routeId: legacyRoute.id, pois });
+      }
+    });
+
+    await this._completeTransaction(transaction);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    logger.info('Migration from localStorage completed. Legacy route library removed.');
+  }
+
+  /**
+   * Computes the fingerprints of routes stored before fingerprints were introduced. Only routes with a
+   * stored GPX body are handled here; the others are fingerprinted by the app when they are first loaded.
+   * The original body is used, as the stored one may have been densified or enriched since.
+   * @private
+   */
+  static async _addMissingFingerprints() {
+    const routes = await this._request(STORE_ROUTES, 'readonly', store => store.getAll());
+    const routesToFingerprint = routes.filter(route => !route.deleted && route.fingerprint === undefined);
+
+    for (const route of routesToFingerprint) {
+      const body = await this._request(STORE_GPX_BODIES, 'readonly', store => store.get(route.id));
+      if (!body) continue;
+      const fingerprint = await RouteFingerprint.compute(body.originalGpxString || body.gpxString);
+      await this.updateRoute(route.id, { fingerprint });
+    }
+    if (routesToFingerprint.length > 0) {
+      logger.info(`Checked ${routesToFingerprint.length} route(s) for missing fingerprints.`);
+    }
+  }
+
+  /**
+   * Opens (and on first use, creates) the database. The connection is reused.
+   * @returns {Promise<IDBDatabase>} The database connection.
+   * @private
+   */
+  static _getDatabase() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(STORE_ROUTES, { keyPath: 'id' });
+          db.createObjectStore(STORE_GPX_BODIES, { keyPath: 'routeId' });
+          db.createObjectStore(STORE_STATS, { keyPath: 'routeId' });
+          db.createObjectStore(STORE_POIS, { keyPath: 'routeId' });
+          logger.info(`Created IndexedDB database "${DB_NAME}".`);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a retry on the next call if opening failed.
+      this._dbPromise.catch(() => { this._dbPromise = null; });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Runs a single request against one object store.
+   * @param {string} storeName - The name of the object store.
+   * @param {string} mode - 'readonly' or 'readwrite'.
+   * @param {Function} createRequest - Receives the object store and returns an IDBRequest.
+   * @returns {Promise<*>} The result of the request.
+   * @private
+   */
+  static async _request(storeName, mode, createRequest) {
+    const db = await this._getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+  }
+
+  /**
+   * Waits for a transaction to complete. A QuotaExceededError aborts the transaction and rejects here.
+   * @param {IDBTransaction} transaction - The transaction.
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _completeTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+  }
+
   /**
    * Reduces the precision of coordinates and elevation in a GPX string.
    * @param {string} gpxString - The original GPX content.
@@ -185,12 +590,21 @@ class RouteStorage {
   }
 
   /**
-   * Clears all routes from local storage and the static asset cache.
+   * Deletes the route database, the legacy localStorage library and the static asset cache.
    */
   static async clearAll() {
     try {
-      localStorage.removeItem(STORAGE_KEY);
-      logger.info('Route library cleared from local storage.');
+      if (this._dbPromise) {
+        (await this._dbPromise).close();
+        this._dbPromise = null;
+      }
+      await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      logger.info('Route library database deleted.');
       await caches.delete(CACHE_NAME);
       logger.info('Static route cache cleared.');
     } catch (error) {
@@ -5,6 +5,8 @@ import logger from './Logger.js';
  * @property {'string'|'number'|'boolean'} type - The data type of the setting.
  * @property {*} defaultValue - The default value for the setting.
  * @property {boolean} [url=false] - Whether this setting can be configured via URL parameters.
+ * @property {boolean} [route=false] - Whether this setting belongs to a single route: it is stored on the route's record
+ *   and loaded with it, and isn't part of a library backup's settings.
  * @property {number} [min] - The minimum allowed value (for 'number' type).
  * @property {number} [max] - The maximum allowed value (for 'number' type).
  * @property {Array<string>} [options] - A list of valid string options (for 'string' type).
@@ -43,6 +45,164 @@ class SettingsManager {
             min: 1, // Minimum 1 second smoothing
             max: 60, // Maximum 60 seconds smoothing
         },
+        elevationSmoothingMeters: {
+            type: 'number',
+            defaultValue: 50, // Moving average over 50 m of distance
+            url: true,
+            min: 0, // No smoothing
+            max: 500,
+        },
+        elevationThresholdMeters: {
+            type: 'number',
+            defaultValue: 4, // Ignore elevation changes below 4 m (hysteresis)
+            url: true,
+            min: 0, // Count every change
+            max: 20,
+        },
+        stopSpeedKmh: {
+            type: 'number',
+            defaultValue: 1, // Slower than 1 km/h counts as stopped
+            url: true,
+            min: 0,
+            max: 5,
+        },
+        stopRadiusMeters: {
+            type: 'number',
+            defaultValue: 25, // Staying within 25 m counts as stopped...
+            url: true,
+            min: 5,
+            max: 200,
+        },
+        stopMinDurationSeconds: {
+            type: 'number',
+            defaultValue: 120, // ...if it lasts at least 2 minutes
+            url: true,
+            min: 10,
+            max: 3600,
+        },
+        energyModel: {
+            type: 'string',
+            defaultValue: 'effort', // How the energy expenditure is estimated (see EnergyCalculator)
+            url: true,
+            options: ['effort', 'pandolf', 'acsm', 'heartRate'],
+        },
+        packWeightKg: {
+            type: 'number',
+            defaultValue: 0, // Carried load, for the Pandolf and ACSM energy models
+            url: true,
+            min: 0,
+            max: 50,
+        },
+        sweatRateMlPerHour: {
+            type: 'number',
+            defaultValue: 500, // Fluid loss per hour at 20 °C (see HydrationPlanner); 0 turns the water plan off
+            url: true,
+            min: 0,
+            max: 2000,
+        },
+        waterCapacityLiters: {
+            type: 'number',
+            defaultValue: 1.5, // Water carried between two refills
+            url: true,
+            min: 0.5,
+            max: 10,
+        },
+        airTemperatureC: {
+            type: 'number',
+            defaultValue: 20, // Air temperature for the water plan...
+            url: true,
+            min: -20,
+            max: 45,
+        },
+        useRecordedTemperature: {
+            type: 'boolean',
+            defaultValue: true, // ...unless the GPX file has temperatures
+            url: true
+        },
+        paceModel: {
+            type: 'string',
+            defaultValue: 'tobler', // How the planned speed changes with the gradient (see PaceModel)
+            url: true,
+            options: ['tobler', 'naismith', 'linear', 'custom', 'personal'],
+        },
+        paceModelCustomTable: {
+            type: 'string',
+            defaultValue: '-30:2.5, -20:4, -10:5.5, 0:5, 10:3.5, 20:2.5, 30:1.8', // "gradient %:speed km/h" pairs
+            url: true
+        },
+        paceModelPersonalTable: {
+            type: 'string',
+            defaultValue: '', // Learned from the timestamped routes of the library (see PaceModelLearner)
+            url: false
+        },
+        fatigueBasis: {
+            type: 'string',
+            defaultValue: 'time', // Planned speed degrades with moving time...
+            url: true,
+            options: ['time', 'effort'], // ...or with the Km-effort done
+        },
+        finishTimeRuns: {
+            type: 'number',
+            defaultValue: 200, // Monte-Carlo runs for the finish-time range; 0 turns them off
+            url: true,
+            min: 0,
+            max: 1000,
+        },
+        paceVariation: {
+            type: 'number',
+            defaultValue: 10, // Day-to-day spread of the speed in the Monte-Carlo runs, as a standard deviation in %
+            url: true,
+            min: 0,
+            max: 30,
+        },
+        checkpoints: {
+            type: 'string',
+            defaultValue: '', // Race checkpoints as "km [name] [@ h:mm cut-off]", separated by semicolons
+            url: true,
+            route: true
+        },
+        plannedStart: {
+            type: 'string',
+            defaultValue: '', // Planned start as local "YYYY-MM-DDTHH:MM"; empty plans a start today at 07:00
+            url: true
+        },
+        dailyWalkingHours: {
+            type: 'number',
+            defaultValue: 0, // Walking-time budget per stage; 0 plans the route as a single stage
+            url: true,
+            min: 0,
+            max: 16,
+        },
+        overnightHours: {
+            type: 'number',
+            defaultValue: 12, // Time between arriving at an overnight stop and leaving it
+            url: true,
+            min: 1,
+            max: 24,
+        },
+        overnightStops: {
+            type: 'string',
+            defaultValue: '', // Manual overnight stops, as comma-separated distances in km
+            url: true,
+            route: true
+        },
+        overnightAtLodging: {
+            type: 'boolean',
+            defaultValue: true, // End budget-split stages at lodging along the route when possible
+            url: true
+        },
+        gpsCleaning: {
+            type: 'boolean',
+            defaultValue: true, // Remove GPS outliers and elevation spikes before the analysis
+            url: true
+        },
+        splitIntervalKm: {
+            type: 'number',
+            defaultValue: 1, // One split per kilometre
+            url: true,
+            min: 0.1,
+            max: 50,
+        },
         debugOverlay: {
             type: 'boolean',
             defaultValue: false,
@@ -113,6 +273,14 @@ class SettingsManager {
             min: 0.03125,
             max: 8,
         },
+
+    // --- Library Settings ---
+        librarySort: {
+            type: 'string',
+            defaultValue: 'date-desc',
+            url: false,
+            options: ['date-desc', 'date-asc', 'name', 'distance', 'effort'],
+        },
         // Other settings will be added here as we refactor the application.
     };
 
@@ -198,6 +366,35 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Returns a snapshot of all current setting values except the route settings, e.g. for a library backup.
+     * @returns {Object.<string, *>} The values keyed by setting name.
+     */
+    getAll() {
+        return Object.fromEntries([...this._values].filter(([key]) => !this._settingsSchema[key].route));
+    }
+
+    /**
+     * Applies a set of values, e.g. from a library backup. Unknown keys and route settings are ignored and every
+     * value is validated.
+     * @param {Object.<string, *>} values The values keyed by setting name.
+     */
+    setAll(values) {
+        for (const [key, value] of Object.entries(values)) {
+            if (this._settingsSchema[key] && !this._settingsSchema[key].route) {
+                this.set(key, value);
+            }
+        }
+    }
+
+    /**
+     * Returns the settings that belong to a single route (see SettingMeta.route).
+     * @returns {Array<string>} The setting keys.
+     */
+    getRouteKeys() {
+        return Object.keys(this._settingsSchema).filter(key => this._settingsSchema[key].route);
+    }
+
     /**
      * Subscribes to changes for a specific setting.
      * @param {string} key The key of the setting to subscribe to.
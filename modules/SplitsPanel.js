@@ -0,0 +1,144 @@
+import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+import StatisticsCalculator from './StatisticsCalculator.js';
+
+// Split lengths offered in the interval selector, in km.
+const INTERVAL_OPTIONS = [0.5, 1, 2, 5, 10];
+
+// An actual pace within 5% of the plan counts as on plan.
+const PACE_TOLERANCE = 0.05;
+
+/**
+ * The "Splits" panel: a table of fixed-distance splits of the active route with time, ascent, descent,
+ * average grade and actual vs. planned pace. Clicking a row reports the split's start through `onSeek`,
+ * so the App can move the tour there.
+ */
+class SplitsPanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.perPointData = [];
+
+    // Callback to be set by the App class
+    this.onSeek = () => {};
+
+    this._createDom();
+    SettingsManager.subscribe('splitIntervalKm', (interval) => {
+      this._syncIntervalSelect(interval);
+      this._render();
+    });
+    logger.info('SplitsPanel initialized.');
+  }
+
+  /**
+   * Builds the interval selector and the (empty) table.
+   * @private
+   */
+  _createDom() {
+    this.intervalSelect = document.createElement('select');
+    this.intervalSelect.className = 'splits-interval';
+    this._syncIntervalSelect(SettingsManager.get('splitIntervalKm'));
+    this.intervalSelect.addEventListener('change', () => SettingsManager.set('splitIntervalKm', parseFloat(this.intervalSelect.value)));
+
+    this.table = document.createElement('table');
+    this.table.className = 'splits-table';
+
+    this.container.append(this.intervalSelect, this.table);
+  }
+
+  /**
+   * Fills the interval selector, adding the current interval if it isn't one of the presets (e.g. set by URL).
+   * @param {number} interval - The selected interval in km.
+   * @private
+   */
+  _syncIntervalSelect(interval) {
+    const options = INTERVAL_OPTIONS.includes(interval) ? INTERVAL_OPTIONS : [...INTERVAL_OPTIONS, interval].sort((a, b) => a - b);
+    this.intervalSelect.innerHTML = '';
+    options.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `Every ${value} km`;
+      this.intervalSelect.appendChild(option);
+    });
+    this.intervalSelect.value = String(interval);
+  }
+
+  /**
+   * Sets the analysed points of the active route and renders its splits.
+   * @param {Array<object>} perPointData - The points from the PerformancePlanner, with actual and/or planned times.
+   */
+  setData(perPointData) {
+    this.perPointData = perPointData || [];
+    this._render();
+  }
+
+  /**
+   * Removes the splits, e.g. when the route is cleared.
+   */
+  clear() {
+    this.setData([]);
+  }
+
+  /**
+   * Renders the splits table.
+   * @private
+   */
+  _render() {
+    this.table.innerHTML = '';
+    const splits = StatisticsCalculator.calculateSplits(this.perPointData, SettingsManager.get('splitIntervalKm'));
+    if (splits.length === 0) return;
+
+    const hasActualTimes = splits[0].actualSeconds !== null;
+    const headerRow = this.table.createTHead().insertRow();
+    ['Km', 'Time', '▲ m', '▼ m', 'Grade', ...(hasActualTimes ? ['Pace'] : []), 'Plan'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const body = this.table.createTBody();
+    splits.forEach(split => {
+      const row = body.insertRow();
+      row.title = 'Jump to the start of this split';
+      row.addEventListener('click', () => this.onSeek(split.startDistance));
+
+      const time = hasActualTimes ? split.actualSeconds : split.plannedSeconds;
+      const cells = [
+        parseFloat((split.endDistance / 1000).toFixed(2)),
+        time !== null ? StatisticsCalculator.getDurationString(time) : '–',
+        split.ascent.toFixed(0),
+        split.descent.toFixed(0),
+        `${split.averageGrade.toFixed(1)}%`,
+        ...(hasActualTimes ? [this._formatPace(split.actualPace)] : []),
+        this._formatPace(split.plannedPace),
+      ];
+      cells.forEach(text => {
+        row.insertCell().textContent = text;
+      });
+
+      if (hasActualTimes && split.plannedPace) {
+        const paceCell = row.cells[row.cells.length - 2];
+        const ratio = split.actualPace / split.plannedPace;
+        if (ratio > 1 + PACE_TOLERANCE) paceCell.className = 'behind-plan';
+        if (ratio < 1 - PACE_TOLERANCE) paceCell.className = 'ahead-of-plan';
+      }
+    });
+  }
+
+  /**
+   * Formats a pace as minutes and seconds per km, e.g. "9:05".
+   * @param {number|null} secondsPerKm - The pace.
+   * @returns {string} The formatted pace, or a dash if unknown.
+   * @private
+   */
+  _formatPace(secondsPerKm) {
+    if (secondsPerKm === null || !isFinite(secondsPerKm)) return '–';
+    const minutes = Math.floor(secondsPerKm / 60);
+    const seconds = Math.round(secondsPerKm % 60);
+    return seconds === 60 ? `${minutes + 1}:00` : `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+}
+
+export default SplitsPanel;
@@ -0,0 +1,163 @@
+import logger from './Logger.js';
+import SettingsManager from './SettingsManager.js';
+import StatisticsCalculator from './StatisticsCalculator.js';
+import PerformancePlanner from './PerformancePlanner.js';
+
+// How each kind of stage end is shown in the table (lodging stops show the lodging's name).
+const END_LABELS = {
+  manual: 'Picked',
+  budget: 'Time limit',
+  lodging: 'Lodging',
+  finish: 'Finish',
+};
+
+/**
+ * The "Stages" panel: lists the stages of a multi-day plan (see PerformancePlanner) with their distance,
+ * ascent, descent, Km-effort and planned walking time, and where each one ends. "Add Overnight Here" adds
+ * an overnight stop at the tour position to the 'overnightStops' setting. Clicking a row reports the stage's
+ * start through `onSeek`, so the App can move the tour there.
+ */
+class StagesPanel {
+  /**
+   * @param {HTMLElement} container - The element the panel is built in.
+   */
+  constructor(container) {
+    this.container = container;
+    this.stages = [];
+    this.position = null;
+
+    // Callback to be set by the App class
+    this.onSeek = () => {};
+
+    this._createDom();
+    logger.info('StagesPanel initialized.');
+  }
+
+  /**
+   * Builds the overnight buttons and the (empty) table.
+   * @private
+   */
+  _createDom() {
+    const nav = document.createElement('div');
+    nav.className = 'stages-nav';
+    this.addButton = document.createElement('button');
+    this.addButton.textContent = 'Add Overnight Here';
+    this.addButton.title = 'Stop for the night at the current tour position';
+    this.addButton.addEventListener('click', () => this._addOvernight());
+    this.clearButton = document.createElement('button');
+    this.clearButton.textContent = 'Clear Picked';
+    this.clearButton.title = 'Remove the overnight stops picked by hand';
+    this.clearButton.addEventListener('click', () => SettingsManager.set('overnightStops', ''));
+    nav.append(this.addButton, this.clearButton);
+
+    this.hint = document.createElement('p');
+    this.hint.className = 'stages-hint';
+    this.hint.textContent = 'Set a daily walking time in the Athlete Profile, or play the tour and add overnight stops, to plan the route in stages.';
+
+    this.table = document.createElement('table');
+    this.table.className = 'stages-table';
+
+    this.container.append(nav, this.hint, this.table);
+    this._updateButtons();
+  }
+
+  /**
+   * Sets the stages of the active route.
+   * @param {Array<object>} stages - The stages from PerformancePlanner.planPerformanceProfile.
+   */
+  setData(stages) {
+    this.stages = stages || [];
+    this._render();
+  }
+
+  /**
+   * Removes the stages, e.g. when the route is cleared.
+   */
+  clear() {
+    this.position = null;
+    this.setData([]);
+    this._updateButtons();
+  }
+
+  /**
+   * Highlights the stage containing the current tour position.
+   * @param {number|null} distance - The distance along the route in meters, or null when the tour is stopped.
+   */
+  setPosition(distance) {
+    this.position = distance;
+    this._highlightCurrent();
+    this._updateButtons();
+  }
+
+  /**
+   * Renders the table of stages.
+   * @private
+   */
+  _render() {
+    this.table.innerHTML = '';
+    this.hint.style.display = this.stages.length > 1 ? 'none' : 'block';
+    if (this.stages.length < 2) return;
+
+    const headerRow = this.table.createTHead().insertRow();
+    ['Day', 'Km', '▲ m', '▼ m', 'Effort', 'Time', 'Ends at'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const body = this.table.createTBody();
+    this.stages.forEach(stage => {
+      const row = body.insertRow();
+      row.title = 'Jump to the start of this stage';
+      row.addEventListener('click', () => this.onSeek(stage.startDistance));
+
+      const cells = [
+        stage.index + 1,
+        (stage.distance / 1000).toFixed(1),
+        stage.ascent.toFixed(0),
+        stage.descent.toFixed(0),
+        stage.kmEffort.toFixed(1),
+        StatisticsCalculator.getDurationString(stage.plannedSeconds),
+        stage.endName || END_LABELS[stage.endReason],
+      ];
+      cells.forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+    this._highlightCurrent();
+  }
+
+  /**
+   * Marks the row of the stage the tour is currently in.
+   * @private
+   */
+  _highlightCurrent() {
+    const body = this.table.tBodies[0];
+    if (!body) return;
+    this.stages.forEach((stage, index) => {
+      const isCurrent = this.position !== null && this.position >= stage.startDistance && this.position < stage.endDistance;
+      body.rows[index].classList.toggle('current', isCurrent);
+    });
+  }
+
+  /**
+   * Enables "Add Overnight Here" while the tour has a position.
+   * @private
+   */
+  _updateButtons() {
+    this.addButton.disabled = this.position === null;
+  }
+
+  /**
+   * Adds an overnight stop at the current tour position.
+   * @private
+   */
+  _addOvernight() {
+    if (this.position === null) return;
+    const distancesKm = PerformancePlanner.parseOvernightStops(SettingsManager.get('overnightStops')).map(meters => meters / 1000);
+    distancesKm.push(parseFloat((this.position / 1000).toFixed(1)));
+    SettingsManager.set('overnightStops', distancesKm.sort((a, b) => a - b).join(', '));
+  }
+}
+
+export default StagesPanel;
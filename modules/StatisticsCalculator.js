@@ -1,79 +1,208 @@
 import logger from './Logger.js';
 import SettingsManager from './SettingsManager.js';
 
+// Sensor channels that may be recorded per point (see TrackSegmenter).
+const SENSOR_CHANNELS = ['hr', 'cad', 'atemp', 'power'];
+// Lower bounds of the five heart rate zones, as a fraction of the maximum heart rate.
+const HEART_RATE_ZONES = [0.5, 0.6, 0.7, 0.8, 0.9];
+
+// Km-effort: 1 km per horizontal km, plus 1 km per 100 m of ascent and per 150 m of steep descent.
+const ASCENT_METERS_PER_KM_EFFORT = 100;
+const DESCENT_METERS_PER_KM_EFFORT = 150;
+const STEEP_DESCENT_GRADE = 0.2; // Descents flatter than 20% are counted as flat walking
+// Grades are measured over at least this distance, so that short GPS jumps don't produce absurd values.
+const MIN_GRADE_DISTANCE_METERS = 50;
+const METERS_PER_DEGREE = 111320;
+
 class StatisticsCalculator {
   /**
-   * Calculates the total distance and elevation gain of a route.
+   * Calculates the distance, elevation and Km-effort statistics of a route.
+   * Elevations are first smoothed over a distance window ('elevationSmoothingMeters'); ascent and descent
+   * are then only counted once the smoothed elevation has moved by more than a threshold
+   * ('elevationThresholdMeters') from the last counted level, which filters out barometric and GPS jitter.
    * @param {Array<object>} points - An array of points with lon, lat, and ele properties.
-   * @returns {object} An object with distance and elevationGain properties.
+   * @returns {object} The totals (distance, elevation gain and loss, min/max elevation, max grades, Km-effort)
+   *   and the per-point data with cumulative values, `smoothedEle` and `grade` (in %).
    */
   static calculate(points) {
     if (!points || points.length < 2) {
       return {
         totalDistance: 0,
         totalElevationGain: 0,
+        totalElevationLoss: 0,
+        minElevation: 0,
+        maxElevation: 0,
+        maxGrade: 0,
+        maxDescentGrade: 0,
         totalKmEffort: 0,
         perPointData: [],
       };
     }
 
+    // The jump between two GPX track segments (e.g. overnight between two days) is a gap,
+    // not travelled distance, so it contributes nothing to the cumulative values.
+    const isSegmentGap = (i) => i > 0 && points[i - 1].segmentIndex !== points[i].segmentIndex;
+
+    // 1. Cumulative distance along the route
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+      const p1 = points[i - 1];
+      const p2 = points[i];
+      const carto1 = Cesium.Cartographic.fromDegrees(p1.lon, p1.lat);
+      const carto2 = Cesium.Cartographic.fromDegrees(p2.lon, p2.lat);
+      const ellipsoidGeodesic = new Cesium.EllipsoidGeodesic(carto1, carto2);
+      distances.push(distances[i - 1] + (isSegmentGap(i) ? 0 : ellipsoidGeodesic.surfaceDistance));
+    }
+
+    // 2. Smoothed elevations and grades
+    const smoothedElevations = this._smoothElevations(points, distances, SettingsManager.get('elevationSmoothingMeters'));
+    const grades = this._calculateGrades(points, distances, smoothedElevations);
+
+    // 3. Ascent and descent with hysteresis, and Km-effort
+    const threshold = SettingsManager.get('elevationThresholdMeters');
     const perPointData = [];
-    let cumulativeDistance = 0; // in meters
     let cumulativeElevationGain = 0; // in meters
+    let cumulativeElevationLoss = 0; // in meters
     let cumulativeKmEffort = 0;
+    let referenceElevation = smoothedElevations[0]; // The last level at which ascent or descent was counted
+    let referenceDistance = 0;
 
     // Initialize first point's data
     perPointData.push({
       ...points[0],
+      smoothedEle: smoothedElevations[0],
+      grade: grades[0],
       cumulativeDistance: 0,
       cumulativeElevationGain: 0,
+      cumulativeElevationLoss: 0,
       cumulativeKmEffort: 0,
     });
 
     for (let i = 1; i < points.length; i++) {
-      const p1 = points[i - 1];
-      const p2 = points[i];
-
-      // Calculate segment distance
-      const carto1 = Cesium.Cartographic.fromDegrees(p1.lon, p1.lat);
-      const carto2 = Cesium.Cartographic.fromDegrees(p2.lon, p2.lat);
-      const ellipsoidGeodesic = new Cesium.EllipsoidGeodesic(carto1, carto2);
-      const segmentDistanceMeters = ellipsoidGeodesic.surfaceDistance;
-      cumulativeDistance += segmentDistanceMeters;
-
-      // Calculate segment elevation gain/loss
-      const ele1 = p1.ele || 0;
-      const ele2 = p2.ele || 0;
+      const segmentDistanceMeters = distances[i] - distances[i - 1];
       let segmentAscent = 0;
-      if (ele2 > ele1) {
-        segmentAscent = ele2 - ele1;
-        cumulativeElevationGain += segmentAscent;
+      let segmentSteepDescent = 0;
+
+      if (isSegmentGap(i)) {
+        referenceElevation = smoothedElevations[i];
+        referenceDistance = distances[i];
+      } else {
+        const delta = smoothedElevations[i] - referenceElevation;
+        if (delta > 0 && delta >= threshold) {
+          segmentAscent = delta;
+          cumulativeElevationGain += delta;
+          referenceElevation = smoothedElevations[i];
+          referenceDistance = distances[i];
+        } else if (delta < 0 && -delta >= threshold) {
+          const descent = -delta;
+          cumulativeElevationLoss += descent;
+          const descentDistance = distances[i] - referenceDistance;
+          if (descentDistance > 0 && descent / descentDistance >= STEEP_DESCENT_GRADE) {
+            segmentSteepDescent = descent;
+          }
+          referenceElevation = smoothedElevations[i];
+          referenceDistance = distances[i];
+        }
       }
 
       // Calculate Km-effort for the segment
-      const segmentKmEffort = (segmentDistanceMeters / 1000) + (segmentAscent / 100);
+      const segmentKmEffort = (segmentDistanceMeters / 1000)
+        + (segmentAscent / ASCENT_METERS_PER_KM_EFFORT)
+        + (segmentSteepDescent / DESCENT_METERS_PER_KM_EFFORT);
       cumulativeKmEffort += segmentKmEffort;
 
       perPointData.push({
         ...points[i],
-        cumulativeDistance: cumulativeDistance,
+        smoothedEle: smoothedElevations[i],
+        grade: grades[i],
+        cumulativeDistance: distances[i],
         cumulativeElevationGain: cumulativeElevationGain,
+        cumulativeElevationLoss: cumulativeElevationLoss,
         cumulativeKmEffort: cumulativeKmEffort,
       });
     }
 
-    const totalDistanceKm = cumulativeDistance / 1000;
+    const totalDistanceKm = distances[distances.length - 1] / 1000;
+    // Reduced rather than spread into Math.min/max, which overflows the call stack on long tracks.
+    const minElevation = smoothedElevations.reduce((min, ele) => Math.min(min, ele), Infinity);
+    const maxElevation = smoothedElevations.reduce((max, ele) => Math.max(max, ele), -Infinity);
+    const maxGrade = grades.reduce((max, grade) => Math.max(max, grade), 0);
+    const maxDescentGrade = grades.reduce((min, grade) => Math.min(min, grade), 0);
 
-    logger.info(`Calculated statistics: Total Distance=${totalDistanceKm.toFixed(2)}km, Total Elevation Gain=${cumulativeElevationGain.toFixed(2)}m, Total Km-effort=${cumulativeKmEffort.toFixed(2)}`);
+    logger.info(`Calculated statistics: Total Distance=${totalDistanceKm.toFixed(2)}km, Total Elevation Gain=${cumulativeElevationGain.toFixed(2)}m, Total Elevation Loss=${cumulativeElevationLoss.toFixed(2)}m, Total Km-effort=${cumulativeKmEffort.toFixed(2)}`);
 
     return {
       totalDistance: totalDistanceKm.toFixed(2), // in km
       totalElevationGain: cumulativeElevationGain.toFixed(2), // in meters
+      totalElevationLoss: cumulativeElevationLoss.toFixed(2), // in meters
+      minElevation: minElevation.toFixed(0), // in meters
+      maxElevation: maxElevation.toFixed(0), // in meters
+      maxGrade: maxGrade.toFixed(1), // in %, steepest ascent
+      maxDescentGrade: maxDescentGrade.toFixed(1), // in %, steepest descent (negative)
       totalKmEffort: cumulativeKmEffort.toFixed(2), // km-effort
       perPointData: perPointData, // Rich data for each point
     };
   }
 
+  /**
+   * Smooths the elevations with a moving average over a distance window centered on each point.
+   * The window never reaches across a gap between track segments.
+   * @param {Array<object>} points - The route points.
+   * @param {Array<number>} distances - The cumulative distance of each point in meters.
+   * @param {number} windowMeters - The width of the window in meters; 0 disables smoothing.
+   * @returns {Array<number>} The smoothed elevation of each point.
+   * @private
+   */
+  static _smoothElevations(points, distances, windowMeters) {
+    const elevations = points.map(p => p.ele || 0);
+    if (!windowMeters || windowMeters <= 0) {
+      return elevations;
+    }
+
+    const halfWindow = windowMeters / 2;
+    const inWindow = (i, j) => points[i].segmentIndex === points[j].segmentIndex && Math.abs(distances[i] - distances[j]) <= halfWindow;
+    const smoothed = [];
+    let low = 0;
+    let high = -1;
+    let sum = 0;
+    for (let i = 0; i < points.length; i++) {
+      while (high + 1 < points.length && inWindow(i, high + 1)) {
+        high++;
+        sum += elevations[high];
+      }
+      while (low < i && !inWindow(i, low)) {
+        sum -= elevations[low];
+        low++;
+      }
+      smoothed.push(sum / (high - low + 1));
+    }
+    return smoothed;
+  }
+
+  /**
+   * Calculates the grade at each point, over the stretch of at least MIN_GRADE_DISTANCE_METERS that ends there.
+   * @param {Array<object>} points - The route points.
+   * @param {Array<number>} distances - The cumulative distance of each point in meters.
+   * @param {Array<number>} elevations - The (smoothed) elevation of each point.
+   * @returns {Array<number>} The grade of each point in % (0 near the start of a segment).
+   * @private
+   */
+  static _calculateGrades(points, distances, elevations) {
+    const grades = [];
+    let start = 0;
+    for (let i = 0; i < points.length; i++) {
+      if (points[start].segmentIndex !== points[i].segmentIndex) {
+        start = i;
+      }
+      while (start + 1 < i && distances[i] - distances[start + 1] >= MIN_GRADE_DISTANCE_METERS) {
+        start++;
+      }
+      const distance = distances[i] - distances[start];
+      grades.push(distance >= MIN_GRADE_DISTANCE_METERS ? ((elevations[i] - elevations[start]) / distance) * 100 : 0);
+    }
+    return grades;
+  }
+
   /**
    * Analyzes the recorded performance of a route if timestamps are available.
    * @param {Array<object>} perPointData - The rich per-point data from calculate.
@@ -87,6 +216,11 @@ class StatisticsCalculator {
         overallAverageAscentRate: null,
         overallAverageKmEffort: null,
         totalDurationString: "00:00:00",
+        movingAverageSpeed: null,
+        movingAverageAscentRate: null,
+        movingTimeSeconds: 0,
+        stoppedTimeSeconds: 0,
+        stops: [],
         augmentedPerPointData: perPointData,
       };
     }
@@ -104,17 +238,38 @@ class StatisticsCalculator {
     const overallAverageAscentRate = totalTimeHours > 0 ? totalElevationGainMeters / totalTimeHours : 0;
     const overallAverageKmEffort = totalTimeHours > 0 ? totalKmEffort / totalTimeHours : 0;
 
+    // Moving averages leave out the time spent at stops (breaks, photo stops, gaps between track segments).
+    const { stops, stoppedFlags, stoppedTimeSeconds } = this.detectStops(perPointData);
+    const movingTimeSeconds = Math.max(0, totalTimeSeconds - stoppedTimeSeconds);
+    const movingTimeHours = movingTimeSeconds / 3600;
+    // GPS drift while standing still adds distance (and sometimes ascent), which is left out as well.
+    let movingDistanceKm = 0;
+    let movingElevationGain = 0;
+    for (let i = 1; i < perPointData.length; i++) {
+      if (stoppedFlags[i]) continue;
+      movingDistanceKm += (perPointData[i].cumulativeDistance - perPointData[i - 1].cumulativeDistance) / 1000;
+      movingElevationGain += perPointData[i].cumulativeElevationGain - perPointData[i - 1].cumulativeElevationGain;
+    }
+    const movingAverageSpeed = movingTimeHours > 0 ? movingDistanceKm / movingTimeHours : 0;
+    const movingAverageAscentRate = movingTimeHours > 0 ? movingElevationGain / movingTimeHours : 0;
+
     let emaSpeed = null;
     let emaEleRate = null;
     let emaKmRate = null;
+    const emaSensors = {}; // Smoothed sensor channels (hr, cad, atemp, power), keyed by channel
 
     const augmentedPerPointData = perPointData.map((point, i) => {
         if (i === 0) {
+            SENSOR_CHANNELS.forEach(channel => {
+                if (typeof point[channel] === 'number') emaSensors[channel] = point[channel];
+            });
             return {
                 ...point,
+                isStopped: false,
                 actualSmoothedSpeedKmh: 0,
                 actualSmoothedElevationRate: 0,
                 actualSmoothedKmEffortRate: 0,
+                ...this._getSmoothedSensorValues(emaSensors),
             };
         }
 
@@ -125,7 +280,7 @@ class StatisticsCalculator {
         const segmentTimeSeconds = (p2.time.getTime() - p1.time.getTime()) / 1000; // Calculate segment time in seconds
         const segmentTimeHours = segmentTimeSeconds / 3600;
         const segmentDistKm = (p2.cumulativeDistance - p1.cumulativeDistance) / 1000;
-        const segmentEleGain = (p2.ele || 0) - (p1.ele || 0);
+        const segmentEleGain = p2.smoothedEle - p1.smoothedEle;
         const segmentKmEffort = p2.cumulativeKmEffort - p1.cumulativeKmEffort;
 
         let instSpeed = 0, instEleRate = 0, instKmRate = 0;
@@ -153,15 +308,26 @@ class StatisticsCalculator {
             emaKmRate = (instKmRate * alpha) + (emaKmRate * (1 - alpha));
         }
 
+        // Sensor channels are already instantaneous readings, so they are smoothed directly.
+        // Points without a reading keep the previous smoothed value.
+        SENSOR_CHANNELS.forEach(channel => {
+            if (typeof point[channel] !== 'number') return;
+            emaSensors[channel] = emaSensors[channel] === undefined
+                ? point[channel]
+                : (point[channel] * alpha) + (emaSensors[channel] * (1 - alpha));
+        });
+
         return {
             ...point,
+            isStopped: stoppedFlags[i], // The time since the previous point was spent stopped
             actualSmoothedSpeedKmh: emaSpeed,
             actualSmoothedElevationRate: emaEleRate,
             actualSmoothedKmEffortRate: emaKmRate,
+            ...this._getSmoothedSensorValues(emaSensors),
         };
     });
 
-    logger.info(`Performance Analysis: Avg Speed=${overallAverageSpeed.toFixed(2)}km/h, Avg Ascent Rate=${overallAverageAscentRate.toFixed(2)}m/h`);
+    logger.info(`Performance Analysis: Avg Speed=${overallAverageSpeed.toFixed(2)}km/h, Avg Ascent Rate=${overallAverageAscentRate.toFixed(2)}m/h, Moving Avg Speed=${movingAverageSpeed.toFixed(2)}km/h, ${stops.length} stop(s)`);
 
     return {
       overallAverageSpeed: overallAverageSpeed.toFixed(2),
@@ -169,7 +335,257 @@ class StatisticsCalculator {
       overallAverageKmEffort: overallAverageKmEffort.toFixed(2),
       augmentedPerPointData: augmentedPerPointData,
       totalDurationString: StatisticsCalculator.getDurationString(totalTimeSeconds),
+      movingAverageSpeed: movingAverageSpeed.toFixed(2),
+      movingAverageAscentRate: movingAverageAscentRate.toFixed(2),
+      movingTimeSeconds: movingTimeSeconds,
+      stoppedTimeSeconds: stoppedTimeSeconds,
+      movingDurationString: StatisticsCalculator.getDurationString(movingTimeSeconds),
+      stoppedDurationString: StatisticsCalculator.getDurationString(stoppedTimeSeconds),
+      stops: stops,
+    };
+  }
+
+  /**
+   * Detects the time spent stopped on a timestamped route. The time between two points counts as stopped if
+   * - the speed between them is below 'stopSpeedKmh' (e.g. standing around, or a recording paused mid-track),
+   * - the athlete stayed within 'stopRadiusMeters' of one spot for at least 'stopMinDurationSeconds'
+   *   (GPS drift while standing still would otherwise look like slow movement), or
+   * - they are the gap between two track segments.
+   * Consecutive stopped time of at least 'stopMinDurationSeconds' is reported as a stop.
+   * @param {Array<object>} perPointData - The rich per-point data from calculate, with timestamps.
+   * @returns {object} { stops, stoppedFlags, stoppedTimeSeconds }. Each stop is { startIndex, endIndex, startTime,
+   *   endTime, durationSeconds, lat, lon, cumulativeDistance }; `stoppedFlags[i]` tells whether the time between
+   *   point i-1 and point i was spent stopped.
+   */
+  static detectStops(perPointData) {
+    const stopSpeedKmh = SettingsManager.get('stopSpeedKmh');
+    const stopRadiusMeters = SettingsManager.get('stopRadiusMeters');
+    const minStopSeconds = SettingsManager.get('stopMinDurationSeconds');
+    const secondsBetween = (i, j) => (perPointData[j].time.getTime() - perPointData[i].time.getTime()) / 1000;
+    const isSegmentGap = (i) => perPointData[i - 1].segmentIndex !== perPointData[i].segmentIndex;
+    const stoppedFlags = perPointData.map(() => false);
+
+    // 1. Slow movement and gaps between track segments
+    for (let i = 1; i < perPointData.length; i++) {
+      const seconds = secondsBetween(i - 1, i);
+      if (seconds <= 0) continue;
+      const distanceKm = (perPointData[i].cumulativeDistance - perPointData[i - 1].cumulativeDistance) / 1000;
+      if (isSegmentGap(i) || distanceKm / (seconds / 3600) < stopSpeedKmh) {
+        stoppedFlags[i] = true;
+      }
+    }
+
+    // 2. Staying within the radius of an anchor point for long enough
+    let anchor = 0;
+    while (anchor < perPointData.length - 1) {
+      let last = anchor;
+      while (last + 1 < perPointData.length && !isSegmentGap(last + 1)
+        && this._distanceMeters(perPointData[anchor], perPointData[last + 1]) <= stopRadiusMeters) {
+        last++;
+      }
+      if (last > anchor && secondsBetween(anchor, last) >= minStopSeconds) {
+        for (let i = anchor + 1; i <= last; i++) stoppedFlags[i] = true;
+        anchor = last;
+      } else {
+        anchor++;
+      }
+    }
+
+    // 3. Sum the stopped time and collect the stops
+    const stops = [];
+    let stoppedTimeSeconds = 0;
+    let runStart = null; // Index of the point where the current run of stopped time began
+    for (let i = 1; i <= perPointData.length; i++) {
+      if (i < perPointData.length && stoppedFlags[i]) {
+        stoppedTimeSeconds += Math.max(0, secondsBetween(i - 1, i));
+        if (runStart === null) runStart = i - 1;
+        continue;
+      }
+      if (runStart !== null) {
+        const runEnd = i - 1;
+        const durationSeconds = secondsBetween(runStart, runEnd);
+        if (durationSeconds >= minStopSeconds) {
+          const startPoint = perPointData[runStart];
+          stops.push({
+            startIndex: runStart,
+            endIndex: runEnd,
+            startTime: startPoint.time,
+            endTime: perPointData[runEnd].time,
+            durationSeconds,
+            lat: startPoint.lat,
+            lon: startPoint.lon,
+            cumulativeDistance: startPoint.cumulativeDistance,
+          });
+        }
+        runStart = null;
+      }
+    }
+
+    return { stops, stoppedFlags, stoppedTimeSeconds };
+  }
+
+  /**
+   * Splits a route into fixed-distance intervals (e.g. every kilometre) and summarizes each of them.
+   * Values at the split boundaries are interpolated between the neighbouring points.
+   * @param {Array<object>} perPointData - The analysed points, with cumulativeDistance, cumulativeElevationGain/Loss,
+   *   smoothedEle and, if available, time (actual) and projectedTime (planned, see PerformancePlanner).
+   * @param {number} intervalKm - The length of a split in km. The last split may be shorter.
+   * @returns {Array<object>} The splits { index, startDistance, endDistance, distance (m), ascent, descent (m),
+   *   averageGrade (%), actualSeconds, plannedSeconds, actualPace, plannedPace (s/km) }. Times and paces are
+   *   null when the points have no actual or planned times.
+   */
+  static calculateSplits(perPointData, intervalKm) {
+    if (!perPointData || perPointData.length < 2 || !(intervalKm > 0)) {
+      return [];
+    }
+
+    const intervalMeters = intervalKm * 1000;
+    const totalDistance = perPointData[perPointData.length - 1].cumulativeDistance;
+    const hasActualTimes = perPointData.every(p => p.time);
+    const hasPlannedTimes = perPointData.every(p => typeof p.projectedTime === 'number');
+
+    // The split boundaries are located in a single walk along the points: the index of the first point at or
+    // beyond the distance, moving forward from the previous boundary.
+    let pointIndex = 0;
+    const locate = (distance) => {
+      while (pointIndex > 0 && perPointData[pointIndex - 1].cumulativeDistance >= distance) pointIndex--;
+      while (pointIndex < perPointData.length && perPointData[pointIndex].cumulativeDistance < distance) pointIndex++;
+      return { distance, index: pointIndex };
+    };
+    const valueAt = ({ distance, index }, getValue) => {
+      if (index === perPointData.length) return getValue(perPointData[perPointData.length - 1]);
+      if (index === 0) return getValue(perPointData[0]);
+      const p1 = perPointData[index - 1];
+      const p2 = perPointData[index];
+      const span = p2.cumulativeDistance - p1.cumulativeDistance;
+      const fraction = span > 0 ? (distance - p1.cumulativeDistance) / span : 0;
+      return getValue(p1) + (getValue(p2) - getValue(p1)) * fraction;
     };
+    const elevationOf = p => (p.smoothedEle !== undefined ? p.smoothedEle : (p.ele || 0));
+
+    const splits = [];
+    for (let index = 0; index * intervalMeters < totalDistance - 1; index++) { // Skip a last split shorter than 1 m
+      const startDistance = index * intervalMeters;
+      const endDistance = Math.min(startDistance + intervalMeters, totalDistance);
+      const distance = endDistance - startDistance;
+      const start = locate(startDistance);
+      const end = locate(endDistance);
+      const difference = (getValue) => valueAt(end, getValue) - valueAt(start, getValue);
+
+      const actualSeconds = hasActualTimes ? difference(p => p.time.getTime()) / 1000 : null;
+      // The planned time of a split doesn't include the night of an overnight stop within it.
+      const plannedSeconds = hasPlannedTimes ? difference(p => p.projectedTime - (p.plannedOvernightTime || 0)) : null;
+      splits.push({
+        index,
+        startDistance,
+        endDistance,
+        distance,
+        ascent: difference(p => p.cumulativeElevationGain),
+        descent: difference(p => p.cumulativeElevationLoss || 0),
+        averageGrade: (difference(elevationOf) / distance) * 100,
+        actualSeconds,
+        plannedSeconds,
+        actualPace: actualSeconds !== null ? actualSeconds / (distance / 1000) : null,
+        plannedPace: plannedSeconds !== null ? plannedSeconds / (distance / 1000) : null,
+      });
+    }
+    return splits;
+  }
+
+  /**
+   * Approximates the distance between two nearby points (equirectangular projection).
+   * @param {object} p1 - A point with lat and lon.
+   * @param {object} p2 - A point with lat and lon.
+   * @returns {number} The distance in meters.
+   * @private
+   */
+  static _distanceMeters(p1, p2) {
+    const dx = (p2.lon - p1.lon) * Math.cos(((p1.lat + p2.lat) / 2) * Math.PI / 180);
+    const dy = p2.lat - p1.lat;
+    return Math.sqrt(dx * dx + dy * dy) * METERS_PER_DEGREE;
+  }
+
+  /**
+   * Summarizes the sensor channels (heart rate, cadence, temperature, power) of a route.
+   * Averages are time-weighted when timestamps are available, so that pauses with dense
+   * recording don't skew them.
+   * @param {Array<object>} perPointData - The rich per-point data from calculate.
+   * @param {number} maxHeartRate - The athlete's maximum heart rate in bpm, used for the heart rate zones.
+   * @returns {object|null} Per-channel { avg, max } summaries plus `heartRateZones` (seconds per zone),
+   * or null if the route has no sensor data.
+   */
+  static analyzeSensors(perPointData, maxHeartRate) {
+    if (!perPointData || perPointData.length === 0) {
+      return null;
+    }
+
+    const hasTimestamps = perPointData.every(p => p.time);
+    const summary = {};
+
+    SENSOR_CHANNELS.forEach(channel => {
+      let weightedSum = 0;
+      let totalWeight = 0;
+      let max = -Infinity;
+
+      perPointData.forEach((point, i) => {
+        const value = point[channel];
+        if (typeof value !== 'number') return;
+        // Weight each reading by the time until the next point (or 1 without timestamps).
+        let weight = 1;
+        if (hasTimestamps) {
+          const next = perPointData[i + 1];
+          weight = next ? Math.max(0, (next.time.getTime() - point.time.getTime()) / 1000) : 0;
+        }
+        weightedSum += value * weight;
+        totalWeight += weight;
+        max = Math.max(max, value);
+      });
+
+      if (max > -Infinity) {
+        summary[channel] = {
+          avg: totalWeight > 0 ? weightedSum / totalWeight : max,
+          max,
+        };
+      }
+    });
+
+    if (Object.keys(summary).length === 0) {
+      return null;
+    }
+
+    if (summary.hr && hasTimestamps && maxHeartRate > 0) {
+      summary.heartRateZones = HEART_RATE_ZONES.map(() => 0);
+      for (let i = 0; i < perPointData.length - 1; i++) {
+        const hr = perPointData[i].hr;
+        if (typeof hr !== 'number') continue;
+        const seconds = (perPointData[i + 1].time.getTime() - perPointData[i].time.getTime()) / 1000;
+        if (seconds <= 0) continue;
+        const percentOfMax = hr / maxHeartRate;
+        // The zones are defined by their lower bound; anything below zone 1 counts as zone 1.
+        let zoneIndex = 0;
+        HEART_RATE_ZONES.forEach((lowerBound, index) => {
+          if (percentOfMax >= lowerBound) zoneIndex = index;
+        });
+        summary.heartRateZones[zoneIndex] += seconds;
+      }
+    }
+
+    logger.info('Sensor summary:', summary);
+    return summary;
+  }
+
+  /**
+   * Maps the current EMA values of the sensor channels to their per-point property names.
+   * @param {object} emaSensors - The smoothed values keyed by channel.
+   * @returns {object} E.g. { actualSmoothedHr: 142.3, actualSmoothedCad: 84.9 }.
+   * @private
+   */
+  static _getSmoothedSensorValues(emaSensors) {
+    const smoothedValues = {};
+    Object.entries(emaSensors).forEach(([channel, value]) => {
+      smoothedValues[`actualSmoothed${channel.charAt(0).toUpperCase()}${channel.slice(1)}`] = value;
+    });
+    return smoothedValues;
   }
 
   static getDurationString(totalSeconds) {
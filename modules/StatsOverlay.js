@@ -116,6 +116,7 @@ class StatsOverlay {
     metrics[0].innerHTML = (stats.totalDistance !== undefined) ? `↔️ ${stats.totalDistance}<span class="unit-label"> km</span>` : '';
     metrics[1].innerHTML = (stats.totalElevationGain !== undefined) ? `▲ ${parseFloat(stats.totalElevationGain).toFixed(0)}<span class="unit-label"> m</span>` : '';
     metrics[2].innerHTML = (stats.totalCalories !== undefined) ? `🔥 ${stats.totalCalories}<span class="unit-label"> KCAL</span>` : '';
+    metrics[2].title = stats.energyModelLabel ? `Estimated with the ${stats.energyModelLabel} energy model` : '';
     metrics[3].innerHTML = (stats.totalKmEffort !== undefined) ? `👟 ${stats.totalKmEffort}` : '';
     
     let contentHtml = '';
@@ -132,9 +133,55 @@ class StatsOverlay {
         contentHtml += '</div>';
     }
 
+    // Line 1b: Moving time (without stops) and moving averages
+    if (stats.movingDurationString && stats.stops) {
+        contentHtml += '<div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px 10px; align-items: center; margin-bottom: 4px;">';
+        contentHtml += `<span>Moving: ${stats.movingDurationString}</span>`;
+        contentHtml += `<span style="text-align: center;">💨 ${stats.movingAverageSpeed} km/h</span>`;
+        contentHtml += `<span style="text-align: center;">📈 ${parseFloat(stats.movingAverageAscentRate).toFixed(0)} m/h</span>`;
+        contentHtml += `<span style="text-align: center;">⏸️ ${stats.stoppedDurationString} (${stats.stops.length})</span>`;
+        contentHtml += '</div>';
+    }
+
+    // Elevation: descent, range and steepest grades
+    if (stats.totalElevationLoss !== undefined) {
+        contentHtml += '<div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px 10px; align-items: center; margin-bottom: 4px;">';
+        contentHtml += `<span>▼ ${parseFloat(stats.totalElevationLoss).toFixed(0)}<span class="unit-label"> m</span></span>`;
+        contentHtml += `<span style="text-align: center;">⛰️ ${stats.minElevation}–${stats.maxElevation}<span class="unit-label"> m</span></span>`;
+        contentHtml += `<span style="text-align: center;">↗ ${stats.maxGrade}<span class="unit-label"> %</span></span>`;
+        contentHtml += `<span style="text-align: center;">↘ ${stats.maxDescentGrade}<span class="unit-label"> %</span></span>`;
+        contentHtml += '</div>';
+    }
+
     // Line 2: Plan time
     if (stats.totalPlannedTime) {
-        contentHtml += `<div><span>Plan: ${this._formatTime(stats.totalPlannedTime)}</span></div>`;
+        const stagesText = stats.plannedStageCount > 1 ? ` in ${stats.plannedStageCount} stages` : '';
+        contentHtml += `<div><span>Plan: ${this._formatTime(stats.totalPlannedTime)}${stagesText}</span></div>`;
+    }
+
+    // Finish-time range from the Monte-Carlo runs
+    if (stats.finishTimes) {
+        const { p10, p50, p90 } = stats.finishTimes;
+        contentHtml += `<div><span title="10% of the ${stats.finishTimes.runs} simulated runs finish faster than P10, 90% faster than P90">Likely: ${this._formatTime(p10)} – ${this._formatTime(p90)} (P50 ${this._formatTime(p50)})</span></div>`;
+    }
+
+    // Tightest planned margin against the checkpoint cut-offs
+    if (stats.tightestCheckpoint) {
+        const { name, marginSec } = stats.tightestCheckpoint;
+        const color = marginSec >= 0 ? '#4CAF50' : '#ff5252';
+        contentHtml += `<div><span>Cut-offs: <span style="color: ${color};">${marginSec >= 0 ? '+' : '−'}${this._formatTime(Math.abs(marginSec))}</span> at ${this._escapeHtml(name)}</span></div>`;
+    }
+
+    // Planned water, and the stretches without enough of it
+    if (stats.hydration) {
+        const { totalWaterMl, dryStretches } = stats.hydration;
+        const dryText = dryStretches.length > 0 ? ` <span style="color: #ff5252;">(${dryStretches.length} dry stretch${dryStretches.length > 1 ? 'es' : ''})</span>` : '';
+        contentHtml += `<div><span>Water: ${(totalWaterMl / 1000).toFixed(1)} L${dryText}</span></div>`;
+    }
+
+    // Line 3+: Sensor summaries (heart rate, cadence, power, temperature)
+    if (stats.sensorSummary) {
+        contentHtml += this._getSensorSummaryHtml(stats.sensorSummary);
     }
     
 
@@ -184,7 +231,7 @@ class StatsOverlay {
       }
       contentHtml += `
         <tr>
-          <td style="text-align: left;">Plan</td>
+          <td style="text-align: left;">Plan<span class="unit-label"> (${liveStats.paceModel})</span></td>
           <td style="text-align: right;">${liveStats.plannedSpeed}</td>
           <td style="text-align: right;">${liveStats.plannedVSpeed}</td>
           <td style="text-align: right;">${liveStats.plannedKmEffortRate}</td>
@@ -192,10 +239,91 @@ class StatsOverlay {
       `;
     }
     contentHtml += '</tbody></table>';
+
+    // Live sensor values, only for tracks that recorded them
+    if (liveStats) {
+        const sensorValues = [];
+        if (liveStats.heartRate !== undefined) sensorValues.push(`<span>❤️ ${liveStats.heartRate}<span class="unit-label"> bpm</span></span>`);
+        if (liveStats.cadence !== undefined) sensorValues.push(`<span>🔄 ${liveStats.cadence}<span class="unit-label"> rpm</span></span>`);
+        if (liveStats.power !== undefined) sensorValues.push(`<span>⚡ ${liveStats.power}<span class="unit-label"> W</span></span>`);
+        if (liveStats.temperature !== undefined) sensorValues.push(`<span>🌡️ ${liveStats.temperature}<span class="unit-label"> °C</span></span>`);
+        if (sensorValues.length > 0) {
+            contentHtml += `<div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px 10px; font-size: 12px;">${sensorValues.join('')}</div>`;
+        }
+    }
+
+    // The next race checkpoint, and whether the replay is on pace for its cut-off
+    if (liveStats && liveStats.checkpoint) {
+        contentHtml += this._getCheckpointHtml(liveStats.checkpoint);
+    }
     
     this.replayStatsSection.content.innerHTML = contentHtml;
   }
+
+  /**
+   * Builds the route stats lines for the recorded sensor channels.
+   * @param {object} sensorSummary - The summary from StatisticsCalculator.analyzeSensors.
+   * @returns {string} The HTML for the sensor lines.
+   * @private
+   */
+  _getSensorSummaryHtml(sensorSummary) {
+    let html = '<div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px 10px; align-items: center; margin-top: 4px;">';
+    if (sensorSummary.hr) {
+        html += `<span>❤️ ${sensorSummary.hr.avg.toFixed(0)} / ${sensorSummary.hr.max.toFixed(0)}<span class="unit-label"> bpm</span></span>`;
+    }
+    if (sensorSummary.cad) {
+        html += `<span style="text-align: center;">🔄 ${sensorSummary.cad.avg.toFixed(0)}<span class="unit-label"> rpm</span></span>`;
+    }
+    if (sensorSummary.power) {
+        html += `<span style="text-align: center;">⚡ ${sensorSummary.power.avg.toFixed(0)} / ${sensorSummary.power.max.toFixed(0)}<span class="unit-label"> W</span></span>`;
+    }
+    if (sensorSummary.atemp) {
+        html += `<span style="text-align: center;">🌡️ ${sensorSummary.atemp.avg.toFixed(1)}<span class="unit-label"> °C</span></span>`;
+    }
+    html += '</div>';
+
+    // Time in heart rate zones, as a compact Z1..Z5 row
+    if (sensorSummary.heartRateZones) {
+        const totalSeconds = sensorSummary.heartRateZones.reduce((sum, seconds) => sum + seconds, 0);
+        html += '<div style="display: grid; grid-template-columns: repeat(5, 1fr); gap: 4px 6px; font-size: 12px; margin-top: 4px;">';
+        sensorSummary.heartRateZones.forEach((seconds, index) => {
+            const percentage = totalSeconds > 0 ? (seconds / totalSeconds) * 100 : 0;
+            html += `<span title="${percentage.toFixed(0)}%">Z${index + 1} ${this._formatTime(seconds)}</span>`;
+        });
+        html += '</div>';
+    }
+    return html;
+  }
   
+  /**
+   * Builds the replay line of the next checkpoint: its projected arrival and the margin against its cut-off.
+   * @param {object} status - The status from PerformancePlanner.getCheckpointStatus.
+   * @returns {string} The HTML for the checkpoint line.
+   * @private
+   */
+  _getCheckpointHtml(status) {
+    const { checkpoint, projectedArrivalSec, marginSec } = status;
+    let html = '<div style="display: flex; justify-content: space-between; gap: 8px; font-size: 12px; margin-top: 4px;">';
+    html += `<span>🏁 ${this._escapeHtml(checkpoint.name)}<span class="unit-label"> ${(checkpoint.distance / 1000).toFixed(1)} km</span></span>`;
+    html += `<span>ETA ${this._formatTime(projectedArrivalSec)}</span>`;
+    if (marginSec !== null) {
+        const isOnPace = marginSec >= 0;
+        html += `<span style="color: ${isOnPace ? '#4CAF50' : '#ff5252'};">${isOnPace ? '✅ On pace' : '⚠️ Behind pace'} ${isOnPace ? '+' : '−'}${this._formatTime(Math.abs(marginSec))}</span>`;
+    }
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Escapes text for use in HTML, e.g. the user-defined checkpoint names.
+   * @param {string} text - The text.
+   * @returns {string} The escaped text.
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
   _formatTime(totalSeconds) {
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.floor((totalSeconds % 3600) / 60);
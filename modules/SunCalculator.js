@@ -0,0 +1,80 @@
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588; // Julian day of the Unix epoch
+const J2000 = 2451545; // Julian day of the J2000.0 epoch
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the ecliptic
+const J0 = 0.0009;
+
+// Sun altitudes (degrees) of the events: sunrise/sunset account for refraction and the sun's radius,
+// dawn/dusk are the limits of civil twilight.
+const SUNRISE_ALTITUDE = -0.833;
+const CIVIL_TWILIGHT_ALTITUDE = -6;
+
+/**
+ * Computes sunrise, sunset and civil twilight for a place and day, with the usual low-precision solar
+ * position formulas (accurate to about a minute outside the polar regions).
+ * "Dark" means outside civil twilight: before dawn or after dusk, when a headlamp is needed.
+ */
+class SunCalculator {
+  /**
+   * Returns the sun times of the solar day nearest to a moment.
+   * @param {Date} date - The moment; its nearest solar noon at the place picks the day.
+   * @param {number} lat - The latitude in degrees.
+   * @param {number} lon - The longitude in degrees.
+   * @returns {object} { solarNoon, sunrise, sunset, dawn, dusk } as Dates. In the polar day or night the rise
+   *   and set times that don't happen are null, and `polar` is 'day' or 'night' (null elsewhere).
+   */
+  static getTimes(date, lat, lon) {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const days = date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+
+    const meanAnomaly = RAD * (357.5291 + 0.98560028 * approxNoon);
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const eclipticLongitude = meanAnomaly + center + RAD * 102.9372 + Math.PI;
+    const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude));
+    const transit = (ds) => J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const noon = transit(approxNoon);
+
+    const times = { solarNoon: this._fromJulian(noon), sunrise: null, sunset: null, dawn: null, dusk: null, polar: null };
+    [[SUNRISE_ALTITUDE, 'sunrise', 'sunset'], [CIVIL_TWILIGHT_ALTITUDE, 'dawn', 'dusk']].forEach(([altitude, riseKey, setKey]) => {
+      const cosHourAngle = (Math.sin(RAD * altitude) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+      if (cosHourAngle < -1 || cosHourAngle > 1) {
+        // The sun stays above (or below) this altitude all day; civil twilight decides between polar day and night.
+        if (riseKey === 'dawn') times.polar = cosHourAngle < -1 ? 'day' : 'night';
+        return;
+      }
+      const set = transit(J0 + (Math.acos(cosHourAngle) + lw) / (2 * Math.PI) + cycle);
+      times[setKey] = this._fromJulian(set);
+      times[riseKey] = this._fromJulian(noon - (set - noon));
+    });
+    return times;
+  }
+
+  /**
+   * Tells whether it is dark (outside civil twilight) at a moment and place.
+   * @param {Date} date - The moment.
+   * @param {number} lat - The latitude in degrees.
+   * @param {number} lon - The longitude in degrees.
+   * @returns {boolean} True before dawn, after dusk or in the polar night.
+   */
+  static isDark(date, lat, lon) {
+    const { dawn, dusk, polar } = this.getTimes(date, lat, lon);
+    if (polar) return polar === 'night';
+    return date < dawn || date > dusk;
+  }
+
+  /**
+   * Converts a Julian day to a Date.
+   * @param {number} julianDay - The Julian day.
+   * @returns {Date} The date.
+   * @private
+   */
+  static _fromJulian(julianDay) {
+    return new Date((julianDay + 0.5 - J1970) * DAY_MS);
+  }
+}
+
+export default SunCalculator;
@@ -0,0 +1,129 @@
+import logger from './Logger.js';
+
+// Watches start a new `<Track>` at every lap and whenever the timer is stopped; only a stop of at least this long
+// starts a new segment.
+const PAUSE_SPLIT_SECONDS = 30 * 60;
+
+/**
+ * Imports Garmin Training Center (TCX) files, as exported by most sports watches.
+ * The `<Track>`s of an activity or course are merged into one segment, split where the recording was paused
+ * (see PAUSE_SPLIT_SECONDS), and course points become waypoints.
+ */
+class TcxImporter {
+  /**
+   * Parses a TCX document into segments and waypoints.
+   * @param {string} tcxString - The TCX content as text.
+   * @returns {object} The imported data { name, segments: [{ name, points }], waypoints }.
+   */
+  static parse(tcxString) {
+    const xml = new DOMParser().parseFromString(tcxString, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The TCX file is not valid XML.');
+    }
+
+    // Courses are named; activities are only identified by their start time, so the file name is used instead.
+    const nameElement = xml.querySelector('Course > Name');
+    const name = nameElement ? nameElement.textContent.trim() : null;
+
+    const segments = [];
+    const containers = [...xml.getElementsByTagName('Activity'), ...xml.getElementsByTagName('Course')];
+    (containers.length > 0 ? containers : [xml.documentElement]).forEach(container => {
+      let points = [];
+      Array.from(container.getElementsByTagName('Track')).forEach(trackElement => {
+        const trackPoints = Array.from(trackElement.getElementsByTagName('Trackpoint'))
+          .map(trackpoint => this._parseTrackpoint(trackpoint))
+          .filter(p => p !== null);
+        if (trackPoints.length === 0) return;
+        if (points.length > 0 && this._isPause(points[points.length - 1], trackPoints[0])) {
+          segments.push({ name: `${name || 'Track'} (${segments.length + 1})`, points });
+          points = [];
+        }
+        points.push(...trackPoints);
+      });
+      if (points.length > 0) {
+        segments.push({ name: `${name || 'Track'} (${segments.length + 1})`, points });
+      }
+    });
+
+    const waypoints = Array.from(xml.getElementsByTagName('CoursePoint')).map(coursePoint => ({
+      name: this._getChildText(coursePoint, 'Name') || 'Course Point',
+      lat: parseFloat(this._getChildText(coursePoint, 'LatitudeDegrees')),
+      lon: parseFloat(this._getChildText(coursePoint, 'LongitudeDegrees')),
+      ele: this._parseOptionalFloat(this._getChildText(coursePoint, 'AltitudeMeters')),
+    })).filter(wpt => !isNaN(wpt.lat) && !isNaN(wpt.lon));
+
+    logger.info(`TCX import: ${segments.length} track(s), ${waypoints.length} course point(s).`);
+    return { name, segments, waypoints };
+  }
+
+  /**
+   * Checks whether the recording was paused between the end of one track and the start of the next.
+   * @param {object} lastPoint - The last point of the previous track.
+   * @param {object} firstPoint - The first point of the next track.
+   * @returns {boolean} True if both are timed and at least PAUSE_SPLIT_SECONDS apart.
+   * @private
+   */
+  static _isPause(lastPoint, firstPoint) {
+    if (!lastPoint.time || !firstPoint.time) return false;
+    return (firstPoint.time.getTime() - lastPoint.time.getTime()) / 1000 >= PAUSE_SPLIT_SECONDS;
+  }
+
+  /**
+   * Converts a `<Trackpoint>` element into a point. Trackpoints without a position
+   * (e.g. recorded indoors or before GPS lock) are skipped.
+   * @param {Element} trackpoint - The `<Trackpoint>` element.
+   * @returns {object|null} A point with lon, lat, ele, time, and optional sensor properties, or null.
+   * @private
+   */
+  static _parseTrackpoint(trackpoint) {
+    const lat = parseFloat(this._getChildText(trackpoint, 'LatitudeDegrees'));
+    const lon = parseFloat(this._getChildText(trackpoint, 'LongitudeDegrees'));
+    if (isNaN(lat) || isNaN(lon)) {
+      return null;
+    }
+
+    const timeText = this._getChildText(trackpoint, 'Time');
+    const point = {
+      lon,
+      lat,
+      ele: this._parseOptionalFloat(this._getChildText(trackpoint, 'AltitudeMeters')),
+      time: timeText ? new Date(timeText) : null,
+    };
+
+    // Sensor channels, named like the GPX TrackPointExtension data (see TrackSegmenter).
+    const sensorValues = {
+      hr: this._parseOptionalFloat(this._getChildText(trackpoint, 'Value')), // <HeartRateBpm><Value>
+      cad: this._parseOptionalFloat(this._getChildText(trackpoint, 'Cadence')),
+      power: this._parseOptionalFloat(this._getChildText(trackpoint, 'Watts')), // <Extensions><TPX><Watts>
+    };
+    Object.entries(sensorValues).forEach(([channel, value]) => {
+      if (value !== null) point[channel] = value;
+    });
+    return point;
+  }
+
+  /**
+   * Returns the text of the first descendant element with the given tag name.
+   * @param {Element} element - The parent element.
+   * @param {string} tagName - The tag name to look for.
+   * @returns {string|null} The trimmed text content, or null if not found.
+   * @private
+   */
+  static _getChildText(element, tagName) {
+    const child = element.getElementsByTagNameNS('*', tagName)[0];
+    return child ? child.textContent.trim() : null;
+  }
+
+  /**
+   * Parses an optional numeric value.
+   * @param {string|null} text - The text to parse.
+   * @returns {number|null} The parsed number, or null if missing or invalid.
+   * @private
+   */
+  static _parseOptionalFloat(text) {
+    const value = parseFloat(text);
+    return isNaN(value) ? null : value;
+  }
+}
+
+export default TcxImporter;
@@ -21,6 +21,7 @@ class TourController {
     logger.info('prepareTour called');
     
     const { perPointData, startTime, stopTime } = planProfile;
+    const skippedGaps = planProfile.skippedGaps || [];
     const points = perPointData;
     const hasNativeTimestamps = points.length > 0 && points[0].time;
 
@@ -31,14 +32,14 @@ class TourController {
     }
 
     const personPositionProperty = new Cesium.SampledPositionProperty();
-    const syntheticBaseTime = Cesium.JulianDate.fromIso8601("2025-01-01T00:00:00Z");
 
     points.forEach(p => {
       let julianDate;
       if (hasNativeTimestamps) {
         julianDate = Cesium.JulianDate.fromDate(p.time);
       } else {
-        julianDate = Cesium.JulianDate.addSeconds(syntheticBaseTime, p.projectedTime, new Cesium.JulianDate());
+        // Synthetic routes are played at their planned times, so that the sky lighting follows the planned start.
+        julianDate = Cesium.JulianDate.addSeconds(startTime, p.projectedTime, new Cesium.JulianDate());
       }
       
       const personCartesian = Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.ele);
@@ -49,7 +50,10 @@ class TourController {
     this.viewer.clock.startTime = startTime.clone();
     this.viewer.clock.stopTime = stopTime.clone();
     this.viewer.clock.currentTime = startTime.clone();
-    this.speedController.calculateAndSetDefault(startTime, stopTime, 90); // Calculate and set default speed
+    // The default speed plays the route in 90 seconds, not counting the overnight gaps that are skipped.
+    const skippedSeconds = skippedGaps.reduce((sum, gap) => sum + Cesium.JulianDate.secondsDifference(gap.stopTime, gap.startTime), 0);
+    const playedStopTime = Cesium.JulianDate.addSeconds(stopTime, -skippedSeconds, new Cesium.JulianDate());
+    this.speedController.calculateAndSetDefault(startTime, playedStopTime, 90); // Calculate and set default speed
     this.speedController.setRelativeSpeed(this.speedController.currentRelativeSpeed); // Apply current relative speed and direction
     this.viewer.clock.clockRange = Cesium.ClockRange.CLAMPED; // Stops at end
     this.viewer.clock.shouldAnimate = false; // Start paused
@@ -68,11 +72,13 @@ class TourController {
       personPositionProperty: personPositionProperty,
       startTime: startTime,
       stopTime: stopTime,
+      skippedGaps: skippedGaps,
     };
 
     // Add a listener to update the UI on each tick
     const onTickListener = () => {
       if (!this.tour) return;
+      this._skipGaps();
       const totalDuration = Cesium.JulianDate.secondsDifference(this.tour.stopTime, this.tour.startTime);
       const elapsedTime = Cesium.JulianDate.secondsDifference(this.viewer.clock.currentTime, this.tour.startTime);
       const percentage = Math.min(elapsedTime / totalDuration, 1.0);
@@ -85,6 +91,19 @@ class TourController {
     this.uiTickListener = () => this.viewer.clock.onTick.removeEventListener(onTickListener);
   }
 
+  /**
+   * Moves the clock out of an overnight gap, to its end when playing forward and to its start when rewinding,
+   * so that neither playback nor seeking, even while paused, stops in the night.
+   * @private
+   */
+  _skipGaps() {
+    const currentTime = this.viewer.clock.currentTime;
+    const gap = this.tour.skippedGaps.find(g =>
+      Cesium.JulianDate.greaterThan(currentTime, g.startTime) && Cesium.JulianDate.lessThan(currentTime, g.stopTime));
+    if (!gap) return;
+    this.viewer.clock.currentTime = (this.viewer.clock.multiplier >= 0 ? gap.stopTime : gap.startTime).clone();
+  }
+
   /**
    * Updates the visual state of dynamic entities based on UI controls.
    */
@@ -172,7 +191,8 @@ class TourController {
       const totalDuration = Cesium.JulianDate.secondsDifference(this.tour.stopTime, this.tour.startTime);
       const newTime = Cesium.JulianDate.addSeconds(this.tour.startTime, totalDuration * percentage, new Cesium.JulianDate());
       this.viewer.clock.currentTime = newTime;
-      return newTime;
+      this._skipGaps();
+      return this.viewer.clock.currentTime.clone();
     }
     return null;
   }
@@ -0,0 +1,193 @@
+import logger from './Logger.js';
+
+// Sensor channels read from the `<extensions>` of a track point, keyed by the point property they are
+// stored in. The values are the local tag names used by the Garmin TrackPointExtension (hr, cad, atemp)
+// and the common power extensions (Strava-style <power>, Garmin PowerExtension <PowerInWatts>).
+const SENSOR_TAGS = {
+  hr: ['hr'],
+  cad: ['cad'],
+  atemp: ['atemp'],
+  power: ['power', 'PowerInWatts'],
+};
+
+/**
+ * A utility class for splitting parsed GPX data into its individual tracks and track segments.
+ * `gpxParser` flattens every `<trkseg>` of a `<trk>` into a single point array, so the segment
+ * boundaries are recovered from the parser's underlying XML document.
+ */
+class TrackSegmenter {
+  /**
+   * Extracts every track segment from a parsed GPX object.
+   * Each point is tagged with the `trackIndex` and global `segmentIndex` it belongs to, and carries
+   * the sensor channels (hr, cad, atemp, power) found in its `<extensions>`, as well as the serialized
+   * extensions themselves (`extensionsXml`), so GpxGenerator can write them back unchanged.
+   * @param {object} gpx - The parsed GPX data from gpxParser.
+   * @returns {Array<object>} An array of segments, each with { name, trackIndex, segmentIndex, points }.
+   */
+  static fromGpx(gpx) {
+    const segments = [];
+    const trackElements = gpx.xmlSource ? Array.from(gpx.xmlSource.querySelectorAll('trk')) : [];
+
+    gpx.tracks.forEach((track, trackIndex) => {
+      const trackName = track.name || `Track ${trackIndex + 1}`;
+      let segmentSizes = [];
+      let pointElements = [];
+      if (trackElements[trackIndex]) {
+        segmentSizes = Array.from(trackElements[trackIndex].querySelectorAll('trkseg'))
+          .map(segmentElement => segmentElement.querySelectorAll('trkpt').length);
+        pointElements = Array.from(trackElements[trackIndex].querySelectorAll('trkpt'));
+      }
+
+      // Fall back to a single segment if the XML structure doesn't match the parsed points.
+      const segmentTotal = segmentSizes.reduce((sum, size) => sum + size, 0);
+      if (segmentSizes.length === 0 || segmentTotal !== track.points.length) {
+        segmentSizes = [track.points.length];
+      }
+      if (pointElements.length !== track.points.length) {
+        pointElements = [];
+      }
+
+      const nonEmptySegmentCount = segmentSizes.filter(size => size > 0).length;
+      let offset = 0;
+      let segmentNumber = 0;
+
+      segmentSizes.forEach(size => {
+        if (size === 0) return;
+        segmentNumber++;
+        const segmentIndex = segments.length;
+        const points = track.points.slice(offset, offset + size).map((p, i) => ({
+          lon: p.lon,
+          lat: p.lat,
+          ele: p.ele,
+          time: p.time,
+          ...this._readSensorData(pointElements[offset + i]),
+          trackIndex,
+          segmentIndex,
+        }));
+        offset += size;
+
+        segments.push({
+          name: nonEmptySegmentCount > 1 ? `${trackName} (${segmentNumber}/${nonEmptySegmentCount})` : trackName,
+          trackIndex,
+          segmentIndex,
+          points,
+        });
+      });
+    });
+
+    logger.info(`Extracted ${segments.length} segment(s) from ${gpx.tracks.length} track(s).`);
+    return segments;
+  }
+
+  /**
+   * Reads the sensor channels from the `<extensions>` of a `<trkpt>` element.
+   * @param {Element} [pointElement] - The `<trkpt>` element, if available.
+   * @returns {object} The channels present on the point, e.g. { hr: 142, cad: 85, extensionsXml: '...' }.
+   * @private
+   */
+  static _readSensorData(pointElement) {
+    const sensorData = {};
+    const extensions = pointElement ? pointElement.getElementsByTagNameNS('*', 'extensions')[0] : null;
+    if (!extensions) {
+      return sensorData;
+    }
+
+    const serializer = new XMLSerializer();
+    const extensionsXml = Array.from(extensions.children).map(child => serializer.serializeToString(child)).join('');
+    if (extensionsXml) {
+      sensorData.extensionsXml = extensionsXml;
+    }
+
+    Object.entries(SENSOR_TAGS).forEach(([channel, tagNames]) => {
+      for (const tagName of tagNames) {
+        const element = extensions.getElementsByTagNameNS('*', tagName)[0];
+        const value = element ? parseFloat(element.textContent) : NaN;
+        if (!isNaN(value)) {
+          sensorData[channel] = value;
+          break;
+        }
+      }
+    });
+    return sensorData;
+  }
+
+  /**
+   * Extracts every route (`<rte>`) from a parsed GPX object as a segment, so that route-only
+   * files can be played like tracks. Route points carry no timestamps.
+   * @param {object} gpx - The parsed GPX data from gpxParser.
+   * @returns {Array<object>} An array of segments, each with { name, trackIndex, segmentIndex, points, isRoute }.
+   */
+  static fromRoutes(gpx) {
+    const segments = [];
+
+    gpx.routes.forEach((route, routeIndex) => {
+      if (route.points.length === 0) return;
+      const segmentIndex = segments.length;
+      segments.push({
+        name: route.name || `Route ${routeIndex + 1}`,
+        trackIndex: routeIndex,
+        segmentIndex,
+        isRoute: true,
+        points: route.points.map(p => ({
+          lon: p.lon,
+          lat: p.lat,
+          ele: p.ele,
+          time: null,
+          trackIndex: routeIndex,
+          segmentIndex,
+        })),
+      });
+    });
+
+    logger.info(`Extracted ${segments.length} segment(s) from ${gpx.routes.length} route(s).`);
+    return segments;
+  }
+
+  /**
+   * Joins all segments into one continuous array of points, in file order.
+   * @param {Array<object>} segments - The segments from fromGpx.
+   * @returns {Array<object>} The concatenated points.
+   */
+  static concatenate(segments) {
+    return segments.flatMap(segment => segment.points);
+  }
+
+  /**
+   * Returns a copy of the segments with their points replaced by the matching points of a
+   * (possibly enriched) concatenated array. Points are matched by their `segmentIndex` tag.
+   * @param {Array<object>} segments - The segments from fromGpx.
+   * @param {Array<object>} points - The concatenated points.
+   * @returns {Array<object>} The updated segments.
+   */
+  static withPoints(segments, points) {
+    const pointsBySegment = new Map();
+    points.forEach(p => {
+      if (!pointsBySegment.has(p.segmentIndex)) pointsBySegment.set(p.segmentIndex, []);
+      pointsBySegment.get(p.segmentIndex).push(p);
+    });
+    return segments.map(segment => ({
+      ...segment,
+      points: pointsBySegment.get(segment.segmentIndex) || [],
+    }));
+  }
+
+  /**
+   * Finds the gaps between consecutive segments, i.e. the jump from the last point of one
+   * segment to the first point of the next.
+   * @param {Array<object>} segments - The segments from fromGpx.
+   * @returns {Array<object>} An array of { from, to } point pairs.
+   */
+  static getGaps(segments) {
+    const gaps = [];
+    for (let i = 1; i < segments.length; i++) {
+      const previous = segments[i - 1].points;
+      const next = segments[i].points;
+      if (previous.length > 0 && next.length > 0) {
+        gaps.push({ from: previous[previous.length - 1], to: next[0] });
+      }
+    }
+    return gaps;
+  }
+}
+
+export default TrackSegmenter;
@@ -1,5 +1,6 @@
 import logger from './Logger.js';
 import SettingsManager from './SettingsManager.js';
+import RouteImporter from './RouteImporter.js';
 
 class UIManager {
   constructor(viewer) {
@@ -28,7 +29,11 @@ class UIManager {
     this.onSetProfile = () => {};
     this.onUrlLoad = () => {};
     this.onRouteSelected = () => {};
+    this.onSegmentSelected = () => {};
     this.onClearStorage = () => {};
+    this.onBackupLibrary = () => {};
+    this.onDownloadGpx = () => {};
+    this.onRestoreLibrary = () => {};
     this.onAthleteProfileChange = () => {};
 
     this.statsOverlay = null; // To hold a reference to the StatsOverlay instance
@@ -64,6 +69,7 @@ class UIManager {
     this.performanceControls = document.getElementById('performance-controls');
     this.filenameSuggestion = document.getElementById('filename-suggestion');
     this.filenameContent = document.getElementById('filename-content');
+    this.downloadGpxButton = document.getElementById('download-gpx-button');
     this.panelContainer = document.getElementById('panel-container');
     this.sidePanel = document.getElementById('side-panel');
     this.panelHeader = document.querySelector('.panel-header');
@@ -74,6 +80,7 @@ class UIManager {
     this.customTourControls = document.getElementById('custom-tour-controls');
     this.timeDisplay = document.getElementById('custom-time-display');
     this.timeScrubber = document.getElementById('custom-time-scrubber');
+    this.timeStops = document.getElementById('custom-time-stops');
     this.customPlayPauseBtn = document.getElementById('custom-play-pause-btn');
     this.customRewindBtn = document.getElementById('custom-rewind-btn');
     this.customResetBtn = document.getElementById('custom-reset-btn');
@@ -84,13 +91,53 @@ class UIManager {
     this.gpxUrlInput = document.getElementById('gpx-url-input');
     this.loadFromUrlBtn = document.getElementById('load-from-url-btn');
     this.clearStorageButton = document.getElementById('clear-storage-button');
+    this.backupLibraryButton = document.getElementById('backup-library-button');
+    this.restoreLibraryButton = document.getElementById('restore-library-button');
+    this.restoreLibraryInput = document.getElementById('restore-library-input');
     this.routeLibrarySelect = document.getElementById('route-library-select');
+    this.segmentSelectGroup = document.getElementById('segment-select-group');
+    this.segmentSelect = document.getElementById('segment-select');
     this.performanceProfileInput = document.getElementById('performance-profile');
     this.smoothingPeriodDecrementLarge = document.getElementById('smoothing-period-decrement-large');
     this.smoothingPeriodDecrement = document.getElementById('smoothing-period-decrement');
     this.smoothingPeriodDisplay = document.getElementById('smoothing-period-display');
     this.smoothingPeriodIncrement = document.getElementById('smoothing-period-increment');
     this.smoothingPeriodIncrementLarge = document.getElementById('smoothing-period-increment-large');
+    this.elevationSmoothingDecrement = document.getElementById('elevation-smoothing-decrement');
+    this.elevationSmoothingDisplay = document.getElementById('elevation-smoothing-display');
+    this.elevationSmoothingIncrement = document.getElementById('elevation-smoothing-increment');
+    this.elevationThresholdDecrement = document.getElementById('elevation-threshold-decrement');
+    this.elevationThresholdDisplay = document.getElementById('elevation-threshold-display');
+    this.elevationThresholdIncrement = document.getElementById('elevation-threshold-increment');
+    this.stopSpeedDecrement = document.getElementById('stop-speed-decrement');
+    this.stopSpeedDisplay = document.getElementById('stop-speed-display');
+    this.stopSpeedIncrement = document.getElementById('stop-speed-increment');
+    this.stopRadiusDecrement = document.getElementById('stop-radius-decrement');
+    this.stopRadiusDisplay = document.getElementById('stop-radius-display');
+    this.stopRadiusIncrement = document.getElementById('stop-radius-increment');
+    this.gpsCleaningInput = document.getElementById('gps-cleaning');
+    this.gpsCleaningReport = document.getElementById('gps-cleaning-report');
+    this.libraryPanelGroup = document.getElementById('library-panel');
+    this.libraryPanelHeader = this.libraryPanelGroup.querySelector('.collapsible-header');
+    this.libraryPanelContent = this.libraryPanelGroup.querySelector('.collapsible-content');
+    this.personalPacePanelGroup = document.getElementById('personal-pace-panel');
+    this.personalPacePanelHeader = this.personalPacePanelGroup.querySelector('.collapsible-header');
+    this.personalPacePanelContent = this.personalPacePanelGroup.querySelector('.collapsible-content');
+    this.splitsPanelGroup = document.getElementById('splits-panel');
+    this.splitsPanelHeader = this.splitsPanelGroup.querySelector('.collapsible-header');
+    this.splitsPanelContent = this.splitsPanelGroup.querySelector('.collapsible-content');
+    this.climbsPanelGroup = document.getElementById('climbs-panel');
+    this.climbsPanelHeader = this.climbsPanelGroup.querySelector('.collapsible-header');
+    this.climbsPanelContent = this.climbsPanelGroup.querySelector('.collapsible-content');
+    this.stagesPanelGroup = document.getElementById('stages-panel');
+    this.stagesPanelHeader = this.stagesPanelGroup.querySelector('.collapsible-header');
+    this.stagesPanelContent = this.stagesPanelGroup.querySelector('.collapsible-content');
+    this.checkpointsPanelGroup = document.getElementById('checkpoints-panel');
+    this.checkpointsPanelHeader = this.checkpointsPanelGroup.querySelector('.collapsible-header');
+    this.checkpointsPanelContent = this.checkpointsPanelGroup.querySelector('.collapsible-content');
+    this.fuelPlanPanelGroup = document.getElementById('fuel-plan-panel');
+    this.fuelPlanPanelHeader = this.fuelPlanPanelGroup.querySelector('.collapsible-header');
+    this.fuelPlanPanelContent = this.fuelPlanPanelGroup.querySelector('.collapsible-content');
     this.advancedControls = document.getElementById('advanced-controls');
     this.advancedControlsHeader = this.advancedControls.querySelector('.collapsible-header');
     this.advancedControlsContent = this.advancedControls.querySelector('.collapsible-content');
@@ -100,9 +147,23 @@ class UIManager {
     this.athleteWeightDecrement = document.getElementById('athlete-weight-decrement');
     this.athleteWeightDisplay = document.getElementById('athlete-weight-display');
     this.athleteWeightIncrement = document.getElementById('athlete-weight-increment');
+    this.packWeightDecrement = document.getElementById('pack-weight-decrement');
+    this.packWeightDisplay = document.getElementById('pack-weight-display');
+    this.packWeightIncrement = document.getElementById('pack-weight-increment');
+    this.energyModelInput = document.getElementById('energy-model');
     this.refuelThresholdDecrement = document.getElementById('refuel-threshold-decrement');
     this.refuelThresholdDisplay = document.getElementById('refuel-threshold-display');
     this.refuelThresholdIncrement = document.getElementById('refuel-threshold-increment');
+    this.sweatRateDecrement = document.getElementById('sweat-rate-decrement');
+    this.sweatRateDisplay = document.getElementById('sweat-rate-display');
+    this.sweatRateIncrement = document.getElementById('sweat-rate-increment');
+    this.waterCapacityDecrement = document.getElementById('water-capacity-decrement');
+    this.waterCapacityDisplay = document.getElementById('water-capacity-display');
+    this.waterCapacityIncrement = document.getElementById('water-capacity-increment');
+    this.airTemperatureDecrement = document.getElementById('air-temperature-decrement');
+    this.airTemperatureDisplay = document.getElementById('air-temperature-display');
+    this.airTemperatureIncrement = document.getElementById('air-temperature-increment');
+    this.useRecordedTemperatureInput = document.getElementById('use-recorded-temperature');
 
     this.targetSpeedDecrement = document.getElementById('target-speed-decrement');
     this.targetSpeedDisplay = document.getElementById('target-speed-display');
@@ -110,9 +171,32 @@ class UIManager {
     this.degradationDecrement = document.getElementById('degradation-decrement');
     this.degradationDisplay = document.getElementById('degradation-display');
     this.degradationIncrement = document.getElementById('degradation-increment');
+    this.fatigueBasisInput = document.getElementById('fatigue-basis');
+    this.paceModelInput = document.getElementById('pace-model');
+    this.paceModelTableGroup = document.getElementById('pace-model-table-group');
+    this.paceModelTableInput = document.getElementById('pace-model-table');
     this.restTimeDecrement = document.getElementById('rest-time-decrement');
     this.restTimeDisplay = document.getElementById('rest-time-display');
     this.restTimeIncrement = document.getElementById('rest-time-increment');
+    this.paceVariationDecrement = document.getElementById('pace-variation-decrement');
+    this.paceVariationDisplay = document.getElementById('pace-variation-display');
+    this.paceVariationIncrement = document.getElementById('pace-variation-increment');
+    this.finishTimeRunsDecrement = document.getElementById('finish-time-runs-decrement');
+    this.finishTimeRunsDisplay = document.getElementById('finish-time-runs-display');
+    this.finishTimeRunsIncrement = document.getElementById('finish-time-runs-increment');
+    this.plannedStartInput = document.getElementById('planned-start');
+    this.daylightReport = document.getElementById('daylight-report');
+    this.dailyWalkingDecrement = document.getElementById('daily-walking-decrement');
+    this.dailyWalkingDisplay = document.getElementById('daily-walking-display');
+    this.dailyWalkingIncrement = document.getElementById('daily-walking-increment');
+    this.overnightHoursDecrement = document.getElementById('overnight-hours-decrement');
+    this.overnightHoursDisplay = document.getElementById('overnight-hours-display');
+    this.overnightHoursIncrement = document.getElementById('overnight-hours-increment');
+    this.overnightStopsInput = document.getElementById('overnight-stops');
+    this.overnightAtLodgingInput = document.getElementById('overnight-at-lodging');
+    this.maxHeartRateDecrement = document.getElementById('max-heart-rate-decrement');
+    this.maxHeartRateDisplay = document.getElementById('max-heart-rate-display');
+    this.maxHeartRateIncrement = document.getElementById('max-heart-rate-increment');
 
     // Cinematic Camera Controls
     this.cinematicCameraControls = document.getElementById('cinematic-camera-controls');
@@ -162,10 +246,20 @@ class UIManager {
       }
     });
 
+    this.gpxFileInput.accept = RouteImporter.getSupportedExtensions().join(','); // Every format with an importer
     this.gpxFileInput.addEventListener('change', (event) => this.onFileSelected(event.target.files[0]));
     this.loadFromUrlBtn.addEventListener('click', () => this.onUrlLoad(this.gpxUrlInput.value));
     this.clearStorageButton.addEventListener('click', () => this.onClearStorage());
+    this.backupLibraryButton.addEventListener('click', () => this.onBackupLibrary());
+    this.downloadGpxButton.addEventListener('click', () => this.onDownloadGpx());
+    this.restoreLibraryButton.addEventListener('click', () => this.restoreLibraryInput.click());
+    this.restoreLibraryInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      event.target.value = ''; // Allow restoring the same file again
+      if (file) this.onRestoreLibrary(file);
+    });
     this.routeLibrarySelect.addEventListener('change', (event) => this.onRouteSelected(event.target.value));
+    this.segmentSelect.addEventListener('change', (event) => this.onSegmentSelected(event.target.value));
     this.playButton.addEventListener('click', () => this.onPlayTour());
     this.stopButton.addEventListener('click', () => this.onStopTour());
     this.zoomToRouteButton.addEventListener('click', () => this.onZoomToRoute());
@@ -239,6 +333,48 @@ class UIManager {
       this.onCustomScrub(percentage);
     });
 
+    this.libraryPanelContent.style.display = 'none';
+    this.libraryPanelHeader.addEventListener('click', () => {
+      this.libraryPanelContent.style.display = this.libraryPanelContent.style.display === 'none' ? 'block' : 'none';
+      this.libraryPanelHeader.classList.toggle('active');
+    });
+
+    this.personalPacePanelContent.style.display = 'none';
+    this.personalPacePanelHeader.addEventListener('click', () => {
+      this.personalPacePanelContent.style.display = this.personalPacePanelContent.style.display === 'none' ? 'block' : 'none';
+      this.personalPacePanelHeader.classList.toggle('active');
+    });
+
+    this.splitsPanelContent.style.display = 'none';
+    this.splitsPanelHeader.addEventListener('click', () => {
+      this.splitsPanelContent.style.display = this.splitsPanelContent.style.display === 'none' ? 'block' : 'none';
+      this.splitsPanelHeader.classList.toggle('active');
+    });
+
+    this.climbsPanelContent.style.display = 'none';
+    this.climbsPanelHeader.addEventListener('click', () => {
+      this.climbsPanelContent.style.display = this.climbsPanelContent.style.display === 'none' ? 'block' : 'none';
+      this.climbsPanelHeader.classList.toggle('active');
+    });
+
+    this.stagesPanelContent.style.display = 'none';
+    this.stagesPanelHeader.addEventListener('click', () => {
+      this.stagesPanelContent.style.display = this.stagesPanelContent.style.display === 'none' ? 'block' : 'none';
+      this.stagesPanelHeader.classList.toggle('active');
+    });
+
+    this.checkpointsPanelContent.style.display = 'none';
+    this.checkpointsPanelHeader.addEventListener('click', () => {
+      this.checkpointsPanelContent.style.display = this.checkpointsPanelContent.style.display === 'none' ? 'block' : 'none';
+      this.checkpointsPanelHeader.classList.toggle('active');
+    });
+
+    this.fuelPlanPanelContent.style.display = 'none';
+    this.fuelPlanPanelHeader.addEventListener('click', () => {
+      this.fuelPlanPanelContent.style.display = this.fuelPlanPanelContent.style.display === 'none' ? 'block' : 'none';
+      this.fuelPlanPanelHeader.classList.toggle('active');
+    });
+
     this.advancedControlsContent.style.display = 'block';
     this.advancedControlsHeader.addEventListener('click', () => {
       this.advancedControlsContent.style.display = this.advancedControlsContent.style.display === 'none' ? 'block' : 'none';
@@ -317,6 +453,10 @@ class UIManager {
         }
     });
 
+    this.fatigueBasisInput.addEventListener('change', (event) => SettingsManager.set('fatigueBasis', event.target.value));
+    this.paceModelInput.addEventListener('change', (event) => SettingsManager.set('paceModel', event.target.value));
+    this.paceModelTableInput.addEventListener('change', (event) => SettingsManager.set('paceModelCustomTable', event.target.value));
+
     this.restTimeDecrement.addEventListener('click', () => {
         let value = parseInt(this.restTimeDisplay.textContent, 10);
         if (value > 0) {
@@ -333,6 +473,23 @@ class UIManager {
                     this.onAthleteProfileChange();
                 }
             });
+
+    this.maxHeartRateDecrement.addEventListener('click', () => {
+        let value = parseInt(this.maxHeartRateDisplay.textContent, 10);
+        if (value > 100) {
+            value--;
+            this.maxHeartRateDisplay.textContent = value;
+            this.onAthleteProfileChange();
+        }
+    });
+    this.maxHeartRateIncrement.addEventListener('click', () => {
+        let value = parseInt(this.maxHeartRateDisplay.textContent, 10);
+        if (value < 230) {
+            value++;
+            this.maxHeartRateDisplay.textContent = value;
+            this.onAthleteProfileChange();
+        }
+    });
     
             // NEW: Add Debug Overlay Toggle
             const debugContainer = document.createElement('div');
@@ -358,6 +515,36 @@ class UIManager {
             this.smoothingPeriodDecrementLarge.addEventListener('click', () => this._adjustSmoothingPeriod(-10));    this.smoothingPeriodDecrement.addEventListener('click', () => this._adjustSmoothingPeriod(-1));
     this.smoothingPeriodIncrement.addEventListener('click', () => this._adjustSmoothingPeriod(1));
     this.smoothingPeriodIncrementLarge.addEventListener('click', () => this._adjustSmoothingPeriod(10));
+    this.elevationSmoothingDecrement.addEventListener('click', () => this._adjustSetting('elevationSmoothingMeters', -10));
+    this.elevationSmoothingIncrement.addEventListener('click', () => this._adjustSetting('elevationSmoothingMeters', 10));
+    this.elevationThresholdDecrement.addEventListener('click', () => this._adjustSetting('elevationThresholdMeters', -1));
+    this.elevationThresholdIncrement.addEventListener('click', () => this._adjustSetting('elevationThresholdMeters', 1));
+    this.stopSpeedDecrement.addEventListener('click', () => this._adjustSetting('stopSpeedKmh', -0.5));
+    this.stopSpeedIncrement.addEventListener('click', () => this._adjustSetting('stopSpeedKmh', 0.5));
+    this.stopRadiusDecrement.addEventListener('click', () => this._adjustSetting('stopRadiusMeters', -5));
+    this.stopRadiusIncrement.addEventListener('click', () => this._adjustSetting('stopRadiusMeters', 5));
+    this.gpsCleaningInput.addEventListener('change', () => SettingsManager.set('gpsCleaning', this.gpsCleaningInput.checked));
+    this.packWeightDecrement.addEventListener('click', () => this._adjustSetting('packWeightKg', -1));
+    this.packWeightIncrement.addEventListener('click', () => this._adjustSetting('packWeightKg', 1));
+    this.energyModelInput.addEventListener('change', (event) => SettingsManager.set('energyModel', event.target.value));
+    this.sweatRateDecrement.addEventListener('click', () => this._adjustSetting('sweatRateMlPerHour', -50));
+    this.sweatRateIncrement.addEventListener('click', () => this._adjustSetting('sweatRateMlPerHour', 50));
+    this.waterCapacityDecrement.addEventListener('click', () => this._adjustSetting('waterCapacityLiters', -0.5));
+    this.waterCapacityIncrement.addEventListener('click', () => this._adjustSetting('waterCapacityLiters', 0.5));
+    this.airTemperatureDecrement.addEventListener('click', () => this._adjustSetting('airTemperatureC', -1));
+    this.airTemperatureIncrement.addEventListener('click', () => this._adjustSetting('airTemperatureC', 1));
+    this.useRecordedTemperatureInput.addEventListener('change', () => SettingsManager.set('useRecordedTemperature', this.useRecordedTemperatureInput.checked));
+    this.paceVariationDecrement.addEventListener('click', () => this._adjustSetting('paceVariation', -1));
+    this.paceVariationIncrement.addEventListener('click', () => this._adjustSetting('paceVariation', 1));
+    this.finishTimeRunsDecrement.addEventListener('click', () => this._adjustSetting('finishTimeRuns', -50));
+    this.finishTimeRunsIncrement.addEventListener('click', () => this._adjustSetting('finishTimeRuns', 50));
+    this.plannedStartInput.addEventListener('change', (event) => SettingsManager.set('plannedStart', event.target.value));
+    this.dailyWalkingDecrement.addEventListener('click', () => this._adjustSetting('dailyWalkingHours', -0.5));
+    this.dailyWalkingIncrement.addEventListener('click', () => this._adjustSetting('dailyWalkingHours', 0.5));
+    this.overnightHoursDecrement.addEventListener('click', () => this._adjustSetting('overnightHours', -1));
+    this.overnightHoursIncrement.addEventListener('click', () => this._adjustSetting('overnightHours', 1));
+    this.overnightStopsInput.addEventListener('change', (event) => SettingsManager.set('overnightStops', event.target.value));
+    this.overnightAtLodgingInput.addEventListener('change', () => SettingsManager.set('overnightAtLodging', this.overnightAtLodgingInput.checked));
 
     // Cinematic Camera Controls Listeners
     this.cameraPathDetailDecrement.addEventListener('click', () => this._adjustCameraPathDetail(-50));
@@ -411,6 +598,11 @@ class UIManager {
     this.cinematicCameraControls.style.display = 'none'; // Ensure hidden by default
     this.filenameSuggestion.style.display = 'none';
     this.athleteProfileControls.style.display = 'none';
+    this.splitsPanelGroup.style.display = 'none';
+    this.climbsPanelGroup.style.display = 'none';
+    this.stagesPanelGroup.style.display = 'none';
+    this.checkpointsPanelGroup.style.display = 'none';
+    this.fuelPlanPanelGroup.style.display = 'none';
 
     if (state === 'LOADING') {
       this.loadingIndicator.style.display = 'block';
@@ -422,6 +614,11 @@ class UIManager {
       this.performanceControls.style.display = 'block';
       this.filenameSuggestion.style.display = 'block';
       this.athleteProfileControls.style.display = 'block';
+      this.splitsPanelGroup.style.display = 'block';
+      this.climbsPanelGroup.style.display = 'block';
+      this.stagesPanelGroup.style.display = 'block';
+      this.checkpointsPanelGroup.style.display = 'block';
+      this.fuelPlanPanelGroup.style.display = 'block';
       this.bottomPanelContainer.style.display = 'flex'; // Target the new parent
       this.customTourControls.style.display = 'flex'; // Also show the controls themselves
       this.setPlayPauseButtonState(false);
@@ -433,6 +630,11 @@ class UIManager {
       this.performanceControls.style.display = 'block';
       this.filenameSuggestion.style.display = 'block';
       this.athleteProfileControls.style.display = 'block';
+      this.splitsPanelGroup.style.display = 'block';
+      this.climbsPanelGroup.style.display = 'block';
+      this.stagesPanelGroup.style.display = 'block';
+      this.checkpointsPanelGroup.style.display = 'block';
+      this.fuelPlanPanelGroup.style.display = 'block';
       this.bottomPanelContainer.style.display = 'flex'; // Target the new parent
       this.customTourControls.style.display = 'flex'; // Also show the controls themselves
       this.setPlayPauseButtonState(true);
@@ -452,6 +654,24 @@ class UIManager {
     this.filenameContent.textContent = filename;
   }
 
+  /**
+   * Offers content to the user as a file download.
+   * @param {string} content - The file content.
+   * @param {string} filename - The suggested file name.
+   * @param {string} mimeType - The MIME type of the content.
+   */
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   updateSpeedDisplay(relativeSpeed) {
     this.speedDisplay.textContent = `${relativeSpeed.toFixed(2)}x`;
   }
@@ -505,6 +725,10 @@ class UIManager {
     return parseFloat(this.restTimeDisplay.textContent);
   }
 
+  getMaxHeartRate() {
+    return parseFloat(this.maxHeartRateDisplay.textContent);
+  }
+
   setClampToGroundLocked(isLocked) {
     this.clampToGroundInput.disabled = isLocked;
   }
@@ -520,6 +744,20 @@ class UIManager {
     this.timeScrubber.value = percentage * 1000;
   }
 
+  /**
+   * Marks the stops on the time scrubber, so the breaks show as gaps in the replay timeline.
+   * @param {Array<object>} intervals - The stops as { start, end } fractions (0-1) of the tour duration.
+   */
+  setScrubberStops(intervals) {
+    this.timeStops.innerHTML = '';
+    intervals.forEach(({ start, end }) => {
+      const band = document.createElement('span');
+      band.style.left = `${start * 100}%`;
+      band.style.width = `${Math.max((end - start) * 100, 0.5)}%`; // Keep short stops visible
+      this.timeStops.appendChild(band);
+    });
+  }
+
   setPlayPauseButtonState(isPlaying) {
     if (isPlaying) {
       this.customPlayPauseBtn.classList.add('is-playing');
@@ -557,19 +795,66 @@ class UIManager {
   }
 
   populateRouteLibrary(routes) {
+    const previousValue = this.routeLibrarySelect.value;
     this.routeLibrarySelect.innerHTML = '';
     const noRouteOption = document.createElement('option');
     noRouteOption.value = 'none';
     noRouteOption.textContent = '— Select a Route —';
     this.routeLibrarySelect.appendChild(noRouteOption);
     if (routes && routes.length > 0) {
-      routes.forEach(route => {
-        const option = document.createElement('option');
-        option.value = route.id;
-        option.textContent = route.name;
-        this.routeLibrarySelect.appendChild(option);
+      // Routes without a folder are listed first, followed by one group per folder.
+      const folders = [...new Set(routes.map(route => route.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+      const groups = [{ label: null, routes: routes.filter(route => !route.folder) }]
+        .concat(folders.map(folder => ({ label: folder, routes: routes.filter(route => route.folder === folder) })));
+
+      groups.forEach(group => {
+        let parent = this.routeLibrarySelect;
+        if (group.label) {
+          parent = document.createElement('optgroup');
+          parent.label = group.label;
+          this.routeLibrarySelect.appendChild(parent);
+        }
+        group.routes.forEach(route => {
+          const option = document.createElement('option');
+          option.value = route.id;
+          option.textContent = route.name;
+          parent.appendChild(option);
+        });
       });
     }
+    // Keep the loaded route selected when the library is refreshed.
+    if (routes && routes.some(route => route.id === previousValue)) {
+      this.routeLibrarySelect.value = previousValue;
+    }
+  }
+
+  /**
+   * Populates the track segment selector. The selector is only shown when the
+   * loaded file contains more than one track or track segment.
+   * @param {Array<object>} segments - The segments from TrackSegmenter, with optional per-segment stats.
+   */
+  populateSegmentSelect(segments) {
+    this.segmentSelect.innerHTML = '';
+    if (!segments || segments.length <= 1) {
+      this.segmentSelectGroup.style.display = 'none';
+      return;
+    }
+
+    const allOption = document.createElement('option');
+    allOption.value = 'all';
+    allOption.textContent = `All segments (${segments.length}) — continuous tour`;
+    this.segmentSelect.appendChild(allOption);
+
+    segments.forEach((segment, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = segment.stats
+        ? `${segment.name} — ${segment.stats.totalDistance} km, +${Math.round(segment.stats.totalElevationGain)} m`
+        : segment.name;
+      this.segmentSelect.appendChild(option);
+    });
+    this.segmentSelect.value = 'all';
+    this.segmentSelectGroup.style.display = 'block';
   }
 
   /**
@@ -583,6 +868,155 @@ class UIManager {
     SettingsManager.set('smoothingPeriodSeconds', newValue);
   }
 
+  /**
+   * Adjusts a numeric analysis setting (elevation filter, stop detection) by a given step and updates the SettingsManager.
+   * Out-of-range values are clamped by the SettingsManager.
+   * @param {string} key - The setting, e.g. 'elevationThresholdMeters'.
+   * @param {number} step - The amount to adjust the setting by.
+   * @private
+   */
+  _adjustSetting(key, step) {
+    SettingsManager.set(key, SettingsManager.get(key) + step);
+  }
+
+  /**
+   * Updates the display of the elevation smoothing window.
+   * @param {number} value - The window in meters.
+   */
+  updateElevationSmoothingDisplay(value) {
+    this.elevationSmoothingDisplay.textContent = value > 0 ? `${value}m` : 'Off';
+  }
+
+  /**
+   * Updates the display of the elevation threshold.
+   * @param {number} value - The threshold in meters.
+   */
+  updateElevationThresholdDisplay(value) {
+    this.elevationThresholdDisplay.textContent = `${value}m`;
+  }
+
+  /**
+   * Updates the display of the stop speed threshold.
+   * @param {number} value - The speed in km/h.
+   */
+  updateStopSpeedDisplay(value) {
+    this.stopSpeedDisplay.textContent = `${value} km/h`;
+  }
+
+  /**
+   * Updates the display of the daily walking-time budget.
+   * @param {number} value - The budget in hours, 0 for none.
+   */
+  updateDailyWalkingDisplay(value) {
+    this.dailyWalkingDisplay.textContent = value > 0 ? value : 'Off';
+  }
+
+  /**
+   * Updates the display of the number of Monte-Carlo runs.
+   * @param {number} value - The number of runs, 0 for none.
+   */
+  updateFinishTimeRunsDisplay(value) {
+    this.finishTimeRunsDisplay.textContent = value > 0 ? value : 'Off';
+  }
+
+  /**
+   * Updates the display of the sweat rate.
+   * @param {number} value - The sweat rate in ml per hour, 0 for no water plan.
+   */
+  updateSweatRateDisplay(value) {
+    this.sweatRateDisplay.textContent = value > 0 ? value : 'Off';
+  }
+
+  /**
+   * Updates the display of the stop radius.
+   * @param {number} value - The radius in meters.
+   */
+  updateStopRadiusDisplay(value) {
+    this.stopRadiusDisplay.textContent = `${value}m`;
+  }
+
+  /**
+   * Selects the pace model and shows the custom table input only for the custom model.
+   * @param {string} model - The 'paceModel' setting value.
+   */
+  updatePaceModelDisplay(model) {
+    this.paceModelInput.value = model;
+    this.paceModelTableGroup.style.display = model === 'custom' ? 'block' : 'none';
+  }
+
+  /**
+   * Shows how many points the GPS cleaning corrected.
+   * @param {object|null} report - The report from GpsCleaner.clean, or null if cleaning is off or no route is loaded.
+   */
+  updateGpsCleaningReport(report) {
+    if (!report) {
+      this.gpsCleaningReport.textContent = '';
+      this.gpsCleaningReport.title = '';
+      return;
+    }
+    this.gpsCleaningReport.textContent = `${report.total} point${report.total === 1 ? '' : 's'} corrected`;
+    this.gpsCleaningReport.title = `${report.duplicateTimestamps} duplicate timestamp(s), ${report.speedOutliers} speed outlier(s), ${report.elevationSpikes} elevation spike(s)`;
+  }
+
+  /**
+   * Shows the sun times at the start, the distance planned in the dark and a button to start at the latest
+   * start that still ends every stage in daylight.
+   * @param {object|null} daylight - The daylight from PerformancePlanner.planPerformanceProfile, or null if no route is loaded.
+   */
+  updateDaylightReport(daylight) {
+    this.daylightReport.innerHTML = '';
+    if (!daylight) return;
+
+    const lines = [];
+    if (daylight.polar) {
+      lines.push(daylight.polar === 'day' ? 'Midnight sun: daylight all day.' : 'Polar night: no daylight.');
+    } else {
+      const sunTimes = daylight.sunrise ? `Sun ${this._formatClock(daylight.sunrise)}–${this._formatClock(daylight.sunset)}, ` : '';
+      lines.push(`${sunTimes}light ${this._formatClock(daylight.dawn)}–${this._formatClock(daylight.dusk)}`);
+    }
+    lines.push(daylight.darkDistance > 0
+      ? `${(daylight.darkDistance / 1000).toFixed(1)} km planned in the dark`
+      : 'All planned in daylight');
+    if (!daylight.latestStart) lines.push('No start on this day ends every stage in daylight');
+    lines.forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      this.daylightReport.appendChild(line);
+    });
+
+    if (!daylight.latestStart) return;
+    const latestStartValue = this._toDateTimeInputValue(daylight.latestStart);
+    if (latestStartValue === this._toDateTimeInputValue(daylight.plannedStart)) return;
+    const button = document.createElement('button');
+    button.textContent = `Start at ${this._formatClock(daylight.latestStart)}`;
+    button.title = daylight.latestStartInDark
+      ? 'Latest start that ends every stage before dusk; it is before dawn, the route is too long for the daylight'
+      : 'Latest start that ends every stage before dusk';
+    button.addEventListener('click', () => SettingsManager.set('plannedStart', latestStartValue));
+    this.daylightReport.appendChild(button);
+  }
+
+  /**
+   * Formats a time of day as "HH:MM" in local time.
+   * @param {Date} date - The date.
+   * @returns {string} The formatted time.
+   * @private
+   */
+  _formatClock(date) {
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Formats a date as the local "YYYY-MM-DDTHH:MM" value of a datetime-local input.
+   * @param {Date} date - The date.
+   * @returns {string} The formatted date.
+   * @private
+   */
+  _toDateTimeInputValue(date) {
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${this._formatClock(date)}`;
+  }
+
   /**
    * Updates the display of the smoothing period.
    * @param {number} value - The new smoothing period value in seconds.
@@ -802,6 +1236,66 @@ class UIManager {
     this.updateSmoothingPeriodDisplay(SettingsManager.get('smoothingPeriodSeconds'));
     SettingsManager.subscribe('smoothingPeriodSeconds', (value) => this.updateSmoothingPeriodDisplay(value));
 
+    // --- Elevation Filter ---
+    this.updateElevationSmoothingDisplay(SettingsManager.get('elevationSmoothingMeters'));
+    SettingsManager.subscribe('elevationSmoothingMeters', (value) => this.updateElevationSmoothingDisplay(value));
+    this.updateElevationThresholdDisplay(SettingsManager.get('elevationThresholdMeters'));
+    SettingsManager.subscribe('elevationThresholdMeters', (value) => this.updateElevationThresholdDisplay(value));
+
+    // --- Stop Detection ---
+    this.updateStopSpeedDisplay(SettingsManager.get('stopSpeedKmh'));
+    SettingsManager.subscribe('stopSpeedKmh', (value) => this.updateStopSpeedDisplay(value));
+    this.updateStopRadiusDisplay(SettingsManager.get('stopRadiusMeters'));
+    SettingsManager.subscribe('stopRadiusMeters', (value) => this.updateStopRadiusDisplay(value));
+
+    // --- Energy Model ---
+    this.energyModelInput.value = SettingsManager.get('energyModel');
+    SettingsManager.subscribe('energyModel', (value) => { this.energyModelInput.value = value; });
+    this.packWeightDisplay.textContent = SettingsManager.get('packWeightKg');
+    SettingsManager.subscribe('packWeightKg', (value) => { this.packWeightDisplay.textContent = value; });
+
+    // --- Water Plan ---
+    this.updateSweatRateDisplay(SettingsManager.get('sweatRateMlPerHour'));
+    SettingsManager.subscribe('sweatRateMlPerHour', (value) => this.updateSweatRateDisplay(value));
+    this.waterCapacityDisplay.textContent = SettingsManager.get('waterCapacityLiters');
+    SettingsManager.subscribe('waterCapacityLiters', (value) => { this.waterCapacityDisplay.textContent = value; });
+    this.airTemperatureDisplay.textContent = SettingsManager.get('airTemperatureC');
+    SettingsManager.subscribe('airTemperatureC', (value) => { this.airTemperatureDisplay.textContent = value; });
+    this.useRecordedTemperatureInput.checked = SettingsManager.get('useRecordedTemperature');
+    SettingsManager.subscribe('useRecordedTemperature', (value) => { this.useRecordedTemperatureInput.checked = value; });
+
+    // --- Pace Model ---
+    this.updatePaceModelDisplay(SettingsManager.get('paceModel'));
+    SettingsManager.subscribe('paceModel', (value) => this.updatePaceModelDisplay(value));
+    this.paceModelTableInput.value = SettingsManager.get('paceModelCustomTable');
+    SettingsManager.subscribe('paceModelCustomTable', (value) => { this.paceModelTableInput.value = value; });
+
+    // --- Fatigue ---
+    this.fatigueBasisInput.value = SettingsManager.get('fatigueBasis');
+    SettingsManager.subscribe('fatigueBasis', (value) => { this.fatigueBasisInput.value = value; });
+
+    // --- Finish-Time Range ---
+    this.paceVariationDisplay.textContent = SettingsManager.get('paceVariation');
+    SettingsManager.subscribe('paceVariation', (value) => { this.paceVariationDisplay.textContent = value; });
+    this.updateFinishTimeRunsDisplay(SettingsManager.get('finishTimeRuns'));
+    SettingsManager.subscribe('finishTimeRuns', (value) => this.updateFinishTimeRunsDisplay(value));
+
+    // --- Itinerary ---
+    this.plannedStartInput.value = SettingsManager.get('plannedStart');
+    SettingsManager.subscribe('plannedStart', (value) => { this.plannedStartInput.value = value; });
+    this.updateDailyWalkingDisplay(SettingsManager.get('dailyWalkingHours'));
+    SettingsManager.subscribe('dailyWalkingHours', (value) => this.updateDailyWalkingDisplay(value));
+    this.overnightHoursDisplay.textContent = SettingsManager.get('overnightHours');
+    SettingsManager.subscribe('overnightHours', (value) => { this.overnightHoursDisplay.textContent = value; });
+    this.overnightStopsInput.value = SettingsManager.get('overnightStops');
+    SettingsManager.subscribe('overnightStops', (value) => { this.overnightStopsInput.value = value; });
+    this.overnightAtLodgingInput.checked = SettingsManager.get('overnightAtLodging');
+    SettingsManager.subscribe('overnightAtLodging', (value) => { this.overnightAtLodgingInput.checked = value; });
+
+    // --- GPS Cleaning ---
+    this.gpsCleaningInput.checked = SettingsManager.get('gpsCleaning');
+    SettingsManager.subscribe('gpsCleaning', (value) => { this.gpsCleaningInput.checked = value; });
+
     // --- Cinematic Camera Settings ---
     this.updateCameraPathDetailDisplay(SettingsManager.get('cameraPathDetail'));
     SettingsManager.subscribe('cameraPathDetail', (value) => this.updateCameraPathDetailDisplay(value));